@@ -0,0 +1,55 @@
+const nodemailer = require('nodemailer');
+
+// Email transporter setup (optional). Auth is only used when both user and
+// password are set, so a local SMTP stand-in (MailHog, smtp4dev) works with
+// just EMAIL_HOST and EMAIL_PORT.
+let transporter = null;
+if (process.env.EMAIL_HOST) {
+  try {
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: process.env.EMAIL_PORT,
+      secure: process.env.EMAIL_SECURE === 'true',
+      ...(process.env.EMAIL_USER && process.env.EMAIL_PASS && {
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS,
+        },
+      }),
+    });
+  } catch (error) {
+    console.log('⚠️ Email configuration error:', error.message);
+  }
+}
+
+// Sender address, falling back to the SMTP account
+const fromAddress = process.env.EMAIL_FROM || process.env.EMAIL_USER;
+
+// Whether emails can be sent at all
+const isEmailConfigured = () => !!transporter;
+
+// Frontend base URL used in emailed links
+const clientUrl = process.env.CLIENT_URL || process.env.SITE_URL || 'https://beyondblueprint.co.in';
+
+// Send an email through the shared transporter.
+// Resolves to nodemailer's info (with `messageId`), or false when email
+// isn't configured so callers can decide what to do.
+const sendMail = async (mailOptions) => {
+  if (!transporter) {
+    console.log('⚠️ Email not configured, skipping...');
+    return false;
+  }
+
+  return transporter.sendMail({
+    from: fromAddress,
+    ...mailOptions
+  });
+};
+
+module.exports = {
+  transporter,
+  sendMail,
+  isEmailConfigured,
+  fromAddress,
+  clientUrl
+};
@@ -0,0 +1,303 @@
+// Built-in email templates. Admins can override any of them (stored in the
+// EmailTemplate collection); deleting the override brings the default back.
+// Values are escaped in the HTML part, see utils/templateRenderer.js.
+
+// Shared wrapper for the HTML part of every email; {{{content}}} is the rendered body
+const EMAIL_LAYOUT = {
+  name: 'Layout',
+  description: 'Wraps the HTML part of every email. Must include {{{content}}}.',
+  sensitive: true,
+  subject: '',
+  html: `<!DOCTYPE html>
+<html>
+<body style="margin: 0; padding: 0; background: #f5f3ef; font-family: Arial, Helvetica, sans-serif; color: #2d2a26;">
+  <div style="max-width: 600px; margin: 0 auto; padding: 24px;">
+    <div style="padding-bottom: 16px; border-bottom: 1px solid #ddd6cc; font-size: 18px; letter-spacing: 1px;">Beyond Blueprint</div>
+    <div style="padding: 24px 0; line-height: 1.5;">
+      {{{content}}}
+    </div>
+    <div style="padding-top: 16px; border-top: 1px solid #ddd6cc; font-size: 12px; color: #8a837a;">
+      <a href="{{siteUrl}}" style="color: #8a837a;">{{siteUrl}}</a>
+    </div>
+  </div>
+</body>
+</html>`,
+  text: '',
+  sampleData: {
+    subject: 'Sample email',
+    content: '<p>The message body goes here.</p>',
+    siteUrl: 'https://beyondblueprint.co.in'
+  }
+};
+
+const DEFAULT_EMAIL_TEMPLATES = {
+  contact_notification: {
+    name: 'New contact notification',
+    description: 'Sent to the studio for every contact form submission.',
+    subject: 'New Contact Form Submission - {{name}}',
+    html: `<h2>New Contact Form Submission</h2>
+<p><strong>Name:</strong> {{name}}</p>
+<p><strong>Email:</strong> {{email}}</p>
+<p><strong>Phone:</strong> {{#phone}}{{phone}}{{/phone}}{{^phone}}Not provided{{/phone}}</p>
+<p><strong>Service:</strong> {{#service}}{{service}}{{/service}}{{^service}}Not specified{{/service}}</p>
+<p><strong>Budget:</strong> {{#budget}}{{budget}}{{/budget}}{{^budget}}Not specified{{/budget}}</p>
+<p><strong>Message:</strong></p>
+<p style="white-space: pre-wrap;">{{message}}</p>
+{{#attachmentCount}}<p><strong>Attachments:</strong> {{attachmentCount}} (download them from the admin panel)</p>{{/attachmentCount}}
+<hr>
+<p><small>Submitted at: {{submittedAt}}</small></p>
+<p><small>IP Address: {{ipAddress}}</small></p>
+{{#isSpam}}<p style="color: red;"><strong>⚠️ Potential Spam</strong></p>{{/isSpam}}
+{{#isDuplicate}}<p><strong>Possible duplicate of an earlier lead</strong></p>{{/isDuplicate}}
+<p><a href="{{contactUrl}}">View in admin panel</a></p>`,
+    text: `New Contact Form Submission
+
+Name: {{name}}
+Email: {{email}}
+Phone: {{#phone}}{{phone}}{{/phone}}{{^phone}}Not provided{{/phone}}
+Service: {{#service}}{{service}}{{/service}}{{^service}}Not specified{{/service}}
+Budget: {{#budget}}{{budget}}{{/budget}}{{^budget}}Not specified{{/budget}}
+
+{{message}}
+{{#attachmentCount}}
+Attachments: {{attachmentCount}} (download them from the admin panel)
+{{/attachmentCount}}
+Submitted at: {{submittedAt}}
+IP Address: {{ipAddress}}
+{{#isSpam}}Potential spam
+{{/isSpam}}{{#isDuplicate}}Possible duplicate of an earlier lead
+{{/isDuplicate}}
+{{contactUrl}}`,
+    sampleData: {
+      name: 'Priya Sharma',
+      email: 'priya@example.com',
+      phone: '+91 98765 43210',
+      service: 'Residential Design',
+      budget: '$25,000 - $50,000',
+      message: 'We are renovating a 3BHK apartment and would like help with the living room and kitchen.',
+      submittedAt: '12 Jan 2025, 10:30',
+      ipAddress: '203.0.113.7',
+      isSpam: false,
+      isDuplicate: false,
+      attachmentCount: 2,
+      contactUrl: 'https://beyondblueprint.co.in/admin/contacts/000000000000000000000000'
+    }
+  },
+  auto_reply: {
+    name: 'Contact auto-reply',
+    description: 'Acknowledgement to the person who submitted the contact form. Subject and body come from the auto-reply settings for their service.',
+    subject: '{{subject}}',
+    html: '<div style="white-space: pre-wrap;">{{body}}</div>',
+    text: '{{body}}',
+    sampleData: {
+      subject: 'Thanks for contacting Beyond Blueprint',
+      body: 'Hello,\n\nThank you for getting in touch about Residential Design. We have received your message and a member of our team will get back to you soon.\n\nBeyond Blueprint'
+    }
+  },
+  contact_reply: {
+    name: 'Reply to a lead',
+    description: 'Replies written by admins from the contact thread.',
+    subject: '{{subject}}',
+    html: '<div style="white-space: pre-wrap;">{{body}}</div>',
+    text: '{{body}}',
+    sampleData: {
+      subject: 'Re: Your Residential Design enquiry',
+      body: 'Hi Priya,\n\nThanks for the details. Would Thursday afternoon suit you for a site visit?'
+    }
+  },
+  booking_confirmation: {
+    name: 'Booking confirmation',
+    description: 'Sent to a visitor who booked a consultation, with the calendar invite attached.',
+    subject: 'Your consultation is booked for {{when}}',
+    html: `<p>Hi {{firstName}},</p>
+<p>Your consultation with {{designerName}} about {{service}} is booked.</p>
+<p><strong>When:</strong> {{when}}<br>
+<strong>Length:</strong> {{durationMinutes}} minutes{{#location}}<br>
+<strong>Where:</strong> {{location}}{{/location}}</p>
+<p>The attached invite adds it to your calendar. If you need to change the time, just reply to this email.</p>`,
+    text: `Hi {{firstName}},
+
+Your consultation with {{designerName}} about {{service}} is booked.
+
+When: {{when}}
+Length: {{durationMinutes}} minutes
+{{#location}}Where: {{location}}
+{{/location}}
+The attached invite adds it to your calendar. If you need to change the time, just reply to this email.`,
+    sampleData: {
+      name: 'Priya Sharma',
+      firstName: 'Priya',
+      service: 'Residential Design',
+      designerName: 'Anika',
+      when: 'Monday, 13 January 2025 at 15:30 (Asia/Kolkata)',
+      durationMinutes: 60,
+      location: 'Beyond Blueprint studio, Bengaluru'
+    }
+  },
+  booking_rescheduled: {
+    name: 'Booking rescheduled',
+    description: 'Sent when an admin moves a consultation, with the updated calendar invite.',
+    subject: 'Your consultation has moved to {{when}}',
+    html: `<p>Hi {{firstName}},</p>
+<p>Your consultation about {{service}} has been moved. The new time is:</p>
+<p><strong>When:</strong> {{when}}<br>
+<strong>With:</strong> {{designerName}}<br>
+<strong>Length:</strong> {{durationMinutes}} minutes{{#location}}<br>
+<strong>Where:</strong> {{location}}{{/location}}</p>
+<p>The attached invite updates your calendar. If the new time doesn't suit you, just reply to this email.</p>`,
+    text: `Hi {{firstName}},
+
+Your consultation about {{service}} has been moved. The new time is:
+
+When: {{when}}
+With: {{designerName}}
+Length: {{durationMinutes}} minutes
+{{#location}}Where: {{location}}
+{{/location}}
+The attached invite updates your calendar. If the new time doesn't suit you, just reply to this email.`,
+    sampleData: {
+      name: 'Priya Sharma',
+      firstName: 'Priya',
+      service: 'Residential Design',
+      designerName: 'Anika',
+      when: 'Monday, 13 January 2025 at 15:30 (Asia/Kolkata)',
+      durationMinutes: 60,
+      location: 'Beyond Blueprint studio, Bengaluru'
+    }
+  },
+  booking_reminder: {
+    name: 'Booking reminder',
+    description: 'Sent ahead of a consultation (see the booking settings for how far ahead).',
+    subject: 'Reminder: your consultation on {{when}}',
+    html: `<p>Hi {{firstName}},</p>
+<p>This is a reminder of your consultation with {{designerName}} about {{service}}.</p>
+<p><strong>When:</strong> {{when}}<br>
+<strong>Length:</strong> {{durationMinutes}} minutes{{#location}}<br>
+<strong>Where:</strong> {{location}}{{/location}}</p>
+<p>We look forward to meeting you.</p>`,
+    text: `Hi {{firstName}},
+
+This is a reminder of your consultation with {{designerName}} about {{service}}.
+
+When: {{when}}
+Length: {{durationMinutes}} minutes
+{{#location}}Where: {{location}}
+{{/location}}
+We look forward to meeting you.`,
+    sampleData: {
+      name: 'Priya Sharma',
+      firstName: 'Priya',
+      service: 'Residential Design',
+      designerName: 'Anika',
+      when: 'Monday, 13 January 2025 at 15:30 (Asia/Kolkata)',
+      durationMinutes: 60,
+      location: 'Beyond Blueprint studio, Bengaluru'
+    }
+  },
+  booking_cancelled: {
+    name: 'Booking cancelled',
+    description: 'Sent when an admin cancels a consultation; the attachment removes it from the calendar.',
+    subject: 'Your consultation on {{when}} has been cancelled',
+    html: `<p>Hi {{firstName}},</p>
+<p>Your consultation with {{designerName}} about {{service}} on {{when}} has been cancelled.</p>
+{{#reason}}<p style="white-space: pre-wrap;">{{reason}}</p>{{/reason}}
+<p>If you would like to book another time, just reply to this email.</p>`,
+    text: `Hi {{firstName}},
+
+Your consultation with {{designerName}} about {{service}} on {{when}} has been cancelled.
+{{#reason}}
+{{reason}}
+{{/reason}}
+If you would like to book another time, just reply to this email.`,
+    sampleData: {
+      name: 'Priya Sharma',
+      firstName: 'Priya',
+      service: 'Residential Design',
+      designerName: 'Anika',
+      when: 'Monday, 13 January 2025 at 15:30 (Asia/Kolkata)',
+      durationMinutes: 60,
+      location: 'Beyond Blueprint studio, Bengaluru',
+      reason: 'Our designer is unwell that day, sorry for the short notice.'
+    }
+  },
+  email_verification: {
+    name: 'Email verification',
+    description: 'Link to confirm an account email address.',
+    sensitive: true,
+    subject: 'Confirm your email address',
+    html: `<h2>Confirm your email</h2>
+<p>Hi {{username}},</p>
+<p>Please confirm that {{address}} is your email address by opening the link below:</p>
+<p><a href="{{verifyUrl}}">{{verifyUrl}}</a></p>
+<p>This link expires in {{expiresHours}} hours.</p>
+<p>If you didn't request this, you can ignore this email.</p>`,
+    text: `Hi {{username}},
+
+Please confirm that {{address}} is your email address by opening the link below:
+
+{{verifyUrl}}
+
+This link expires in {{expiresHours}} hours.
+If you didn't request this, you can ignore this email.`,
+    sampleData: {
+      username: 'priya',
+      address: 'priya@example.com',
+      verifyUrl: 'https://beyondblueprint.co.in/verify-email?token=sample',
+      expiresHours: 24
+    }
+  },
+  password_reset: {
+    name: 'Password reset',
+    description: 'Link to choose a new password.',
+    sensitive: true,
+    subject: 'Reset your password',
+    html: `<h2>Password Reset</h2>
+<p>Hi {{username}},</p>
+<p>We received a request to reset your password. Use the link below to choose a new one:</p>
+<p><a href="{{resetUrl}}">{{resetUrl}}</a></p>
+<p>This link expires in {{expiresMinutes}} minutes and can only be used once.</p>
+<p>If you didn't request this, you can ignore this email.</p>`,
+    text: `Hi {{username}},
+
+We received a request to reset your password. Use the link below to choose a new one:
+
+{{resetUrl}}
+
+This link expires in {{expiresMinutes}} minutes and can only be used once.
+If you didn't request this, you can ignore this email.`,
+    sampleData: {
+      username: 'priya',
+      resetUrl: 'https://beyondblueprint.co.in/reset-password?token=sample',
+      expiresMinutes: 30
+    }
+  },
+  invitation: {
+    name: 'Admin invitation',
+    description: 'Invitation to join the admin panel.',
+    sensitive: true,
+    subject: 'You have been invited to the Beyond Blueprint admin panel',
+    html: `<h2>You're invited</h2>
+<p>{{inviter}} has invited you to join the admin panel as <strong>{{role}}</strong>.</p>
+<p>Use the link below to choose a username and password:</p>
+<p><a href="{{acceptUrl}}">{{acceptUrl}}</a></p>
+<p>This invitation expires on {{expiresAt}} and can only be used once.</p>`,
+    text: `{{inviter}} has invited you to join the admin panel as {{role}}.
+
+Use the link below to choose a username and password:
+
+{{acceptUrl}}
+
+This invitation expires on {{expiresAt}} and can only be used once.`,
+    sampleData: {
+      inviter: 'admin',
+      role: 'editor',
+      acceptUrl: 'https://beyondblueprint.co.in/accept-invite?token=sample',
+      expiresAt: '19 Jan 2025, 10:30'
+    }
+  }
+};
+
+module.exports = {
+  EMAIL_LAYOUT,
+  DEFAULT_EMAIL_TEMPLATES
+};
@@ -0,0 +1,63 @@
+// Central role-to-permission policy.
+// Each role grants a default set of permissions; individual users can be
+// granted extra ones (`permissions`) or have defaults taken away (`deniedPermissions`).
+
+const PERMISSIONS = [
+  'manage_users',
+  'manage_projects',
+  'manage_contacts',
+  'manage_bookings',
+  'manage_blog',
+  'manage_seo',
+  'view_analytics',
+  'export_data'
+];
+
+const ROLE_PERMISSIONS = {
+  superadmin: [...PERMISSIONS],
+  admin: [
+    'manage_projects',
+    'manage_contacts',
+    'manage_bookings',
+    'manage_blog',
+    'manage_seo',
+    'view_analytics',
+    'export_data'
+  ],
+  editor: [
+    'manage_projects',
+    'manage_blog',
+    'manage_seo'
+  ],
+  viewer: [
+    'view_analytics'
+  ],
+  user: []
+};
+
+// Resolve the full list of permissions a user effectively holds
+const getEffectivePermissions = (user) => {
+  if (!user) return [];
+
+  // Superadmins always keep every permission so they can't lock themselves out
+  if (user.role === 'superadmin') return [...PERMISSIONS];
+
+  const granted = user.permissions || [];
+  if (granted.includes('all')) return [...PERMISSIONS];
+
+  const denied = new Set(user.deniedPermissions || []);
+  const effective = new Set([...(ROLE_PERMISSIONS[user.role] || []), ...granted]);
+
+  return PERMISSIONS.filter(permission => effective.has(permission) && !denied.has(permission));
+};
+
+// Whether a user holds a permission
+const hasPermission = (user, permission) =>
+  getEffectivePermissions(user).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getEffectivePermissions,
+  hasPermission
+};
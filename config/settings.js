@@ -0,0 +1,109 @@
+const Setting = require('../models/Setting');
+
+// Runtime settings editable by admins, with their defaults.
+// Defaults can be seeded from the environment; stored values win.
+const SETTINGS = {
+  require2faForPrivileged: {
+    key: 'security.require2faForPrivileged',
+    default: false
+  },
+  publicRegistration: {
+    key: 'auth.publicRegistration',
+    default: process.env.PUBLIC_REGISTRATION !== 'false'
+  },
+  // How far back a new lead is compared against earlier ones for duplicates
+  duplicateWindowDays: {
+    key: 'crm.duplicateWindowDays',
+    default: parseInt(process.env.DUPLICATE_WINDOW_DAYS) || 90
+  },
+  // Acknowledgement emailed to contact form submitters, by service.
+  // Placeholder: {{service}}. It goes to whatever address was typed in, so
+  // nothing the visitor wrote (not even their name) is repeated in it.
+  autoReply: {
+    key: 'contact.autoReply',
+    default: {
+      enabled: process.env.AUTO_REPLY_ENABLED !== 'false',
+      templates: {
+        default: {
+          subject: 'Thanks for contacting Beyond Blueprint',
+          body: 'Hello,\n\nThank you for getting in touch about {{service}}. We have received your message and a member of our team will get back to you soon.\n\nBeyond Blueprint',
+          enabled: true
+        },
+        consultation: {
+          subject: 'Your consultation request',
+          body: 'Hello,\n\nThank you for requesting a consultation. We will contact you shortly to find a time that suits you.\n\nBeyond Blueprint',
+          enabled: true
+        }
+      }
+    }
+  },
+  // Where new leads are appended in Google Sheets, and which contact field
+  // goes in each column (see SHEET_FIELDS in utils/googleSheets.js)
+  googleSheets: {
+    key: 'integrations.googleSheets',
+    default: {
+      enabled: true,
+      spreadsheetId: process.env.GOOGLE_SHEET_ID || '',
+      sheetName: 'Sheet1',
+      columns: [
+        { field: 'submittedAt', header: 'Submitted At' },
+        { field: 'name', header: 'Name' },
+        { field: 'email', header: 'Email' },
+        { field: 'phone', header: 'Phone' },
+        { field: 'service', header: 'Service' },
+        { field: 'budget', header: 'Budget' },
+        { field: 'message', header: 'Message' },
+        { field: 'ipAddress', header: 'IP Address' },
+        { field: 'isSpam', header: 'Spam' }
+      ]
+    }
+  },
+  // Consultation booking: slot length in minutes by service (`default` covers
+  // the rest), how soon and how far ahead visitors can book, and how many
+  // hours before the consultation the reminder goes out (0 for none)
+  booking: {
+    key: 'booking.settings',
+    default: {
+      enabled: process.env.BOOKING_ENABLED !== 'false',
+      durations: {
+        default: 60
+      },
+      minNoticeHours: 24,
+      maxDaysAhead: 30,
+      reminderHours: 24,
+      location: ''
+    }
+  },
+  // Ordered lead stages; `type` is open, won or lost
+  pipelineStages: {
+    key: 'crm.pipelineStages',
+    default: [
+      { key: 'new', label: 'New', type: 'open' },
+      { key: 'qualified', label: 'Qualified', type: 'open' },
+      { key: 'site_visit', label: 'Site Visit', type: 'open' },
+      { key: 'proposal', label: 'Proposal', type: 'open' },
+      { key: 'won', label: 'Won', type: 'won' },
+      { key: 'lost', label: 'Lost', type: 'lost' }
+    ]
+  }
+};
+
+// Read a setting by name
+const getSetting = (name) => {
+  const setting = SETTINGS[name];
+  if (!setting) throw new Error(`Unknown setting: ${name}`);
+  return Setting.getValue(setting.key, setting.default);
+};
+
+// Update a setting by name
+const setSetting = (name, value, userId = null) => {
+  const setting = SETTINGS[name];
+  if (!setting) throw new Error(`Unknown setting: ${name}`);
+  return Setting.setValue(setting.key, value, userId);
+};
+
+module.exports = {
+  SETTINGS,
+  getSetting,
+  setSetting
+};
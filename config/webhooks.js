@@ -0,0 +1,13 @@
+// Domain events outgoing webhooks can subscribe to
+const WEBHOOK_EVENTS = [
+  'contact.created',
+  'contact.status_changed',
+  'project.published',
+  'project.updated',
+  'blog.published',
+  'user.created'
+];
+
+module.exports = {
+  WEBHOOK_EVENTS
+};
@@ -0,0 +1,59 @@
+const Booking = require('../models/Booking');
+const { getBookingConfig, queueBookingEmail } = require('../utils/booking');
+
+const POLL_INTERVAL_MS = parseInt(process.env.BOOKING_REMINDER_INTERVAL_MS) || 5 * 60 * 1000;
+// First retry delay for a reminder that couldn't be queued; doubles each time
+const RETRY_BASE_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+let timer = null;
+let running = false;
+
+// Queue reminders for confirmed bookings starting within the reminder window.
+// Each booking is claimed before its email is queued, so several processes
+// can run this without sending a reminder twice.
+const processBookingReminders = async () => {
+  if (running) return;
+
+  running = true;
+  try {
+    const { reminderHours } = await getBookingConfig();
+    if (!reminderHours) return;
+
+    const leadTimeMs = reminderHours * 60 * 60 * 1000;
+    for (let booking = await Booking.claimReminder(leadTimeMs, MAX_ATTEMPTS); booking; booking = await Booking.claimReminder(leadTimeMs, MAX_ATTEMPTS)) {
+      try {
+        await queueBookingEmail(booking, 'reminder');
+      } catch (error) {
+        // Retry this one later without holding up the others
+        console.error(`❌ Reminder for booking ${booking._id} failed:`, error.message);
+        booking.markReminderFailed(error, RETRY_BASE_MS);
+        await booking.save();
+      }
+    }
+  } catch (error) {
+    console.error('❌ Booking reminder error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+// Start checking for due reminders in this process
+const startBookingReminders = () => {
+  if (timer) return;
+  timer = setInterval(processBookingReminders, POLL_INTERVAL_MS);
+  timer.unref();
+  processBookingReminders();
+};
+
+const stopBookingReminders = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  processBookingReminders,
+  startBookingReminders,
+  stopBookingReminders
+};
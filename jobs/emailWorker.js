@@ -0,0 +1,100 @@
+const OutboxMessage = require('../models/OutboxMessage');
+const Notification = require('../models/Notification');
+const { sendMail, isEmailConfigured } = require('../config/email');
+const { mailEvents } = require('../utils/mailQueue');
+
+const POLL_INTERVAL_MS = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS) || 15 * 1000;
+// First retry delay; doubles with each failed attempt
+const RETRY_BASE_MS = parseInt(process.env.EMAIL_RETRY_BASE_MS) || 60 * 1000;
+// A message still `sending` after this long is assumed abandoned
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+let timer = null;
+let running = false;
+let rerun = false;
+
+// Send one claimed message and record the attempt
+const deliver = async (message) => {
+  const mailOptions = message.getMailOptions();
+  const startedAt = Date.now();
+
+  try {
+    if (!mailOptions) {
+      throw new Error('Message content could not be decrypted');
+    }
+    const info = await sendMail(mailOptions);
+    if (!info) {
+      throw new Error('Email is not configured');
+    }
+    message.markSent(info, Date.now() - startedAt);
+  } catch (error) {
+    message.markFailed(error, Date.now() - startedAt, RETRY_BASE_MS);
+    console.error(`❌ Email ${message._id} attempt ${message.attempts} failed:`, error.message);
+  }
+
+  await message.save();
+
+  if (message.status === 'sent' && message.notifications.length > 0) {
+    await Notification.updateMany(
+      { _id: { $in: message.notifications } },
+      { emailSent: true, emailSentAt: message.sentAt }
+    );
+  }
+};
+
+// Send everything that is due. Safe to call at any time; overlapping calls
+// are folded into one extra pass.
+const processOutbox = async () => {
+  // Without a transport, leave messages queued until one is configured
+  if (!isEmailConfigured()) return;
+
+  if (running) {
+    rerun = true;
+    return;
+  }
+
+  running = true;
+  try {
+    do {
+      rerun = false;
+      for (let message = await OutboxMessage.claimNext(LOCK_TIMEOUT_MS); message; message = await OutboxMessage.claimNext(LOCK_TIMEOUT_MS)) {
+        await deliver(message);
+      }
+    } while (rerun);
+  } catch (error) {
+    console.error('❌ Email worker error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+const onQueued = () => {
+  processOutbox();
+};
+
+// Start polling the outbox in this process
+const startEmailWorker = () => {
+  if (timer) return;
+
+  if (!isEmailConfigured()) {
+    console.log('⚠️ Email not configured, queued emails will wait until it is');
+  }
+
+  timer = setInterval(processOutbox, POLL_INTERVAL_MS);
+  timer.unref();
+  mailEvents.on('queued', onQueued);
+  processOutbox();
+};
+
+const stopEmailWorker = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+  mailEvents.off('queued', onQueued);
+};
+
+module.exports = {
+  processOutbox,
+  startEmailWorker,
+  stopEmailWorker
+};
@@ -0,0 +1,98 @@
+const Contact = require('../models/Contact');
+const { getSheetsConfig, isSheetsConfigured, contactRow, appendRows } = require('../utils/googleSheets');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SHEETS_SYNC_INTERVAL_MS) || 60 * 1000;
+// First retry delay; doubles with each failed attempt
+const RETRY_BASE_MS = parseInt(process.env.SHEETS_RETRY_BASE_MS) || 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.SHEETS_MAX_ATTEMPTS) || 8;
+// Rows per append request
+const BATCH_SIZE = 50;
+// A lead still `syncing` after this long is assumed abandoned
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+let timer = null;
+let running = false;
+let rerun = false;
+
+// Append one claimed batch in a single request. Leads that can't be decrypted
+// fail on their own; an API error fails the whole batch. Resolves to false
+// when the API call failed.
+const syncBatch = async (config, contacts) => {
+  const rows = [];
+  const included = [];
+  let ok = true;
+
+  for (const contact of contacts) {
+    const data = contact.decryptSensitiveData();
+    if (!data) {
+      contact.markSheetsFailed(new Error('Contact data could not be decrypted'), RETRY_BASE_MS, MAX_ATTEMPTS);
+      continue;
+    }
+    rows.push(contactRow(config, contact, data));
+    included.push(contact);
+  }
+
+  if (included.length > 0) {
+    try {
+      const updatedRange = await appendRows(config, rows);
+      included.forEach(contact => contact.markSheetsSynced(updatedRange));
+      console.log(`✅ ${included.length} contact(s) added to Google Sheets`);
+    } catch (error) {
+      console.error('❌ Error adding to Google Sheets:', error.message);
+      included.forEach(contact => contact.markSheetsFailed(error, RETRY_BASE_MS, MAX_ATTEMPTS));
+      ok = false;
+    }
+  }
+
+  // Only the sync fields changed; skip full validation of the encrypted documents
+  await Promise.all(contacts.map(contact => contact.save({ validateBeforeSave: false })));
+  return ok;
+};
+
+// Push every lead that is due. Safe to call at any time; overlapping calls
+// are folded into one extra pass.
+const processSheetsSync = async () => {
+  if (running) {
+    rerun = true;
+    return;
+  }
+
+  running = true;
+  try {
+    do {
+      rerun = false;
+      // Read per pass so admin changes to the mapping apply straight away
+      const config = await getSheetsConfig();
+      if (!isSheetsConfigured(config)) break;
+
+      // Stop at the first API failure rather than failing every queued lead in turn
+      for (let batch = await Contact.claimSheetsBatch(BATCH_SIZE, LOCK_TIMEOUT_MS); batch.length > 0; batch = await Contact.claimSheetsBatch(BATCH_SIZE, LOCK_TIMEOUT_MS)) {
+        if (!await syncBatch(config, batch)) break;
+      }
+    } while (rerun);
+  } catch (error) {
+    console.error('❌ Google Sheets sync error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+// Start polling for leads to push in this process
+const startSheetsSync = () => {
+  if (timer) return;
+  timer = setInterval(processSheetsSync, POLL_INTERVAL_MS);
+  timer.unref();
+  processSheetsSync();
+};
+
+const stopSheetsSync = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  processSheetsSync,
+  startSheetsSync,
+  stopSheetsSync
+};
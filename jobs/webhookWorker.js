@@ -0,0 +1,120 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { webhookEvents } = require('../utils/webhooks');
+const { checkWebhookUrl, postWebhook } = require('../utils/webhookRequest');
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 15 * 1000;
+// First retry delay; doubles with each failed attempt
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+// A delivery still `delivering` after this long is assumed abandoned
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const RESPONSE_LOG_LENGTH = 1000;
+
+let timer = null;
+let running = false;
+let rerun = false;
+
+// POST one claimed delivery and record the attempt
+const deliver = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+encryptedSecret');
+  const payload = delivery.getPayload();
+  const startedAt = Date.now();
+
+  if (!webhook || !webhook.isActive || !payload) {
+    // Nothing to retry until an admin steps in
+    delivery.maxAttempts = delivery.attempts + 1;
+    delivery.markFailed({
+      error: !webhook ? 'Webhook was deleted' : !webhook.isActive ? 'Webhook is disabled' : 'Payload could not be decrypted',
+      durationMs: 0
+    }, RETRY_BASE_MS);
+    await delivery.save();
+    return;
+  }
+
+  const body = JSON.stringify(payload);
+  let statusCode;
+  let response;
+
+  try {
+    // Checked on every attempt, as the host may since resolve elsewhere
+    const urlError = await checkWebhookUrl(webhook.url);
+    if (urlError) {
+      throw new Error(urlError);
+    }
+
+    const res = await postWebhook(webhook.url, {
+      body,
+      timeoutMs: REQUEST_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BeyondBlueprint-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Signature': webhook.sign(body)
+      }
+    });
+    statusCode = res.status;
+    response = res.text.slice(0, RESPONSE_LOG_LENGTH);
+
+    if (statusCode < 200 || statusCode >= 300) {
+      throw new Error(`Receiver responded with ${statusCode}`);
+    }
+    delivery.markDelivered({ statusCode, response, durationMs: Date.now() - startedAt });
+  } catch (error) {
+    delivery.markFailed({ statusCode, response, error: error.message, durationMs: Date.now() - startedAt }, RETRY_BASE_MS);
+    console.error(`❌ Webhook delivery ${delivery._id} attempt ${delivery.attempts} failed:`, error.message);
+  }
+
+  await delivery.save();
+};
+
+// Deliver everything that is due. Safe to call at any time; overlapping calls
+// are folded into one extra pass.
+const processWebhooks = async () => {
+  if (running) {
+    rerun = true;
+    return;
+  }
+
+  running = true;
+  try {
+    do {
+      rerun = false;
+      for (let delivery = await WebhookDelivery.claimNext(LOCK_TIMEOUT_MS); delivery; delivery = await WebhookDelivery.claimNext(LOCK_TIMEOUT_MS)) {
+        await deliver(delivery);
+      }
+    } while (rerun);
+  } catch (error) {
+    console.error('❌ Webhook worker error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+const onQueued = () => {
+  processWebhooks();
+};
+
+// Start polling for webhook deliveries in this process
+const startWebhookWorker = () => {
+  if (timer) return;
+  timer = setInterval(processWebhooks, POLL_INTERVAL_MS);
+  timer.unref();
+  webhookEvents.on('queued', onQueued);
+  processWebhooks();
+};
+
+const stopWebhookWorker = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+  webhookEvents.off('queued', onQueued);
+};
+
+module.exports = {
+  processWebhooks,
+  startWebhookWorker,
+  stopWebhookWorker
+};
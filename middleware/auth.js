@@ -1,40 +1,110 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { hasPermission, getEffectivePermissions } = require('../config/permissions');
 
-// Protect routes - require authentication
+// Resolve the user and session behind an access token.
+// Access tokens carry the session id (sid) so a revoked session stops
+// working immediately instead of when the token expires.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sid) {
+    return { error: 'Session expired, please log in again' };
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive || !session.user.equals(decoded.id)) {
+    return { error: 'Session has been revoked' };
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  if (!user.isActive) {
+    return { error: 'User account is deactivated' };
+  }
+
+  if (!user.emailVerified) {
+    return { error: 'Please verify your email address', status: 403 };
+  }
+
+  return { user, session };
+};
+
+// Resolve the key and owning user behind an `Authorization: ApiKey ...` header
+const authenticateApiKey = async (key) => {
+  const apiKey = await ApiKey.authenticate(key);
+  if (!apiKey || !apiKey.isActive) {
+    return { error: 'Invalid, expired or revoked API key' };
+  }
+
+  const user = await User.findById(apiKey.createdBy).select('-password');
+  if (!user || !user.isActive) {
+    return { error: 'API key owner is missing or deactivated' };
+  }
+
+  return { user, apiKey };
+};
+
+// Protect routes - require authentication (user access token or API key)
 const protect = async (req, res, next) => {
-  let token;
+  const authorization = req.headers.authorization || '';
 
-  // Check for token in headers
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+  // Machine clients authenticate with a scoped API key
+  if (authorization.startsWith('ApiKey ')) {
     try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
-
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const { user, apiKey, error } = await authenticateApiKey(authorization.slice('ApiKey '.length));
 
-      // Get user from token
-      const user = await User.findById(decoded.id).select('-password');
-      
-      if (!user) {
+      if (error) {
         return res.status(401).json({
           success: false,
-          message: 'User not found'
+          message: error
         });
       }
 
-      if (!user.isActive) {
-        return res.status(401).json({
+      apiKey.touch(req.ip).catch(err => console.error('API key usage update failed:', err.message));
+
+      req.user = user;
+      req.apiKey = apiKey;
+      return next();
+    } catch (error) {
+      console.error('API key verification error:', error.message);
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, API key failed'
+      });
+    }
+  }
+
+  let token;
+
+  // Check for token in headers
+  if (authorization.startsWith('Bearer')) {
+    try {
+      // Get token from header
+      token = authorization.split(' ')[1];
+
+      const { user, session, error, status } = await authenticateToken(token);
+
+      if (error) {
+        return res.status(status || 401).json({
           success: false,
-          message: 'User account is deactivated'
+          message: error,
+          ...(status === 403 && { emailVerificationRequired: true })
         });
       }
 
+      session.touch(req.ip).catch(err => console.error('Session activity update failed:', err.message));
+
       req.user = user;
-      next();
+      req.authSession = session;
+      return next();
     } catch (error) {
-      console.error('Token verification error:', error);
+      console.error('Token verification error:', error.message);
       return res.status(401).json({
         success: false,
         message: 'Not authorized, token failed'
@@ -50,6 +120,18 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Routes acting on the caller's own login (password, 2FA, sessions, key
+// management) need a real user session, not an API key
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint is not available to API keys'
+    });
+  }
+  next();
+};
+
 // Admin only middleware (admin or superadmin)
 const admin = (req, res, next) => {
   if (req.user && (req.user.role === 'admin' || req.user.role === 'superadmin')) {
@@ -62,19 +144,42 @@ const admin = (req, res, next) => {
   }
 };
 
-// Permission-based middleware
-const checkPermission = (permission) => (req, res, next) => {
-  if (
-    req.user &&
-    (req.user.role === 'superadmin' ||
-      req.user.permissions?.includes('all') ||
-      req.user.permissions?.includes(permission))
-  ) {
+// Whether the request comes from a superadmin's own session. API keys never
+// count as superadmin, even when a superadmin created them.
+const isSuperadminRequest = (req) =>
+  !!(req.user && req.user.role === 'superadmin' && !req.apiKey);
+
+// Superadmin only middleware
+const superadmin = (req, res, next) => {
+  if (isSuperadminRequest(req)) {
+    next();
+  } else {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Superadmin privileges required.'
+    });
+  }
+};
+
+// Permissions of the current request: the user's, narrowed to the key scope for API keys
+const getRequestPermissions = (req) => {
+  const permissions = getEffectivePermissions(req.user);
+  if (!req.apiKey) return permissions;
+  return permissions.filter(permission => req.apiKey.permissions.includes(permission));
+};
+
+// Whether the current request holds a permission
+const requestHasPermission = (req, permission) =>
+  getRequestPermissions(req).includes(permission);
+
+// Permission-based middleware (passes if the request holds any of the permissions)
+const checkPermission = (...permissions) => (req, res, next) => {
+  if (permissions.some(permission => requestHasPermission(req, permission))) {
     return next();
   }
   return res.status(403).json({
     success: false,
-    message: `Access denied. Permission '${permission}' required.`
+    message: `Access denied. Permission '${permissions.join("' or '")}' required.`
   });
 };
 
@@ -82,14 +187,25 @@ const checkPermission = (permission) => (req, res, next) => {
 const optionalAuth = async (req, res, next) => {
   let token;
 
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+  if (req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+    try {
+      const { user, apiKey } = await authenticateApiKey(req.headers.authorization.slice('ApiKey '.length));
+
+      if (user) {
+        req.user = user;
+        req.apiKey = apiKey;
+      }
+    } catch (error) {
+      console.log('Optional auth API key invalid:', error.message);
+    }
+  } else if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
       token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
-      
-      if (user && user.isActive) {
+      const { user, session } = await authenticateToken(token);
+
+      if (user) {
         req.user = user;
+        req.authSession = session;
       }
     } catch (error) {
       // Token is invalid, but we don't fail the request
@@ -111,8 +227,14 @@ const authRateLimit = {
 
 module.exports = {
   protect,
+  requireSession,
   admin,
+  superadmin,
+  isSuperadminRequest,
   optionalAuth,
   authRateLimit,
-  checkPermission
+  checkPermission,
+  hasPermission,
+  getRequestPermissions,
+  requestHasPermission
 }; 
\ No newline at end of file
@@ -13,6 +13,39 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage });
 
+// Files sent with the public contact form. Kept in memory so their content
+// can be checked before anything is stored; see utils/contactAttachments.js.
+const CONTACT_ATTACHMENT_LIMITS = {
+  maxFiles: parseInt(process.env.CONTACT_ATTACHMENT_MAX_FILES) || 5,
+  maxFileSize: (parseInt(process.env.CONTACT_ATTACHMENT_MAX_MB) || 5) * 1024 * 1024
+};
+
+const contactUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    files: CONTACT_ATTACHMENT_LIMITS.maxFiles,
+    fileSize: CONTACT_ATTACHMENT_LIMITS.maxFileSize,
+    fields: 20
+  }
+}).array('attachments');
+
+// Parse the `attachments` field, answering limit violations with a clear message
+const contactUpload = (req, res, next) => {
+  contactUploader(req, res, (error) => {
+    if (!(error instanceof multer.MulterError)) return next(error);
+
+    const messages = {
+      LIMIT_FILE_SIZE: `Attachments must be ${CONTACT_ATTACHMENT_LIMITS.maxFileSize / 1024 / 1024} MB or smaller`,
+      LIMIT_FILE_COUNT: `You can attach up to ${CONTACT_ATTACHMENT_LIMITS.maxFiles} files`,
+      LIMIT_UNEXPECTED_FILE: 'Files must be sent in the "attachments" field'
+    };
+    res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      message: messages[error.code] || error.message
+    });
+  });
+};
+
 cloudinary.config({
   cloud_name: 'dsffxqf8f',
   api_key: process.env.API_KEY,
@@ -51,6 +84,8 @@ const deletefile = async (publicId) => {
 
 module.exports = {
   upload,
+  contactUpload,
+  CONTACT_ATTACHMENT_LIMITS,
   uploadfile,
   deletefile
 }; 
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Keys look like `bbk_<prefix>.<secret>`; the prefix identifies the key,
+// only a hash of the secret is stored
+const KEY_PREFIX = 'bbk_';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  secretHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Scope: the key can never do more than both this list and its owner allow
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ createdBy: 1, createdAt: -1 });
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+apiKeySchema.set('toJSON', { virtuals: true });
+
+// Static method to create a key, returns the full key string (shown only once)
+apiKeySchema.statics.generate = async function({ name, permissions, expiresAt, createdBy }) {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const apiKey = await this.create({
+    name,
+    prefix,
+    secretHash: hashSecret(secret),
+    permissions,
+    expiresAt: expiresAt || null,
+    createdBy
+  });
+
+  return { apiKey, key: `${KEY_PREFIX}${prefix}.${secret}` };
+};
+
+// Static method to look up and verify a full key string
+apiKeySchema.statics.authenticate = async function(key) {
+  const match = /^bbk_([a-f0-9]{12})\.([a-f0-9]{64})$/.exec(String(key).trim());
+  if (!match) return null;
+
+  const apiKey = await this.findOne({ prefix: match[1] }).select('+secretHash');
+  if (!apiKey) return null;
+
+  const expected = Buffer.from(apiKey.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(match[2]), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  return apiKey;
+};
+
+// Method to record usage (throttled to avoid a write on every request)
+apiKeySchema.methods.touch = function(ipAddress) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) {
+    return Promise.resolve();
+  }
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ipAddress;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: this.lastUsedAt, lastUsedIp: ipAddress }
+  );
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Who did it (null for anonymous actions such as a forgot-password request)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  // Dotted action name, e.g. `user.role_update`, `project.delete`
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  targetModel: {
+    type: String,
+    default: null
+  },
+  // Stored as a string: most targets are ObjectIds, some are slugs or indexes
+  targetId: {
+    type: String,
+    default: null
+  },
+  // Only the fields that changed
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// Times are on a 15 minute grid so bookings of any length line up
+const TIME_PATTERN = /^(([01]\d|2[0-3]):(00|15|30|45)|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// When a designer takes consultations. Weekly hours and blackout dates are
+// in the designer's own time zone.
+const availabilitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Name shown to visitors when they pick a slot
+  displayName: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true,
+    maxlength: [100, 'Display name cannot exceed 100 characters']
+  },
+  timezone: {
+    type: String,
+    default: () => process.env.BOOKING_TIMEZONE || 'Asia/Kolkata',
+    validate: [isTimeZone, 'Unknown time zone']
+  },
+  weekly: [{
+    _id: false,
+    // 0 is Sunday
+    day: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6
+    },
+    start: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'Times must be HH:MM on a 15 minute boundary']
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'Times must be HH:MM on a 15 minute boundary'],
+      validate: {
+        validator: function(end) {
+          return !TIME_PATTERN.test(this.start || '') || toMinutes(end) > toMinutes(this.start);
+        },
+        message: 'Weekly hours must end after they start'
+      }
+    }
+  }],
+  // Days off, inclusive
+  blackouts: [{
+    startDate: {
+      type: String,
+      required: true,
+      match: [DATE_PATTERN, 'Dates must be YYYY-MM-DD']
+    },
+    endDate: {
+      type: String,
+      required: true,
+      match: [DATE_PATTERN, 'Dates must be YYYY-MM-DD'],
+      validate: {
+        validator: function(endDate) {
+          return endDate >= this.startDate;
+        },
+        message: 'Blackouts must end on or after their start date'
+      }
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Reason cannot exceed 200 characters'],
+      default: ''
+    }
+  }],
+  // Services this designer can be booked for; empty means all of them
+  services: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check whether the designer takes a service
+availabilitySchema.methods.offers = function(service) {
+  return this.services.length === 0 || this.services.includes(service);
+};
+
+// Method to check whether a local date (YYYY-MM-DD) falls in a blackout
+availabilitySchema.methods.isBlackedOut = function(date) {
+  return this.blackouts.some(blackout => blackout.startDate <= date && date <= blackout.endDate);
+};
+
+// Method to get the weekly hours for a local date, as minutes from midnight
+availabilitySchema.methods.hoursOn = function(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return this.weekly
+    .filter(hours => hours.day === day)
+    .map(hours => ({ start: toMinutes(hours.start), end: toMinutes(hours.end) }))
+    .sort((a, b) => a.start - b.start);
+};
+
+module.exports = mongoose.model('Availability', availabilitySchema);
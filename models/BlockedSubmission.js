@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { encryptJson, decryptJson, needsReencryption } = require('../utils/encryption');
+
+// Contact form submissions rejected by bot protection, kept for admin review
+const blockedSubmissionSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    enum: ['honeypot', 'missing_token', 'invalid_token', 'too_fast', 'ip_quota', 'email_quota'],
+    required: true
+  },
+  // Submitted fields (name, email, phone, service, budget, message), encrypted
+  encryptedData: {
+    type: String,
+    required: true
+  },
+  emailIndex: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  // Set when an admin restores the submission as a real contact
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  releasedContact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + (parseInt(process.env.BLOCKED_SUBMISSION_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+blockedSubmissionSchema.index({ createdAt: -1 });
+blockedSubmissionSchema.index({ reason: 1, createdAt: -1 });
+blockedSubmissionSchema.index({ ipAddress: 1, createdAt: -1 });
+blockedSubmissionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to log a blocked submission
+blockedSubmissionSchema.statics.record = function(reason, formData, { ipAddress, userAgent, emailIndex }) {
+  return this.create({
+    reason,
+    encryptedData: encryptJson(formData),
+    emailIndex,
+    ipAddress,
+    userAgent
+  });
+};
+
+// Method to get a plain object with the submitted fields decrypted
+blockedSubmissionSchema.methods.toDecryptedObject = function() {
+  const { encryptedData, ...submission } = this.toObject();
+  return {
+    ...submission,
+    data: decryptJson(encryptedData)
+  };
+};
+
+// Method to rewrite the payload with the current key, returns false if it was current
+blockedSubmissionSchema.methods.reencrypt = function() {
+  if (!needsReencryption(this.encryptedData)) return false;
+
+  const data = decryptJson(this.encryptedData);
+  if (data === null) {
+    throw new Error(`Blocked submission ${this._id}: encrypted data could not be decrypted`);
+  }
+  this.encryptedData = encryptJson(data);
+  return true;
+};
+
+module.exports = mongoose.model('BlockedSubmission', blockedSubmissionSchema);
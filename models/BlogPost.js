@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { emitEvent } = require('../utils/webhooks');
 
 const blogPostSchema = new mongoose.Schema({
   title: {
@@ -169,4 +170,27 @@ blogPostSchema.statics.search = function(query, limit = 10) {
   .populate('author', 'username');
 };
 
+// Outgoing webhook: blog.published when a post goes live
+blogPostSchema.pre('save', function(next) {
+  this.$locals.publishedNow = this.published && (this.isNew || this.isModified('published'));
+  next();
+});
+
+blogPostSchema.post('save', function() {
+  if (!this.$locals.publishedNow) return;
+
+  emitEvent('blog.published', {
+    post: {
+      id: String(this._id),
+      title: this.title,
+      slug: this.slug,
+      excerpt: this.excerpt,
+      category: this.category,
+      tags: this.tags,
+      featuredImage: this.featuredImage,
+      publishedAt: this.publishedAt
+    }
+  });
+});
+
 module.exports = mongoose.model('BlogPost', blogPostSchema); 
\ No newline at end of file
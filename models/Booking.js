@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+
+// Bookings reserve time in 15 minute blocks
+const BLOCK_MINUTES = 15;
+
+// Consultation booked with a designer, linked to the lead it came from
+const bookingSchema = new mongoose.Schema({
+  designer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: true
+  },
+  service: {
+    type: String,
+    default: ''
+  },
+  startAt: {
+    type: Date,
+    required: true
+  },
+  endAt: {
+    type: Date,
+    required: true
+  },
+  // Designer's time zone when booked, used to show the time in emails
+  timezone: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['confirmed', 'cancelled'],
+    default: 'confirmed'
+  },
+  // `<designer>:<minute>` for every block the booking covers. A unique index
+  // over confirmed bookings makes a double booking fail on insert.
+  blocks: [String],
+  // Calendar invite revision, bumped on every change
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  // Set once the reminder is queued (or when booked too late to need one)
+  reminderQueuedAt: {
+    type: Date,
+    default: null
+  },
+  // Failed attempts to queue the reminder; retried later, up to a limit
+  reminderAttempts: {
+    type: Number,
+    default: 0
+  },
+  reminderRetryAt: {
+    type: Date,
+    default: null
+  },
+  reminderError: {
+    type: String,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
+  history: [{
+    action: {
+      type: String,
+      enum: ['booked', 'rescheduled', 'cancelled'],
+      required: true
+    },
+    designer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    startAt: Date,
+    endAt: Date,
+    // null when the visitor booked
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+bookingSchema.index({ blocks: 1 }, { unique: true, partialFilterExpression: { status: 'confirmed' } });
+bookingSchema.index({ designer: 1, startAt: 1 });
+bookingSchema.index({ status: 1, startAt: 1 });
+bookingSchema.index({ contact: 1 });
+
+// Static method to list the blocks a designer's time range covers
+bookingSchema.statics.blockKeys = function(designerId, startAt, endAt) {
+  const first = Math.floor(new Date(startAt).getTime() / 60000 / BLOCK_MINUTES);
+  const last = Math.ceil(new Date(endAt).getTime() / 60000 / BLOCK_MINUTES);
+  const keys = [];
+  for (let block = first; block < last; block++) {
+    keys.push(`${designerId}:${block * BLOCK_MINUTES}`);
+  }
+  return keys;
+};
+
+// Static method to book a slot. Rejects with a duplicate key error (11000)
+// if any of its time is already taken.
+bookingSchema.statics.book = function({ designer, contact, service, startAt, endAt, timezone, reminderQueuedAt = null }, userId = null) {
+  return this.create({
+    designer,
+    contact,
+    service,
+    startAt,
+    endAt,
+    timezone,
+    reminderQueuedAt,
+    blocks: this.blockKeys(designer, startAt, endAt),
+    history: [{ action: 'booked', designer, startAt, endAt, by: userId }]
+  });
+};
+
+// Static method to claim the next booking due a reminder within `leadTimeMs`.
+// Bookings that failed `maxAttempts` times are left alone.
+bookingSchema.statics.claimReminder = function(leadTimeMs, maxAttempts) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      status: 'confirmed',
+      reminderQueuedAt: null,
+      reminderAttempts: { $lt: maxAttempts },
+      $or: [{ reminderRetryAt: null }, { reminderRetryAt: { $lte: now } }],
+      startAt: { $gt: now, $lte: new Date(now.getTime() + leadTimeMs) }
+    },
+    { reminderQueuedAt: now },
+    { sort: { startAt: 1 }, new: true }
+  );
+};
+
+// Method to record a failed reminder and schedule the retry
+bookingSchema.methods.markReminderFailed = function(error, retryDelayMs) {
+  this.reminderQueuedAt = null;
+  this.reminderAttempts += 1;
+  this.reminderError = error.message;
+  this.reminderRetryAt = new Date(Date.now() + retryDelayMs * 2 ** (this.reminderAttempts - 1));
+};
+
+// Method to move the booking. Saving fails with a duplicate key error if the
+// new time is taken.
+bookingSchema.methods.reschedule = function({ designer, startAt, endAt, timezone }, userId) {
+  this.designer = designer;
+  this.startAt = startAt;
+  this.endAt = endAt;
+  this.timezone = timezone;
+  this.blocks = this.constructor.blockKeys(designer, startAt, endAt);
+  this.sequence += 1;
+  this.reminderQueuedAt = null;
+  this.reminderAttempts = 0;
+  this.reminderRetryAt = null;
+  this.reminderError = null;
+  this.history.push({ action: 'rescheduled', designer, startAt, endAt, by: userId });
+};
+
+// Method to cancel the booking, freeing its time
+bookingSchema.methods.cancel = function(userId, reason = '') {
+  this.status = 'cancelled';
+  this.cancelledAt = new Date();
+  this.cancelledBy = userId;
+  this.cancelReason = reason;
+  this.sequence += 1;
+  this.history.push({ action: 'cancelled', designer: this.designer, startAt: this.startAt, endAt: this.endAt, by: userId });
+};
+
+module.exports = mongoose.model('Booking', bookingSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
-const crypto = require('crypto');
+const { encryptJson, decryptJson, currentKeyVersion, needsReencryption } = require('../utils/encryption');
+const { emailIndex, phoneIndex, nameTokenIndexes } = require('../utils/blindIndex');
+const { getSetting } = require('../config/settings');
+const { emitEvent } = require('../utils/webhooks');
 
 const contactSchema = new mongoose.Schema({
   name: {
@@ -39,6 +42,200 @@ const contactSchema = new mongoose.Schema({
     enum: ['new', 'read', 'replied', 'archived'],
     default: 'new'
   },
+  // Lead pipeline (stage keys come from the `pipelineStages` setting)
+  stage: {
+    type: String,
+    default: 'new',
+    trim: true
+  },
+  stageHistory: [{
+    stage: {
+      type: String,
+      required: true
+    },
+    from: {
+      type: String,
+      default: null
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expectedValue: {
+    type: Number,
+    min: [0, 'Expected value cannot be negative'],
+    default: null
+  },
+  nextFollowUpAt: {
+    type: Date,
+    default: null
+  },
+  lostReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Lost reason cannot exceed 500 characters'],
+    default: null
+  },
+  // Outbound emails sent from the admin panel (recipient, subject and body encrypted)
+  replies: [{
+    encryptedData: {
+      type: String,
+      required: true
+    },
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    messageId: {
+      type: String,
+      default: null
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Internal notes by staff (body encrypted)
+  notes: [{
+    kind: {
+      type: String,
+      enum: ['note', 'call', 'measurement', 'task'],
+      default: 'note'
+    },
+    encryptedData: {
+      type: String,
+      required: true
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    attachments: [{
+      url: String,
+      publicId: String,
+      originalName: String,
+      mimeType: String,
+      size: Number
+    }],
+    // Follow-up tasks only
+    dueAt: {
+      type: Date,
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Files sent with the form, stored as ContactAttachment documents
+  attachmentCount: {
+    type: Number,
+    default: 0
+  },
+  // Acknowledgement email queued for the submitter
+  autoReplyMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutboxMessage',
+    default: null
+  },
+  // Google Sheets append; spam is skipped unless it is later marked not spam
+  sheetsSync: {
+    status: {
+      type: String,
+      enum: ['pending', 'syncing', 'synced', 'failed', 'skipped', null],
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: null
+    },
+    lockedAt: {
+      type: Date,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    syncedAt: {
+      type: Date,
+      default: null
+    },
+    updatedRange: {
+      type: String,
+      default: null
+    }
+  },
+  // Earlier submissions merged into this lead (content encrypted)
+  submissions: [{
+    encryptedData: {
+      type: String,
+      required: true
+    },
+    service: String,
+    budget: String,
+    sourceContact: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Earlier lead with the same email or phone, linked when this one was created
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    default: null
+  },
+  duplicateMatch: [{
+    type: String,
+    enum: ['email', 'phone']
+  }],
+  mergeHistory: [{
+    mergedContact: mongoose.Schema.Types.ObjectId,
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    mergedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   ipAddress: {
     type: String,
     required: true
@@ -51,22 +248,63 @@ const contactSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Classifier probability (0-1) that the submission is spam
   spamScore: {
     type: Number,
     default: 0
   },
+  // Admin verdict used to train the classifier
+  spamLabel: {
+    type: String,
+    enum: ['spam', 'ham', null],
+    default: null
+  },
+  spamLabeledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  spamLabeledAt: {
+    type: Date,
+    default: null
+  },
+  // Blind indexes (keyed hashes) so encrypted contacts can be searched by exact match
+  emailIndex: {
+    type: String,
+    default: null
+  },
+  phoneIndex: {
+    type: String,
+    default: null
+  },
+  nameTokens: {
+    type: [String],
+    default: []
+  },
   // Encrypted sensitive data
   encryptedData: {
     type: String,
     default: null
+  },
+  // Data-encryption key version used for encryptedData, replies and notes
+  // (missing on contacts encrypted before keys were versioned)
+  encryptionKeyVersion: {
+    type: Number
   }
 }, {
   timestamps: true
 });
 
 // Index for better query performance
-contactSchema.index({ email: 1, createdAt: -1 });
 contactSchema.index({ status: 1, createdAt: -1 });
+contactSchema.index({ stage: 1, updatedAt: -1 });
+contactSchema.index({ assignedTo: 1, nextFollowUpAt: 1 });
+contactSchema.index({ emailIndex: 1, createdAt: -1 });
+contactSchema.index({ phoneIndex: 1, createdAt: -1 });
+contactSchema.index({ nameTokens: 1 });
+contactSchema.index({ duplicateOf: 1 });
+contactSchema.index({ 'sheetsSync.status': 1, 'sheetsSync.nextAttemptAt': 1 });
+contactSchema.index({ ipAddress: 1, createdAt: -1 });
 
 // Virtual for service display name
 contactSchema.virtual('serviceDisplay').get(function() {
@@ -92,22 +330,46 @@ contactSchema.virtual('budgetDisplay').get(function() {
   return budgetMap[this.budget] || this.budget;
 });
 
-// Method to encrypt sensitive data
+// Method to compute blind indexes from the plaintext fields
+contactSchema.methods.setBlindIndexes = function({ name, email, phone } = this) {
+  this.emailIndex = emailIndex(email);
+  this.phoneIndex = phoneIndex(phone);
+  this.nameTokens = nameTokenIndexes(name);
+};
+
+// Static method to turn search params into a query on the blind indexes.
+// Matches are exact (per name word), there is no substring search on encrypted data.
+contactSchema.statics.searchFilter = function({ email, phone, q } = {}) {
+  const filter = {};
+
+  if (email) filter.emailIndex = emailIndex(email);
+  if (phone) filter.phoneIndex = phoneIndex(phone);
+
+  if (q) {
+    const term = String(q).trim();
+    if (term.includes('@')) {
+      filter.emailIndex = emailIndex(term);
+    } else if (/^[\d\s()+.-]{6,}$/.test(term)) {
+      filter.phoneIndex = phoneIndex(term);
+    } else {
+      const tokens = nameTokenIndexes(term);
+      if (tokens.length > 0) filter.nameTokens = { $all: tokens };
+    }
+  }
+
+  return filter;
+};
+
+// Method to encrypt sensitive data. The cleared fields keep a placeholder
+// their validators reject, so save stored leads with `{ validateModifiedOnly: true }`.
 contactSchema.methods.encryptSensitiveData = function() {
-  const algorithm = 'aes-256-cbc';
-  const key = crypto.scryptSync(process.env.JWT_SECRET, 'salt', 32);
-  const iv = crypto.randomBytes(16);
-  
-  const cipher = crypto.createCipheriv(algorithm, key, iv);
-  let encrypted = cipher.update(JSON.stringify({
+  this.encryptedData = encryptJson({
     name: this.name,
     email: this.email,
     phone: this.phone,
     message: this.message
-  }), 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  
-  this.encryptedData = iv.toString('hex') + ':' + encrypted;
+  });
+  this.encryptionKeyVersion = currentKeyVersion();
   
   // Clear sensitive fields after encryption
   this.name = '[ENCRYPTED]';
@@ -118,32 +380,298 @@ contactSchema.methods.encryptSensitiveData = function() {
 
 // Method to decrypt sensitive data
 contactSchema.methods.decryptSensitiveData = function() {
-  if (!this.encryptedData) return null;
-  
-  try {
-    const algorithm = 'aes-256-cbc';
-    const key = crypto.scryptSync(process.env.JWT_SECRET, 'salt', 32);
-    const parts = this.encryptedData.split(':');
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-    
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return JSON.parse(decrypted);
-  } catch (error) {
-    console.error('Decryption error:', error);
-    return null;
+  return decryptJson(this.encryptedData);
+};
+
+// Method to rewrite every encrypted payload with the current key.
+// Returns false if nothing needed rewriting, throws if a payload can't be read.
+contactSchema.methods.reencrypt = function() {
+  const items = [this, ...this.replies, ...this.notes, ...this.submissions].filter(item => item.encryptedData);
+  const stale = items.filter(item => needsReencryption(item.encryptedData));
+  if (stale.length === 0 && this.encryptionKeyVersion === currentKeyVersion()) return false;
+
+  stale.forEach(item => {
+    const data = decryptJson(item.encryptedData);
+    if (data === null) {
+      throw new Error(`Contact ${this._id}: encrypted data could not be decrypted`);
+    }
+    item.encryptedData = encryptJson(data);
+  });
+  this.encryptionKeyVersion = currentKeyVersion();
+  return true;
+};
+
+// Method to store an outbound email in the thread (content is encrypted)
+contactSchema.methods.addReply = function({ to, subject, body, sentBy, messageId }) {
+  this.replies.push({
+    encryptedData: encryptJson({ to, subject, body }),
+    sentBy,
+    messageId
+  });
+  return this.replies[this.replies.length - 1];
+};
+
+// Method to set a note's body (stored encrypted like the contact message)
+contactSchema.methods.setNoteBody = function(note, body) {
+  note.encryptedData = encryptJson({ body });
+  note.updatedAt = new Date();
+};
+
+// Method to get a note as a plain object with its body decrypted
+contactSchema.methods.decryptNote = function(note) {
+  const { encryptedData, ...noteObj } = typeof note.toObject === 'function' ? note.toObject() : note;
+  return {
+    ...noteObj,
+    body: decryptJson(encryptedData)?.body ?? null
+  };
+};
+
+// Static method to find earlier leads sharing an email or phone blind index
+contactSchema.statics.findDuplicateCandidates = function({ _id, emailIndex: email, phoneIndex: phone }, since = null) {
+  const or = [];
+  if (email) or.push({ emailIndex: email });
+  if (phone) or.push({ phoneIndex: phone });
+  if (or.length === 0) return Promise.resolve([]);
+
+  const query = { $or: or };
+  if (_id) query._id = { $ne: _id };
+  if (since) query.createdAt = { $gte: since };
+  return this.find(query).sort({ createdAt: 1 });
+};
+
+// Which identifiers two leads share
+contactSchema.methods.matchesOn = function(other) {
+  const matches = [];
+  if (this.emailIndex && this.emailIndex === other.emailIndex) matches.push('email');
+  if (this.phoneIndex && this.phoneIndex === other.phoneIndex) matches.push('phone');
+  return matches;
+};
+
+// Status a merged lead ends up with: the furthest one along
+const STATUS_RANK = ['new', 'read', 'replied'];
+
+// Method to fold other leads into this one. The caller moves their attachments
+// and deletes them afterwards. Throws if a merged payload can't be decrypted.
+contactSchema.methods.mergeFrom = function(others, userId) {
+  const byDate = (field) => (a, b) => new Date(a[field]) - new Date(b[field]);
+
+  others.forEach(other => {
+    this.submissions.push({
+      encryptedData: other.encryptedData,
+      service: other.service,
+      budget: other.budget,
+      sourceContact: other._id,
+      submittedAt: other.createdAt
+    });
+    other.submissions.forEach(submission => this.submissions.push(submission.toObject()));
+    other.replies.forEach(reply => this.replies.push(reply.toObject()));
+    other.notes.forEach(note => this.notes.push(note.toObject()));
+    other.stageHistory.forEach(entry => this.stageHistory.push({
+      ...entry.toObject(),
+      note: entry.note || `From merged lead ${other._id}`
+    }));
+    other.mergeHistory.forEach(entry => this.mergeHistory.push(entry.toObject()));
+
+    this.attachmentCount += other.attachmentCount;
+
+    if (!this.assignedTo && other.assignedTo) this.assignedTo = other.assignedTo;
+    if (this.expectedValue === null && other.expectedValue !== null) this.expectedValue = other.expectedValue;
+    if (other.nextFollowUpAt && (!this.nextFollowUpAt || other.nextFollowUpAt < this.nextFollowUpAt)) {
+      this.nextFollowUpAt = other.nextFollowUpAt;
+    }
+    if (STATUS_RANK.indexOf(other.status) > STATUS_RANK.indexOf(this.status)) this.status = other.status;
+
+    this.mergeHistory.push({ mergedContact: other._id, mergedBy: userId });
+  });
+
+  this.submissions.sort(byDate('submittedAt'));
+  this.replies.sort(byDate('sentAt'));
+  this.notes.sort(byDate('createdAt'));
+  this.stageHistory.sort(byDate('changedAt'));
+
+  // Merged leads may have been written with an older key than this one
+  this.reencrypt();
+};
+
+// Statuses the Sheets sync job picks up once nextAttemptAt has passed
+const SHEETS_DUE_STATUSES = ['pending', 'failed'];
+
+// Static method to claim up to `limit` leads due for a Sheets append, oldest
+// first. Leads left `syncing` longer than `lockTimeoutMs` are claimed again.
+contactSchema.statics.claimSheetsBatch = async function(limit, lockTimeoutMs) {
+  const now = new Date();
+  const due = {
+    isSpam: false,
+    $or: [
+      { 'sheetsSync.status': { $in: SHEETS_DUE_STATUSES }, 'sheetsSync.nextAttemptAt': { $lte: now } },
+      { 'sheetsSync.status': 'syncing', 'sheetsSync.lockedAt': { $lte: new Date(now.getTime() - lockTimeoutMs) } }
+    ]
+  };
+
+  const candidates = await this.find(due).sort({ createdAt: 1 }).limit(limit).select('_id');
+  if (candidates.length === 0) return [];
+
+  const ids = candidates.map(candidate => candidate._id);
+  await this.updateMany({ ...due, _id: { $in: ids } }, { 'sheetsSync.status': 'syncing', 'sheetsSync.lockedAt': now });
+  return this.find({ _id: { $in: ids }, 'sheetsSync.status': 'syncing', 'sheetsSync.lockedAt': now }).sort({ createdAt: 1 });
+};
+
+// Static method to queue every non-spam lead not yet in the sheet, returns how many.
+// Leads from before sync tracking (no status) were appended by the old code, so
+// they are only included from `legacySince` on, e.g. when the sheet was not
+// configured for a while.
+contactSchema.statics.queueSheetsBackfill = async function({ legacySince = null } = {}) {
+  const unsynced = [{ 'sheetsSync.status': { $in: ['pending', 'failed', 'skipped'] } }];
+  if (legacySince) {
+    unsynced.push({ 'sheetsSync.status': null, createdAt: { $gte: legacySince } });
   }
+
+  const result = await this.updateMany(
+    { isSpam: false, $or: unsynced },
+    {
+      'sheetsSync.status': 'pending',
+      'sheetsSync.attempts': 0,
+      'sheetsSync.nextAttemptAt': new Date(),
+      'sheetsSync.lastError': null
+    }
+  );
+  return result.modifiedCount;
+};
+
+// Method to record a successful Sheets append
+contactSchema.methods.markSheetsSynced = function(updatedRange) {
+  this.sheetsSync.status = 'synced';
+  this.sheetsSync.attempts += 1;
+  this.sheetsSync.lockedAt = null;
+  this.sheetsSync.lastError = null;
+  this.sheetsSync.syncedAt = new Date();
+  this.sheetsSync.updatedRange = updatedRange;
+};
+
+// Method to record a failed Sheets append and schedule the retry, backing
+// off exponentially; after maxAttempts it waits for a manual retry
+contactSchema.methods.markSheetsFailed = function(error, baseDelayMs, maxAttempts) {
+  this.sheetsSync.status = 'failed';
+  this.sheetsSync.attempts += 1;
+  this.sheetsSync.lockedAt = null;
+  this.sheetsSync.lastError = error.message;
+  this.sheetsSync.nextAttemptAt = this.sheetsSync.attempts >= maxAttempts
+    ? null
+    : new Date(Date.now() + Math.min(baseDelayMs * 2 ** (this.sheetsSync.attempts - 1), 24 * 60 * 60 * 1000));
+};
+
+// Method to include or exclude the lead from the sheet after a spam label
+// change. `wasSpam` is the label before it: leads from before sync tracking
+// have no status and are only queued if they were held back as spam.
+contactSchema.methods.updateSheetsSyncForSpam = function(wasSpam) {
+  const { status } = this.sheetsSync;
+  if (this.isSpam && SHEETS_DUE_STATUSES.includes(status)) {
+    this.sheetsSync.status = 'skipped';
+  } else if (!this.isSpam && (status === 'skipped' || (!status && wasSpam))) {
+    this.sheetsSync.status = 'pending';
+    this.sheetsSync.attempts = 0;
+    this.sheetsSync.nextAttemptAt = new Date();
+  }
+};
+
+// Method to move the lead to another pipeline stage
+contactSchema.methods.moveToStage = function(stage, { userId = null, note, lostReason } = {}) {
+  this.stageHistory.push({
+    stage,
+    from: this.stage,
+    changedBy: userId,
+    note
+  });
+  this.stage = stage;
+  if (lostReason !== undefined) this.lostReason = lostReason;
+};
+
+// Method to get a plain object with the sensitive fields decrypted
+contactSchema.methods.toDecryptedObject = function() {
+  const contactObj = this.toObject();
+  const decryptedData = this.decryptSensitiveData();
+  if (decryptedData) {
+    contactObj.name = decryptedData.name;
+    contactObj.email = decryptedData.email;
+    contactObj.phone = decryptedData.phone;
+    contactObj.message = decryptedData.message;
+  }
+  contactObj.replies = (contactObj.replies || []).map(({ encryptedData, ...reply }) => ({
+    ...reply,
+    ...decryptJson(encryptedData)
+  }));
+  contactObj.notes = (contactObj.notes || []).map(note => this.decryptNote(note));
+  contactObj.submissions = (contactObj.submissions || []).map(({ encryptedData, ...submission }) => ({
+    ...submission,
+    ...decryptJson(encryptedData)
+  }));
+  return contactObj;
 };
 
 // Pre-save middleware to encrypt data
 contactSchema.pre('save', function(next) {
   if (this.isNew && !this.encryptedData) {
+    this.setBlindIndexes();
     this.encryptSensitiveData();
   }
+  if (this.isNew && this.stageHistory.length === 0) {
+    this.stageHistory.push({ stage: this.stage });
+  }
+  if (this.isNew && !this.sheetsSync.status) {
+    this.sheetsSync.status = this.isSpam ? 'skipped' : 'pending';
+    this.sheetsSync.nextAttemptAt = new Date();
+  }
   next();
 });
 
+// Link a new lead to the earliest recent lead with the same email or phone
+contactSchema.pre('save', async function() {
+  if (!this.isNew || this.duplicateOf) return;
+
+  const windowDays = await getSetting('duplicateWindowDays');
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+  const [earliest] = await this.constructor.findDuplicateCandidates(this, since);
+  if (!earliest) return;
+
+  this.duplicateOf = earliest.duplicateOf || earliest._id;
+  this.duplicateMatch = this.matchesOn(earliest);
+});
+
+// Outgoing webhooks: contact.created (not for spam) and contact.status_changed
+contactSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+contactSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  this.$locals.statusChanged = !this.isNew && this.isModified('status');
+  next();
+});
+
+contactSchema.post('save', function() {
+  const { wasNew, statusChanged, savedStatus } = this.$locals;
+  this.$locals.savedStatus = this.status;
+  if (!(wasNew && !this.isSpam) && !statusChanged) return;
+
+  const contact = {
+    id: String(this._id),
+    service: this.service,
+    budget: this.budget,
+    status: this.status,
+    stage: this.stage,
+    createdAt: this.createdAt
+  };
+
+  // Only contact.created carries the lead's personal details; status changes
+  // send the id and pipeline fields
+  if (wasNew) {
+    const data = this.decryptSensitiveData() || {};
+    emitEvent('contact.created', {
+      contact: { ...contact, name: data.name, email: data.email, phone: data.phone, message: data.message }
+    });
+  } else {
+    emitEvent('contact.status_changed', { contact, previousStatus: savedStatus, status: this.status });
+  }
+});
+
 module.exports = mongoose.model('Contact', contactSchema); 
\ No newline at end of file
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { encryptBuffer, decryptBuffer, currentKeyVersion } = require('../utils/encryption');
+
+// Output of encryptBuffer in utils/encryption.js
+const encryptedContentSchema = new mongoose.Schema({
+  keyVersion: {
+    type: Number,
+    required: true
+  },
+  iv: {
+    type: Buffer,
+    required: true
+  },
+  tag: {
+    type: Buffer,
+    required: true
+  },
+  data: {
+    type: Buffer,
+    required: true
+  }
+}, { _id: false });
+
+// File sent with the contact form. The content is encrypted and never
+// served publicly; admins download it through a short-lived signed link.
+const contactAttachmentSchema = new mongoose.Schema({
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  // Detected from the file's content, not taken from the upload
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  sha256: {
+    type: String,
+    required: true
+  },
+  // Encrypted file content, left out of queries unless selected
+  content: {
+    type: encryptedContentSchema,
+    required: true,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+contactAttachmentSchema.index({ contact: 1, createdAt: 1 });
+contactAttachmentSchema.index({ 'content.keyVersion': 1 });
+
+// Static method to store checked files (see utils/contactAttachments.js) for a contact
+contactAttachmentSchema.statics.store = function(contactId, files) {
+  return this.insertMany(files.map(file => ({
+    contact: contactId,
+    originalName: file.originalName,
+    mimeType: file.mimeType,
+    size: file.buffer.length,
+    sha256: file.sha256,
+    content: encryptBuffer(file.buffer)
+  })));
+};
+
+// Method to get the decrypted file content (the query must select +content)
+contactAttachmentSchema.methods.getContent = function() {
+  return decryptBuffer(this.content);
+};
+
+// Method to rewrite the content with the current key, returns false if it was current
+contactAttachmentSchema.methods.reencrypt = function() {
+  if (this.content.keyVersion === currentKeyVersion()) return false;
+
+  const buffer = this.getContent();
+  if (buffer === null) {
+    throw new Error(`Contact attachment ${this._id}: content could not be decrypted`);
+  }
+  this.content = encryptBuffer(buffer);
+  return true;
+};
+
+// Plain object without the content
+contactAttachmentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.content;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ContactAttachment', contactAttachmentSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Admin-edited email template. Keys of the built-in templates (and `layout`)
+// override the defaults in config/emailTemplates.js.
+const emailTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Template key is required'],
+    unique: true,
+    trim: true,
+    match: [/^[a-z0-9_]{2,50}$/, 'Template key may only contain lowercase letters, digits and _']
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  subject: {
+    type: String,
+    maxlength: [300, 'Subject cannot exceed 300 characters'],
+    default: ''
+  },
+  html: {
+    type: String,
+    required: [true, 'HTML part is required'],
+    maxlength: [100000, 'HTML part cannot exceed 100000 characters']
+  },
+  text: {
+    type: String,
+    maxlength: [50000, 'Text part cannot exceed 50000 characters'],
+    default: ''
+  },
+  // Wrap the HTML part in the shared layout
+  useLayout: {
+    type: Boolean,
+    default: true
+  },
+  // Sample values for previews
+  sampleData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { PERMISSIONS } = require('../config/permissions');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  role: {
+    type: String,
+    enum: ['superadmin', 'admin', 'editor', 'viewer', 'user'],
+    required: [true, 'Role is required']
+  },
+  permissions: [{
+    type: String,
+    enum: [...PERMISSIONS, 'all']
+  }],
+  deniedPermissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  // Only the hash of the emailed token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ email: 1, createdAt: -1 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Virtual for invitation status
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.set('toJSON', { virtuals: true });
+
+// Method to (re)generate the accept token, returns the raw token to email
+invitationSchema.methods.generateToken = function(expireDays) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const days = expireDays || parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+
+  this.tokenHash = hashToken(token);
+  this.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Static method to find a pending invitation by its raw token
+invitationSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(String(token)),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -172,6 +172,17 @@ notificationSchema.statics.createSystemNotification = function(recipients, data)
   return this.insertMany(notifications);
 };
 
+// Static method to notify all active admins
+notificationSchema.statics.notifyAdmins = async function(data) {
+  const adminUsers = await mongoose.model('User').find({
+    role: { $in: ['admin', 'superadmin'] },
+    isActive: true
+  }).select('_id');
+
+  if (adminUsers.length === 0) return [];
+  return this.createSystemNotification(adminUsers.map(user => user._id), data);
+};
+
 // Method to mark as read
 notificationSchema.methods.markAsRead = function() {
   this.read = true;
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const { encryptJson, decryptJson, needsReencryption } = require('../utils/encryption');
+
+// Outbound email waiting for, or already through, the delivery worker
+const outboxMessageSchema = new mongoose.Schema({
+  // What the email is for, e.g. contact_notification, auto_reply, password_reset
+  category: {
+    type: String,
+    required: true
+  },
+  // Mail options (to, subject, html, text, headers...), encrypted since
+  // they carry contact details and account links
+  encryptedData: {
+    type: String,
+    required: true
+  },
+  // Content of sensitive messages (tokens, reset links) is never shown to admins
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: () => parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker holds the message, so a crashed send can be reclaimed
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  attemptLog: [{
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    },
+    success: Boolean,
+    error: String,
+    response: String,
+    durationMs: Number
+  }],
+  // Message-ID header, assigned when queued
+  messageId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // In-app notifications this email was sent for (marked emailSent on delivery)
+  notifications: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  }],
+  relatedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  relatedModel: {
+    type: String,
+    default: null
+  },
+  queuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ status: 1, createdAt: -1 });
+outboxMessageSchema.index({ category: 1, createdAt: -1 });
+
+// Static method to add an email to the queue
+outboxMessageSchema.statics.enqueue = function(mailOptions, { category, sensitive = false, notifications = [], relatedId = null, relatedModel = null, queuedBy = null, maxAttempts } = {}) {
+  return this.create({
+    category,
+    sensitive,
+    encryptedData: encryptJson(mailOptions),
+    messageId: mailOptions.messageId || null,
+    notifications,
+    relatedId,
+    relatedModel,
+    queuedBy,
+    ...(maxAttempts && { maxAttempts })
+  });
+};
+
+// Static method to claim the next due message for sending. Messages stuck in
+// `sending` longer than `lockTimeoutMs` (worker died mid-send) are retried.
+outboxMessageSchema.statics.claimNext = function(lockTimeoutMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - lockTimeoutMs) } }
+      ]
+    },
+    { status: 'sending', lockedAt: now },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// Method to get the stored mail options
+outboxMessageSchema.methods.getMailOptions = function() {
+  return decryptJson(this.encryptedData);
+};
+
+// Method to log a successful attempt
+outboxMessageSchema.methods.markSent = function(info, durationMs) {
+  this.attempts += 1;
+  this.status = 'sent';
+  this.lockedAt = null;
+  this.lastError = null;
+  this.sentAt = new Date();
+  this.messageId = info.messageId || this.messageId;
+  this.attemptLog.push({ success: true, response: info.response, durationMs });
+};
+
+// Method to log a failed attempt and schedule the retry, backing off
+// exponentially; gives up after maxAttempts
+outboxMessageSchema.methods.markFailed = function(error, durationMs, baseDelayMs) {
+  this.attempts += 1;
+  this.lockedAt = null;
+  this.lastError = error.message;
+  this.attemptLog.push({ success: false, error: error.message, durationMs });
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+    return;
+  }
+
+  const maxDelayMs = 6 * 60 * 60 * 1000;
+  const delay = Math.min(baseDelayMs * 2 ** (this.attempts - 1), maxDelayMs);
+  this.status = 'pending';
+  this.nextAttemptAt = new Date(Date.now() + delay);
+};
+
+// Method to put a message back in the queue with a fresh set of attempts
+outboxMessageSchema.methods.requeue = function(userId) {
+  this.status = 'pending';
+  this.attempts = 0;
+  this.nextAttemptAt = new Date();
+  this.lockedAt = null;
+  this.resentBy = userId;
+};
+
+// Method to get a plain object for admins, with content unless it is sensitive
+outboxMessageSchema.methods.toAdminObject = function({ includeContent = false } = {}) {
+  const { encryptedData, ...message } = this.toObject();
+  const mailOptions = decryptJson(encryptedData) || {};
+
+  message.to = mailOptions.to;
+  message.subject = mailOptions.subject;
+  if (includeContent && !this.sensitive) {
+    message.text = mailOptions.text;
+    message.html = mailOptions.html;
+  }
+  return message;
+};
+
+// Method to rewrite the payload with the current key, returns false if it was current
+outboxMessageSchema.methods.reencrypt = function() {
+  if (!needsReencryption(this.encryptedData)) return false;
+
+  const data = decryptJson(this.encryptedData);
+  if (data === null) {
+    throw new Error(`Outbox message ${this._id}: encrypted data could not be decrypted`);
+  }
+  this.encryptedData = encryptJson(data);
+  return true;
+};
+
+module.exports = mongoose.model('OutboxMessage', outboxMessageSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { emitEvent } = require('../utils/webhooks');
 
 const projectSchema = new mongoose.Schema({
   title: {
@@ -189,4 +190,32 @@ projectSchema.statics.getByCategory = function(category, limit = 12) {
   .populate('createdBy', 'username');
 };
 
+// Outgoing webhooks: project.published when it goes live, project.updated on
+// edits to an existing project (view and like counters don't count)
+const COUNTER_PATHS = ['views', 'likes', 'updatedAt'];
+
+projectSchema.pre('save', function(next) {
+  this.$locals.publishedNow = this.published && (this.isNew || this.isModified('published'));
+  this.$locals.edited = !this.isNew && this.modifiedPaths().some(path => !COUNTER_PATHS.includes(path.split('.')[0]));
+  next();
+});
+
+projectSchema.post('save', function() {
+  const { publishedNow, edited } = this.$locals;
+  if (!publishedNow && !edited) return;
+
+  const project = {
+    id: String(this._id),
+    title: this.title,
+    category: this.category,
+    location: this.location,
+    featured: this.featured,
+    published: this.published,
+    primaryImage: this.primaryImage,
+    updatedAt: this.updatedAt
+  };
+  if (publishedNow) emitEvent('project.published', { project });
+  if (edited) emitEvent('project.updated', { project });
+});
+
 module.exports = mongoose.model('Project', projectSchema); 
\ No newline at end of file
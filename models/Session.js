@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { parseUserAgent } = require('../utils/userAgent');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the refresh token currently valid for this session
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens already rotated out (used for reuse detection)
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  // Parsed from the user agent at login, for display in session lists
+  device: {
+    browser: {
+      type: String,
+      default: null
+    },
+    os: {
+      type: String,
+      default: null
+    },
+    type: {
+      type: String,
+      enum: ['desktop', 'mobile', 'tablet', 'bot', 'unknown'],
+      default: 'unknown'
+    }
+  },
+  // Last refresh of the token pair
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Last authenticated request made with this session
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenIp: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'token_reuse', 'password_change', 'admin', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Refresh tokens are opaque random strings, only their hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Keep enough rotated hashes to catch reuse without growing the document forever
+const MAX_PREVIOUS_TOKENS = 100;
+
+const refreshTokenLifetime = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.set('toJSON', { virtuals: true });
+
+// Static method to open a new session for a user
+sessionSchema.statics.start = async function(user, { ipAddress, userAgent } = {}) {
+  const refreshToken = generateRefreshToken();
+  const session = await this.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ipAddress,
+    userAgent,
+    device: parseUserAgent(userAgent),
+    lastSeenIp: ipAddress,
+    expiresAt: new Date(Date.now() + refreshTokenLifetime())
+  });
+  return { session, refreshToken };
+};
+
+// Static method to rotate a refresh token.
+// Presenting a token that was already rotated out revokes the whole session,
+// since either the legitimate client or an attacker is holding a stolen copy.
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+
+  // Swap the token atomically so two concurrent refreshes can't both succeed
+  const session = await this.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + refreshTokenLifetime())
+      },
+      $push: {
+        previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS }
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: nextToken, reused: false };
+  }
+
+  const reused = await this.findOne({ previousTokenHashes: tokenHash });
+  if (reused && !reused.revokedAt) {
+    await reused.revoke('token_reuse');
+  }
+  return { session: null, reused: !!reused };
+};
+
+// Static method to list a user's sessions that can still be used (most recently seen first)
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to find a session by its current refresh token
+sessionSchema.statics.findByRefreshToken = function(refreshToken) {
+  return this.findOne({ refreshTokenHash: hashToken(refreshToken) });
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout_all', exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Method to revoke this session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Method to record activity (throttled to avoid a write on every request)
+sessionSchema.methods.touch = function(ipAddress) {
+  if (this.lastSeenAt && Date.now() - this.lastSeenAt.getTime() < 60 * 1000) {
+    return Promise.resolve();
+  }
+  this.lastSeenAt = new Date();
+  this.lastSeenIp = ipAddress;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastSeenAt: this.lastSeenAt, lastSeenIp: ipAddress }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting, falling back to a default
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting && setting.value !== null && setting.value !== undefined
+    ? setting.value
+    : defaultValue;
+};
+
+// Static method to create or update a setting
+settingSchema.statics.setValue = function(key, value, userId = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// The whole model is one document, so the vocabulary is capped well below
+// MongoDB's 16 MB limit. Past the cap the rarest features are dropped until
+// it is back under PRUNE_TO of it; the rule features are always kept.
+const MAX_FEATURES = parseInt(process.env.SPAM_MODEL_MAX_FEATURES) || 20000;
+const PRUNE_TO = 0.9;
+
+// Naive-Bayes counts for the contact spam classifier (one document per model name)
+const spamModelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Number of labelled documents per class
+  spamDocs: {
+    type: Number,
+    default: 0
+  },
+  hamDocs: {
+    type: Number,
+    default: 0
+  },
+  // Per-feature document counts, keyed by feature name
+  features: {
+    type: Map,
+    of: new mongoose.Schema({
+      spam: {
+        type: Number,
+        default: 0
+      },
+      ham: {
+        type: Number,
+        default: 0
+      }
+    }, { _id: false }),
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to load a model, empty if it has never been trained
+spamModelSchema.statics.load = async function(name = 'contact') {
+  const model = await this.findOne({ name }).lean();
+  return model || { name, spamDocs: 0, hamDocs: 0, features: {} };
+};
+
+// Static method to add (delta 1) or remove (delta -1) one labelled document.
+// Counts are incremented atomically so concurrent labelling can't lose updates.
+spamModelSchema.statics.train = async function(features, label, delta = 1, name = 'contact') {
+  const inc = { [`${label}Docs`]: delta };
+  features.forEach(feature => {
+    inc[`features.${feature}.${label}`] = delta;
+  });
+
+  await this.updateOne({ name }, { $inc: inc }, { upsert: true });
+  await this.prune(name);
+};
+
+// Static method to drop the rarest features once the vocabulary is over the
+// cap, returns how many were removed
+spamModelSchema.statics.prune = async function(name = 'contact', maxFeatures = MAX_FEATURES) {
+  const [stats] = await this.aggregate([
+    { $match: { name } },
+    { $project: { size: { $size: { $objectToArray: '$features' } } } }
+  ]);
+  if (!stats || stats.size <= maxFeatures) return 0;
+
+  const model = await this.findOne({ name }).select('features').lean();
+  const removable = Object.entries(model.features)
+    .filter(([feature]) => !feature.startsWith('rule:'))
+    .sort(([, a], [, b]) => ((a.spam || 0) + (a.ham || 0)) - ((b.spam || 0) + (b.ham || 0)));
+  const stale = removable
+    .slice(0, stats.size - Math.floor(maxFeatures * PRUNE_TO))
+    .map(([feature]) => `features.${feature}`);
+  if (stale.length === 0) return 0;
+
+  await this.updateOne({ name }, { $unset: Object.fromEntries(stale.map(path => [path, ''])) });
+  return stale.length;
+};
+
+module.exports = mongoose.model('SpamModel', spamModelSchema);
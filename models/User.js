@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { PERMISSIONS } = require('../config/permissions');
+const { emitEvent } = require('../utils/webhooks');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -28,35 +31,140 @@ const userSchema = new mongoose.Schema({
     enum: ['superadmin', 'admin', 'editor', 'viewer', 'user'],
     default: 'user'
   },
+  // Per-user overrides on top of the role's default permissions
   permissions: [{
     type: String,
-    enum: [
-      'manage_users',
-      'manage_projects',
-      'manage_contacts',
-      'manage_blog',
-      'manage_seo',
-      'view_analytics',
-      'export_data',
-      'all'
-    ]
+    enum: [...PERMISSIONS, 'all']
+  }],
+  deniedPermissions: [{
+    type: String,
+    enum: PERMISSIONS
   }],
   isActive: {
     type: Boolean,
     default: true
   },
+  // Accounts created before verification existed count as verified,
+  // self-registered accounts start out unverified
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  // New address requested from the profile, applied once confirmed
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  // Email verification (only the hash of the emailed token is stored)
+  emailVerificationToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    default: null,
+    select: false
+  },
   lastLogin: {
     type: Date,
     default: null
   },
+  // Brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Number of consecutive lockouts, each one lasts longer than the last
+  lockLevel: {
+    type: Number,
+    default: 0
+  },
+  // Most recent successful logins (newest first)
+  loginHistory: [{
+    ipAddress: String,
+    userAgent: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   profileImage: {
     type: String,
     default: null
+  },
+  // Password reset (only the hash of the emailed token is stored)
+  passwordResetToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Secret generated during enrollment, promoted to `secret` once verified
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true
 });
 
+// Lockout configuration
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const BASE_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+const LOGIN_HISTORY_SIZE = parseInt(process.env.LOGIN_HISTORY_SIZE) || 10;
+
+// Virtual for whether the account is currently locked
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -75,11 +183,152 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Record a failed login, locking the account with a growing duration.
+// Counted with $inc so parallel attempts can't overwrite each other; only the
+// attempt whose count is still current when it reaches the limit sets the lock.
+userSchema.methods.registerFailedLogin = async function() {
+  const fields = 'failedLoginAttempts lockLevel lockUntil';
+  let state = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: fields }
+  );
+  if (!state) return this;
+
+  if (state.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    const minutes = Math.min(BASE_LOCK_MINUTES * 2 ** state.lockLevel, MAX_LOCK_MINUTES);
+    state = await this.constructor.findOneAndUpdate(
+      { _id: this._id, failedLoginAttempts: state.failedLoginAttempts },
+      {
+        $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + minutes * 60 * 1000) },
+        $inc: { lockLevel: 1 }
+      },
+      { new: true, projection: fields }
+    ) || state;
+  }
+
+  this.failedLoginAttempts = state.failedLoginAttempts;
+  this.lockLevel = state.lockLevel;
+  this.lockUntil = state.lockUntil;
+  return this;
+};
+
+// Record a successful login, returns true if it came from an IP not seen before
+userSchema.methods.recordLogin = function(ipAddress, userAgent) {
+  const knownIp = this.loginHistory.some(entry => entry.ipAddress === ipAddress);
+  const isNewIp = this.loginHistory.length > 0 && !knownIp;
+
+  this.failedLoginAttempts = 0;
+  this.lockLevel = 0;
+  this.lockUntil = null;
+  this.lastLogin = new Date();
+  this.loginHistory.unshift({ ipAddress, userAgent, at: this.lastLogin });
+  this.loginHistory = this.loginHistory.slice(0, LOGIN_HISTORY_SIZE);
+
+  return isNewIp;
+};
+
+// Generate a single-use password reset token, returns the raw token to email
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expireMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Generate a fresh set of recovery codes, returns the raw codes to show once
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+  return codes;
+};
+
+// Consume a recovery code, returns true if it was valid and unused
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = crypto.createHash('sha256')
+    .update(String(code || '').trim().toLowerCase())
+    .digest('hex');
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hash);
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Method to generate an email verification token (for `email`, or `pendingEmail` if set)
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const expireHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = new Date(Date.now() + expireHours * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Static method to find a user by a still-valid verification token
+userSchema.statics.findByVerificationToken = function(verificationToken) {
+  return this.findOne({
+    emailVerificationToken: crypto.createHash('sha256').update(verificationToken).digest('hex'),
+    emailVerificationExpires: { $gt: new Date() }
+  }).select('+emailVerificationToken +emailVerificationExpires');
+};
+
+// Static method to find the user owning a valid (unexpired) reset token
+userSchema.statics.findByResetToken = function(resetToken) {
+  return this.findOne({
+    passwordResetToken: crypto.createHash('sha256').update(resetToken).digest('hex'),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+password +passwordResetToken +passwordResetExpires');
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.emailVerificationSentAt;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.recoveryCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
   return user;
 };
 
+// Outgoing webhook: user.created
+userSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+userSchema.post('save', function() {
+  if (!this.$locals.wasNew) return;
+
+  emitEvent('user.created', {
+    user: {
+      id: String(this._id),
+      username: this.username,
+      email: this.email,
+      role: this.role,
+      emailVerified: this.emailVerified,
+      createdAt: this.createdAt
+    }
+  });
+});
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { encryptJson, decryptJson, needsReencryption } = require('../utils/encryption');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+
+// Secrets look like `whsec_<hex>`; they are needed in full to sign
+// payloads, so they are stored encrypted rather than hashed
+const SECRET_PREFIX = 'whsec_';
+
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Webhook name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2000, 'URL cannot exceed 2000 characters'],
+    validate: {
+      validator: (value) => {
+        try {
+          return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Webhook URL must be an http(s) URL'
+    }
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  encryptedSecret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ events: 1, isActive: 1 });
+
+webhookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.encryptedSecret;
+    return ret;
+  }
+});
+
+const createSecret = () => `${SECRET_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+// Static method to create a webhook, returns the secret (shown only once)
+webhookSchema.statics.generate = async function({ name, url, events, isActive, createdBy }) {
+  const secret = createSecret();
+  const webhook = await this.create({
+    name,
+    url,
+    events,
+    isActive,
+    encryptedSecret: encryptJson(secret),
+    createdBy
+  });
+  return { webhook, secret };
+};
+
+// Method to replace the signing secret, returns the new one (shown only once)
+webhookSchema.methods.rotateSecret = function() {
+  const secret = createSecret();
+  this.encryptedSecret = encryptJson(secret);
+  return secret;
+};
+
+// Method to get the signing secret (select +encryptedSecret first)
+webhookSchema.methods.getSecret = function() {
+  return decryptJson(this.encryptedSecret);
+};
+
+// Method to sign a raw payload. The receiver recomputes
+// HMAC-SHA256(secret, `${timestamp}.${body}`) and compares it to v1.
+webhookSchema.methods.sign = function(body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', this.getSecret())
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Method to rewrite the secret with the current key, returns false if it was current
+webhookSchema.methods.reencrypt = function() {
+  if (!needsReencryption(this.encryptedSecret)) return false;
+
+  const secret = this.getSecret();
+  if (secret === null) {
+    throw new Error(`Webhook ${this._id}: secret could not be decrypted`);
+  }
+  this.encryptedSecret = encryptJson(secret);
+  return true;
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const { encryptJson, decryptJson, needsReencryption } = require('../utils/encryption');
+
+// One attempt-tracked delivery of an event to a webhook
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Same for every delivery (and redelivery) of one event, so receivers can dedupe
+  eventId: {
+    type: String,
+    required: true
+  },
+  // JSON body sent to the receiver, encrypted since events carry lead details
+  encryptedPayload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  attemptLog: [{
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    },
+    statusCode: Number,
+    error: String,
+    // Start of the receiver's response body, for debugging
+    response: String,
+    durationMs: Number
+  }],
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  },
+  redeliveredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + (parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to claim the next due delivery. Deliveries stuck in
+// `delivering` longer than `lockTimeoutMs` (worker died mid-request) are retried.
+webhookDeliverySchema.statics.claimNext = function(lockTimeoutMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedAt: { $lte: new Date(now.getTime() - lockTimeoutMs) } }
+      ]
+    },
+    { status: 'delivering', lockedAt: now },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// Method to set the payload
+webhookDeliverySchema.methods.setPayload = function(payload) {
+  this.encryptedPayload = encryptJson(payload);
+};
+
+// Method to get the payload
+webhookDeliverySchema.methods.getPayload = function() {
+  return decryptJson(this.encryptedPayload);
+};
+
+// Method to log a successful attempt
+webhookDeliverySchema.methods.markDelivered = function({ statusCode, response, durationMs }) {
+  this.attempts += 1;
+  this.status = 'delivered';
+  this.lockedAt = null;
+  this.lastError = null;
+  this.deliveredAt = new Date();
+  this.attemptLog.push({ statusCode, response, durationMs });
+};
+
+// Method to log a failed attempt and schedule the retry, backing off
+// exponentially; gives up after maxAttempts
+webhookDeliverySchema.methods.markFailed = function({ statusCode, response, error, durationMs }, baseDelayMs) {
+  this.attempts += 1;
+  this.lockedAt = null;
+  this.lastError = error;
+  this.attemptLog.push({ statusCode, response, error, durationMs });
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+    return;
+  }
+
+  const maxDelayMs = 12 * 60 * 60 * 1000;
+  this.status = 'pending';
+  this.nextAttemptAt = new Date(Date.now() + Math.min(baseDelayMs * 2 ** (this.attempts - 1), maxDelayMs));
+};
+
+// Method to get a plain object for admins, optionally with the payload
+webhookDeliverySchema.methods.toAdminObject = function({ includePayload = false } = {}) {
+  const { encryptedPayload, ...delivery } = this.toObject();
+  if (includePayload) {
+    delivery.payload = decryptJson(encryptedPayload);
+  }
+  return delivery;
+};
+
+// Method to rewrite the payload with the current key, returns false if it was current
+webhookDeliverySchema.methods.reencrypt = function() {
+  if (!needsReencryption(this.encryptedPayload)) return false;
+
+  const payload = this.getPayload();
+  if (payload === null) {
+    throw new Error(`Webhook delivery ${this._id}: payload could not be decrypted`);
+  }
+  this.setPayload(payload);
+  return true;
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
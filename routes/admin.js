@@ -1,9 +1,16 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { protect, admin, checkPermission } = require('../middleware/auth');
+const { protect, superadmin, isSuperadminRequest, checkPermission } = require('../middleware/auth');
 const User = require('../models/User');
 const Contact = require('../models/Contact');
 const Project = require('../models/Project');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const { getSetting, setSetting } = require('../config/settings');
+const { getEffectivePermissions } = require('../config/permissions');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { getAutoReplyConfig, validateAutoReplyConfig, saveAutoReplyConfig } = require('../utils/autoReply');
 const { Parser } = require('json2csv');
 const fs = require('fs/promises');
 const path = require('path');
@@ -35,7 +42,7 @@ async function writeJson(file, data) {
 const router = express.Router();
 
 // --- Image Upload with proper authentication ---
-router.post('/upload', protect, admin, upload.array('images', 20), async (req, res, next) => {
+router.post('/upload', protect, checkPermission('manage_projects', 'manage_blog'), upload.array('images', 20), async (req, res, next) => {
   if (!req.files || req.files.length === 0) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
@@ -45,6 +52,7 @@ router.post('/upload', protect, admin, upload.array('images', 20), async (req, r
       return result?.secure_url;
     });
     const urls = await Promise.all(uploadPromises);
+    recordAudit(req, 'upload.create', { metadata: { urls } });
     if (urls.length === 1) {
       return res.json({ url: urls[0] });
     }
@@ -54,13 +62,13 @@ router.post('/upload', protect, admin, upload.array('images', 20), async (req, r
   }
 });
 
-// All other routes require admin authentication
-router.use(protect, admin);
+// All other routes require authentication, each route checks its own permission
+router.use(protect);
 
 // @desc    Get admin dashboard overview
 // @route   GET /api/admin/dashboard
 // @access  Private/Admin
-router.get('/dashboard', asyncHandler(async (req, res) => {
+router.get('/dashboard', checkPermission('view_analytics'), asyncHandler(async (req, res) => {
   // Get counts
   const userCount = await User.countDocuments();
   const contactCount = await Contact.countDocuments();
@@ -158,7 +166,7 @@ router.get('/users/:id', protect, checkPermission('manage_users'), asyncHandler(
 // @route   PUT /api/admin/users/:id/role
 // @access  Private/Superadmin
 router.put('/users/:id/role', protect, checkPermission('manage_users'), asyncHandler(async (req, res) => {
-  const { role, permissions } = req.body;
+  const { role, permissions, deniedPermissions } = req.body;
   const user = await User.findById(req.params.id);
   
   if (!user) {
@@ -167,16 +175,31 @@ router.put('/users/:id/role', protect, checkPermission('manage_users'), asyncHan
       message: 'User not found'
     });
   }
+
+  // Only superadmins may hand out (or take away) superadmin-level access
+  const escalates = role === 'superadmin' || user.role === 'superadmin' || permissions?.includes('all');
+  if (escalates && !isSuperadminRequest(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only a superadmin can grant or change superadmin access'
+    });
+  }
   
+  const before = snapshot(user);
   if (role) user.role = role;
   if (permissions) user.permissions = permissions;
+  if (deniedPermissions) user.deniedPermissions = deniedPermissions;
   
   await user.save();
+  recordAudit(req, 'user.role_update', { targetModel: 'User', targetId: user._id, before, after: user });
   
   res.json({
     success: true,
     message: 'User role updated successfully',
-    data: user
+    data: {
+      ...user.toJSON(),
+      effectivePermissions: getEffectivePermissions(user)
+    }
   });
 }));
 
@@ -194,8 +217,17 @@ router.put('/users/:id/status', protect, checkPermission('manage_users'), asyncH
     });
   }
   
+  if (user.role === 'superadmin' && !isSuperadminRequest(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only a superadmin can activate or deactivate a superadmin'
+    });
+  }
+
+  const before = snapshot(user);
   user.isActive = isActive;
   await user.save();
+  recordAudit(req, 'user.status_update', { targetModel: 'User', targetId: user._id, before, after: user });
   
   res.json({
     success: true,
@@ -204,6 +236,112 @@ router.put('/users/:id/status', protect, checkPermission('manage_users'), asyncH
   });
 }));
 
+// @desc    Unlock a user locked out by failed logins (admin only)
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private/Admin
+router.put('/users/:id/unlock', protect, checkPermission('manage_users'), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (user.role === 'superadmin' && !isSuperadminRequest(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only a superadmin can unlock a superadmin'
+    });
+  }
+
+  user.failedLoginAttempts = 0;
+  user.lockLevel = 0;
+  user.lockUntil = null;
+  await user.save();
+  recordAudit(req, 'user.unlock', { targetModel: 'User', targetId: user._id });
+
+  res.json({
+    success: true,
+    message: 'User unlocked successfully',
+    data: user
+  });
+}));
+
+// @desc    List a user's active sessions
+// @route   GET /api/admin/users/:id/sessions
+// @access  Private/Superadmin
+router.get('/users/:id/sessions', superadmin, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const sessions = await Session.findActiveForUser(user._id);
+
+  res.json({
+    success: true,
+    data: sessions
+  });
+}));
+
+// @desc    Force a user out of every session
+// @route   DELETE /api/admin/users/:id/sessions
+// @access  Private/Superadmin
+router.delete('/users/:id/sessions', superadmin, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const result = await Session.revokeAllForUser(user._id, 'admin');
+  recordAudit(req, 'session.admin_revoke_all', {
+    targetModel: 'User',
+    targetId: user._id,
+    metadata: { sessionsRevoked: result.modifiedCount }
+  });
+
+  res.json({
+    success: true,
+    message: `Revoked ${result.modifiedCount} sessions for ${user.username}`
+  });
+}));
+
+// @desc    Revoke one of a user's sessions
+// @route   DELETE /api/admin/users/:id/sessions/:sessionId
+// @access  Private/Superadmin
+router.delete('/users/:id/sessions/:sessionId', superadmin, asyncHandler(async (req, res) => {
+  const session = await Session.findOne({ _id: req.params.sessionId, user: req.params.id });
+
+  if (!session || !session.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  await session.revoke('admin');
+  recordAudit(req, 'session.admin_revoke', {
+    targetModel: 'Session',
+    targetId: session._id,
+    metadata: { user: req.params.id }
+  });
+
+  res.json({
+    success: true,
+    message: 'Session revoked'
+  });
+}));
+
 // @desc    Delete user (admin only)
 // @route   DELETE /api/admin/users/:id
 // @access  Private/Superadmin
@@ -217,6 +355,13 @@ router.delete('/users/:id', protect, checkPermission('manage_users'), asyncHandl
     });
   }
   
+  if (user.role === 'superadmin' && !isSuperadminRequest(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only a superadmin can delete a superadmin'
+    });
+  }
+  
   // Prevent deleting the last superadmin
   if (user.role === 'superadmin') {
     const superadminCount = await User.countDocuments({ role: 'superadmin' });
@@ -228,7 +373,8 @@ router.delete('/users/:id', protect, checkPermission('manage_users'), asyncHandl
     }
   }
   
-  await user.remove();
+  await user.deleteOne();
+  recordAudit(req, 'user.delete', { targetModel: 'User', targetId: user._id, before: user });
   
   res.json({
     success: true,
@@ -239,13 +385,14 @@ router.delete('/users/:id', protect, checkPermission('manage_users'), asyncHandl
 // @desc    Get contact management data
 // @route   GET /api/admin/contacts
 // @access  Private/Admin
-router.get('/contacts', asyncHandler(async (req, res) => {
+router.get('/contacts', checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
   const status = req.query.status;
   const isSpam = req.query.isSpam;
 
-  const query = {};
+  // Search runs on blind indexes, nothing is decrypted until the page is built
+  const query = Contact.searchFilter(req.query);
   if (status) query.status = status;
   if (isSpam !== undefined) query.isSpam = isSpam === 'true';
 
@@ -284,7 +431,7 @@ router.get('/contacts', asyncHandler(async (req, res) => {
 // @desc    Update contact status
 // @route   PUT /api/admin/contacts/:id
 // @access  Private/Admin
-router.put('/contacts/:id', asyncHandler(async (req, res) => {
+router.put('/contacts/:id', checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
   const { status } = req.body;
 
   const contact = await Contact.findById(req.params.id);
@@ -295,8 +442,10 @@ router.put('/contacts/:id', asyncHandler(async (req, res) => {
     });
   }
 
+  const before = snapshot(contact);
   if (status) contact.status = status;
-  await contact.save();
+  await contact.save({ validateModifiedOnly: true });
+  recordAudit(req, 'contact.update', { targetModel: 'Contact', targetId: contact._id, before, after: contact });
 
   res.json({
     success: true,
@@ -308,7 +457,7 @@ router.put('/contacts/:id', asyncHandler(async (req, res) => {
 // @desc    Get project management data
 // @route   GET /api/admin/projects
 // @access  Private/Admin
-router.get('/projects', asyncHandler(async (req, res) => {
+router.get('/projects', checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
   const published = req.query.published;
@@ -343,7 +492,7 @@ router.get('/projects', asyncHandler(async (req, res) => {
 // @desc    Get system statistics
 // @route   GET /api/admin/stats
 // @access  Private/Admin
-router.get('/stats', asyncHandler(async (req, res) => {
+router.get('/stats', checkPermission('view_analytics'), asyncHandler(async (req, res) => {
   // User statistics
   const totalUsers = await User.countDocuments();
   const activeUsers = await User.countDocuments({ isActive: true });
@@ -416,41 +565,89 @@ router.get('/stats', asyncHandler(async (req, res) => {
 // @desc    Get activity log (recent actions)
 // @route   GET /api/admin/activity
 // @access  Private/Admin
-router.get('/activity', asyncHandler(async (req, res) => {
-  const limit = parseInt(req.query.limit) || 50;
+router.get('/activity', checkPermission('manage_users'), asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
 
-  // Get recent contacts
-  const recentContacts = await Contact.find()
+  const entries = await AuditLog.find()
     .sort({ createdAt: -1 })
-    .limit(limit / 2)
-    .select('createdAt status isSpam');
+    .limit(limit)
+    .select('actor action targetModel targetId createdAt')
+    .populate('actor', 'username');
 
-  // Get recent projects
-  const recentProjects = await Project.find()
+  const activity = entries.map(entry => ({
+    type: entry.targetModel ? entry.targetModel.toLowerCase() : entry.action.split('.')[0],
+    action: entry.action,
+    data: entry,
+    timestamp: entry.createdAt
+  }));
+
+  res.json({
+    success: true,
+    data: activity
+  });
+}));
+
+// @desc    Search the audit log
+// @route   GET /api/admin/audit
+// @access  Private/Admin
+router.get('/audit', checkPermission('manage_users'), asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const skip = (page - 1) * limit;
+  // Strings only, so `?actor[$ne]=` or repeated params can't become operators
+  const [actor, action, targetModel, targetId, from, to] = ['actor', 'action', 'targetModel', 'targetId', 'from', 'to']
+    .map(name => (req.query[name] === undefined ? undefined : String(req.query[name])));
+
+  if (actor && !mongoose.isValidObjectId(actor)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid actor id'
+    });
+  }
+  if ([from, to].some(value => value && isNaN(new Date(value).getTime()))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid from or to date'
+    });
+  }
+
+  const query = {};
+  if (actor) query.actor = actor;
+  if (action) {
+    // `project.` or `project.*` matches every project action
+    if (/[.*]$/.test(action)) {
+      const prefix = action.replace(/\*$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.action = { $regex: `^${prefix}` };
+    } else {
+      query.action = action;
+    }
+  }
+  if (targetModel) query.targetModel = targetModel;
+  if (targetId) query.targetId = targetId;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  const entries = await AuditLog.find(query)
+    .populate('actor', 'username email role')
+    .populate('apiKey', 'name prefix')
     .sort({ createdAt: -1 })
-    .limit(limit / 2)
-    .select('title createdAt published featured')
-    .populate('createdBy', 'username');
+    .skip(skip)
+    .limit(limit);
 
-  // Combine and sort by date
-  const activity = [
-    ...recentContacts.map(contact => ({
-      type: 'contact',
-      action: contact.isSpam ? 'spam_detected' : 'new_submission',
-      data: contact,
-      timestamp: contact.createdAt
-    })),
-    ...recentProjects.map(project => ({
-      type: 'project',
-      action: project.published ? 'published' : 'created',
-      data: project,
-      timestamp: project.createdAt
-    }))
-  ].sort((a, b) => b.timestamp - a.timestamp).slice(0, limit);
+  const total = await AuditLog.countDocuments(query);
 
   res.json({
     success: true,
-    data: activity
+    data: entries,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
   });
 }));
 
@@ -471,18 +668,84 @@ router.get('/analytics/contacts', checkPermission('view_analytics'), asyncHandle
   res.json({ success: true, data: { total, spam, real, today, last7 } });
 }));
 
-// --- Role Management Endpoints ---
-// @desc    Update user role/permissions
-// @route   PUT /api/admin/users/:id/role
+// --- Security Settings Endpoints ---
+const getSecuritySettings = async () => ({
+  require2faForPrivileged: await getSetting('require2faForPrivileged'),
+  publicRegistration: await getSetting('publicRegistration')
+});
+
+// @desc    Get security settings
+// @route   GET /api/admin/settings/security
 // @access  Private/Superadmin
-router.put('/users/:id/role', checkPermission('manage_users'), asyncHandler(async (req, res) => {
-  const { role, permissions } = req.body;
-  const user = await User.findById(req.params.id);
-  if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-  if (role) user.role = role;
-  if (permissions) user.permissions = permissions;
-  await user.save();
-  res.json({ success: true, data: user });
+router.get('/settings/security', superadmin, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await getSecuritySettings()
+  });
+}));
+
+// @desc    Update security settings
+// @route   PUT /api/admin/settings/security
+// @access  Private/Superadmin
+router.put('/settings/security', superadmin, asyncHandler(async (req, res) => {
+  const { require2faForPrivileged, publicRegistration } = req.body;
+  const before = await getSecuritySettings();
+
+  if (require2faForPrivileged !== undefined) {
+    await setSetting('require2faForPrivileged', !!require2faForPrivileged, req.user._id);
+  }
+  if (publicRegistration !== undefined) {
+    await setSetting('publicRegistration', !!publicRegistration, req.user._id);
+  }
+
+  const after = await getSecuritySettings();
+  recordAudit(req, 'settings.security_update', { targetModel: 'Setting', before, after });
+
+  res.json({
+    success: true,
+    message: 'Security settings updated',
+    data: after
+  });
+}));
+
+// --- Auto-reply Settings Endpoints ---
+// @desc    Get contact form auto-reply settings
+// @route   GET /api/admin/settings/auto-reply
+// @access  Private/Admin
+router.get('/settings/auto-reply', checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await getAutoReplyConfig()
+  });
+}));
+
+// @desc    Update contact form auto-reply settings
+// @route   PUT /api/admin/settings/auto-reply
+// @access  Private/Admin
+router.put('/settings/auto-reply', checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
+  const before = await getAutoReplyConfig();
+  const config = {
+    enabled: req.body.enabled !== undefined ? req.body.enabled : before.enabled,
+    templates: req.body.templates !== undefined ? req.body.templates : before.templates
+  };
+
+  const error = validateAutoReplyConfig(config);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  await saveAutoReplyConfig(config, req.user._id);
+  const after = await getAutoReplyConfig();
+  recordAudit(req, 'settings.auto_reply_update', { targetModel: 'Setting', before, after });
+
+  res.json({
+    success: true,
+    message: 'Auto-reply settings updated',
+    data: after
+  });
 }));
 
 // --- CSV Export Endpoints ---
@@ -491,6 +754,7 @@ router.put('/users/:id/role', checkPermission('manage_users'), asyncHandler(asyn
 // @access  Private/Admin or Permission
 router.get('/export/contacts', checkPermission('export_data'), asyncHandler(async (req, res) => {
   const contacts = await Contact.find();
+  recordAudit(req, 'export.contacts', { targetModel: 'Contact', metadata: { count: contacts.length } });
   const parser = new Parser();
   const csv = parser.parse(contacts.map(c => ({
     ...c.toObject(),
@@ -506,6 +770,7 @@ router.get('/export/contacts', checkPermission('export_data'), asyncHandler(asyn
 // @access  Private/Admin or Permission
 router.get('/export/projects', checkPermission('export_data'), asyncHandler(async (req, res) => {
   const projects = await Project.find();
+  recordAudit(req, 'export.projects', { targetModel: 'Project', metadata: { count: projects.length } });
   const parser = new Parser();
   const csv = parser.parse(projects);
   res.header('Content-Type', 'text/csv');
@@ -514,7 +779,7 @@ router.get('/export/projects', checkPermission('export_data'), asyncHandler(asyn
 }));
 
 // --- Portfolio CRUD (JSON-based) ---
-router.get('/portfolio', asyncHandler(async (req, res) => {
+router.get('/portfolio', checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   try {
     const items = await readJson(files.portfolio);
     res.json(items);
@@ -523,7 +788,7 @@ router.get('/portfolio', asyncHandler(async (req, res) => {
   }
 }));
 
-router.get('/portfolio/:id', asyncHandler(async (req, res) => {
+router.get('/portfolio/:id', checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   try {
     const items = await readJson(files.portfolio);
     const projectId = parseInt(req.params.id);
@@ -535,39 +800,44 @@ router.get('/portfolio/:id', asyncHandler(async (req, res) => {
   }
 }));
 
-router.post('/portfolio', asyncHandler(async (req, res) => {
+router.post('/portfolio', checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   try {
     const items = await readJson(files.portfolio);
     const newId = Math.max(...items.map(i => i.id), 0) + 1;
     const newItem = { ...req.body, id: newId };
     items.push(newItem);
     await writeJson(files.portfolio, items);
+    recordAudit(req, 'portfolio.create', { targetModel: 'Portfolio', targetId: newId, after: newItem });
     res.json(newItem);
   } catch (error) {
     res.status(500).json({ error: 'Failed to create project' });
   }
 }));
 
-router.put('/portfolio/:id', asyncHandler(async (req, res) => {
+router.put('/portfolio/:id', checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   try {
     const items = await readJson(files.portfolio);
     const projectId = parseInt(req.params.id);
     const idx = items.findIndex(i => i.id === projectId);
     if (idx === -1) return res.status(404).json({ error: 'Project not found' });
+    const before = items[idx];
     items[idx] = { ...items[idx], ...req.body };
     await writeJson(files.portfolio, items);
+    recordAudit(req, 'portfolio.update', { targetModel: 'Portfolio', targetId: projectId, before, after: items[idx] });
     res.json(items[idx]);
   } catch (error) {
     res.status(500).json({ error: 'Failed to update project' });
   }
 }));
 
-router.delete('/portfolio/:id', asyncHandler(async (req, res) => {
+router.delete('/portfolio/:id', checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   try {
     let items = await readJson(files.portfolio);
     const projectId = parseInt(req.params.id);
+    const before = items.find(i => i.id === projectId);
     items = items.filter(i => i.id !== projectId);
     await writeJson(files.portfolio, items);
+    recordAudit(req, 'portfolio.delete', { targetModel: 'Portfolio', targetId: projectId, before });
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: 'Failed to delete project' });
@@ -575,7 +845,7 @@ router.delete('/portfolio/:id', asyncHandler(async (req, res) => {
 }));
 
 // --- Services CRUD (JSON-based) ---
-router.get('/services', asyncHandler(async (req, res) => {
+router.get('/services', checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   try {
     const items = await readJson(files.services);
     res.json(items);
@@ -585,7 +855,7 @@ router.get('/services', asyncHandler(async (req, res) => {
 }));
 
 // Add this GET endpoint for a single service by id
-router.get('/services/:id', asyncHandler(async (req, res) => {
+router.get('/services/:id', checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   try {
     const items = await readJson(files.services);
     const item = items.find(i => i.id === req.params.id);
@@ -596,13 +866,14 @@ router.get('/services/:id', asyncHandler(async (req, res) => {
   }
 }));
 
-router.post('/services', asyncHandler(async (req, res) => {
+router.post('/services', checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   try {
     const items = await readJson(files.services);
     const newId = Math.max(...items.map(i => i.id), 0) + 1;
     const newItem = { ...req.body, id: newId };
     items.push(newItem);
     await writeJson(files.services, items);
+    recordAudit(req, 'service.create', { targetModel: 'Service', targetId: newId, after: newItem });
     res.json(newItem);
   } catch (error) {
     res.status(500).json({ error: 'Failed to create service' });
@@ -610,25 +881,29 @@ router.post('/services', asyncHandler(async (req, res) => {
 }));
 
 // Add this PUT endpoint for updating a service by id
-router.put('/services/:id', asyncHandler(async (req, res) => {
+router.put('/services/:id', checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   try {
     const items = await readJson(files.services);
     const index = items.findIndex(i => i.id === req.params.id);
     if (index === -1) return res.status(404).json({ error: 'Service not found' });
+    const before = items[index];
     items[index] = { ...items[index], ...req.body };
     await writeJson(files.services, items);
+    recordAudit(req, 'service.update', { targetModel: 'Service', targetId: req.params.id, before, after: items[index] });
     res.json(items[index]);
   } catch (error) {
     res.status(500).json({ error: 'Failed to update service' });
   }
 }));
 
-router.delete('/services/:id', asyncHandler(async (req, res) => {
+router.delete('/services/:id', checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   try {
     let items = await readJson(files.services);
     const serviceId = parseInt(req.params.id);
+    const before = items.find(i => i.id === serviceId);
     items = items.filter(i => i.id !== serviceId);
     await writeJson(files.services, items);
+    recordAudit(req, 'service.delete', { targetModel: 'Service', targetId: serviceId, before });
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: 'Failed to delete service' });
@@ -636,7 +911,7 @@ router.delete('/services/:id', asyncHandler(async (req, res) => {
 }));
 
 // --- Slideshow CRUD (JSON-based) ---
-router.get('/slideshow', asyncHandler(async (req, res) => {
+router.get('/slideshow', checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   try {
     const items = await readJson(files.slideshow);
     res.json(items);
@@ -645,26 +920,28 @@ router.get('/slideshow', asyncHandler(async (req, res) => {
   }
 }));
 
-router.post('/slideshow', asyncHandler(async (req, res) => {
+router.post('/slideshow', checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   try {
     const items = await readJson(files.slideshow);
     const { image } = req.body;
     if (!image) return res.status(400).json({ error: 'Image required' });
     items.push(image);
     await writeJson(files.slideshow, items);
+    recordAudit(req, 'slideshow.create', { targetModel: 'Slideshow', targetId: items.length - 1, after: { image } });
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: 'Failed to add slideshow image' });
   }
 }));
 
-router.delete('/slideshow/:idx', asyncHandler(async (req, res) => {
+router.delete('/slideshow/:idx', checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   try {
     let items = await readJson(files.slideshow);
     const idx = parseInt(req.params.idx);
     if (isNaN(idx) || idx < 0 || idx >= items.length) return res.status(404).json({ error: 'Image not found' });
-    items.splice(idx, 1);
+    const [removed] = items.splice(idx, 1);
     await writeJson(files.slideshow, items);
+    recordAudit(req, 'slideshow.delete', { targetModel: 'Slideshow', targetId: idx, before: { image: removed } });
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: 'Failed to delete slideshow image' });
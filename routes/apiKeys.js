@@ -0,0 +1,109 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { protect, requireSession, checkPermission } = require('../middleware/auth');
+const { PERMISSIONS, getEffectivePermissions } = require('../config/permissions');
+const ApiKey = require('../models/ApiKey');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Key management needs a logged-in admin; a key can't mint or revoke keys
+router.use(protect, requireSession, checkPermission('manage_users'));
+
+// @desc    List API keys
+// @route   GET /api/admin/api-keys
+// @access  Private/Admin
+router.get('/', asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.find()
+    .populate('createdBy', 'username email')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: apiKeys
+  });
+}));
+
+// @desc    Create an API key (the secret is only returned once)
+// @route   POST /api/admin/api-keys
+// @access  Private/Admin
+router.post('/', asyncHandler(async (req, res) => {
+  const { name, permissions, expiresAt } = req.body;
+
+  if (!name || !Array.isArray(permissions) || permissions.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Name and at least one permission are required'
+    });
+  }
+
+  const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown permissions: ${unknown.join(', ')}`
+    });
+  }
+
+  // A key acts on behalf of its creator, so it can't exceed the creator's rights
+  const ownPermissions = getEffectivePermissions(req.user);
+  const notHeld = permissions.filter(permission => !ownPermissions.includes(permission));
+  if (notHeld.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: `You can't grant permissions you don't hold: ${notHeld.join(', ')}`
+    });
+  }
+
+  const expiry = expiresAt ? new Date(expiresAt) : null;
+  if (expiry && (isNaN(expiry) || expiry <= new Date())) {
+    return res.status(400).json({
+      success: false,
+      message: 'Expiry must be a date in the future'
+    });
+  }
+
+  const { apiKey, key } = await ApiKey.generate({
+    name,
+    permissions,
+    expiresAt: expiry,
+    createdBy: req.user._id
+  });
+
+  recordAudit(req, 'api_key.create', { targetModel: 'ApiKey', targetId: apiKey._id, after: apiKey });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Copy it now, it will not be shown again.',
+    data: {
+      ...apiKey.toJSON(),
+      key
+    }
+  });
+}));
+
+// @desc    Revoke an API key
+// @route   DELETE /api/admin/api-keys/:id
+// @access  Private/Admin
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey) {
+    return res.status(404).json({
+      success: false,
+      message: 'API key not found'
+    });
+  }
+
+  apiKey.revokedAt = apiKey.revokedAt || new Date();
+  await apiKey.save();
+  recordAudit(req, 'api_key.revoke', { targetModel: 'ApiKey', targetId: apiKey._id });
+
+  res.json({
+    success: true,
+    message: 'API key revoked',
+    data: apiKey
+  });
+}));
+
+module.exports = router;
@@ -1,9 +1,17 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { protect, admin } = require('../middleware/auth');
+const { protect, requireSession, isSuperadminRequest, checkPermission, getRequestPermissions } = require('../middleware/auth');
+const { getSetting } = require('../config/settings');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Invitation = require('../models/Invitation');
+const { clientUrl } = require('../config/email');
+const { queueTemplatedMail } = require('../utils/emailTemplates');
+const { generateToken, issueTokens, generateChallengeToken } = require('../utils/tokens');
+const { completeLogin } = require('../utils/login');
+const { isTwoFactorRequired } = require('../utils/twoFactorPolicy');
+const { recordAudit, snapshot } = require('../utils/audit');
 
 const router = express.Router();
 
@@ -16,11 +24,32 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
-  });
+// Stricter limit for endpoints that send verification emails
+const verificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 verification emails per windowMs
+  message: 'Too many verification emails requested, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Minimum time between verification emails for the same account
+const VERIFICATION_RESEND_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+// Email a verification link to `address` (the account email or a pending new one)
+const sendVerificationEmail = async (user, token, address) => {
+  const verifyUrl = `${clientUrl}/verify-email?token=${token}`;
+
+  try {
+    await queueTemplatedMail('email_verification', {
+      username: user.username,
+      address,
+      verifyUrl,
+      expiresHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24
+    }, { to: address }, { relatedId: user._id, relatedModel: 'User' });
+  } catch (error) {
+    console.error('❌ Error queueing verification email:', error.message);
+  }
 };
 
 // @desc    Register user
@@ -29,6 +58,13 @@ const generateToken = (id) => {
 router.post('/register', 
   authLimiter, 
   asyncHandler(async (req, res) => {
+  if (!(await getSetting('publicRegistration'))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Public registration is disabled'
+    });
+  }
+
   const { username, email, password } = req.body;
 
   // Check if user exists
@@ -40,22 +76,30 @@ router.post('/register',
     });
   }
 
-  // Create user
-  const user = await User.create({
+  // Create user (unverified until the emailed link is opened)
+  const user = new User({
     username,
     email,
-    password
+    password,
+    emailVerified: false
   });
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
 
   if (user) {
+    recordAudit(req, 'auth.register', { actor: user._id, targetModel: 'User', targetId: user._id, after: user });
+
+    await sendVerificationEmail(user, verificationToken, user.email);
+
     res.status(201).json({
       success: true,
+      message: 'Account created. Please check your email to verify your address before logging in.',
       data: {
         _id: user._id,
         username: user.username,
         email: user.email,
         role: user.role,
-        token: generateToken(user._id)
+        emailVerified: user.emailVerified
       }
     });
   } else {
@@ -91,32 +135,152 @@ router.post('/login',
     });
   }
 
+  // Locked after repeated failures. Answered like a wrong password so the
+  // response doesn't confirm the account exists.
+  if (user.isLocked) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid credentials'
+    });
+  }
+
   // Check password
   const isMatch = await user.comparePassword(password);
   if (!isMatch) {
+    await user.registerFailedLogin();
+    recordAudit(req, 'auth.login_failed', {
+      targetModel: 'User',
+      targetId: user._id,
+      metadata: { failedLoginAttempts: user.failedLoginAttempts, lockUntil: user.lockUntil }
+    });
     return res.status(401).json({
       success: false,
       message: 'Invalid credentials'
     });
   }
 
-  // Update last login
-  user.lastLogin = new Date();
-  await user.save();
+  if (!user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before logging in',
+      emailVerificationRequired: true
+    });
+  }
+
+  // Second step required: verify TOTP code, or enroll if policy demands it
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      success: true,
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id, '2fa')
+      }
+    });
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    return res.json({
+      success: true,
+      data: {
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user._id, '2fa_setup')
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: await completeLogin(user, req)
+  });
+}));
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh',
+  authLimiter,
+  asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      message: 'Refresh token is required'
+    });
+  }
+
+  const { session, refreshToken: nextRefreshToken, reused } = await Session.rotate(refreshToken);
+
+  if (!session) {
+    if (reused) recordAudit(req, 'auth.refresh_token_reuse', { targetModel: 'Session' });
+    return res.status(401).json({
+      success: false,
+      message: reused
+        ? 'Refresh token reuse detected, session has been revoked'
+        : 'Invalid or expired refresh token'
+    });
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    await session.revoke('logout');
+    return res.status(401).json({
+      success: false,
+      message: 'User not found or deactivated'
+    });
+  }
 
   res.json({
     success: true,
     data: {
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-      lastLogin: user.lastLogin,
-      token: generateToken(user._id)
+      token: generateToken(user._id, session._id),
+      refreshToken: nextRefreshToken
     }
   });
 }));
 
+// @desc    Logout current session
+// @route   POST /api/auth/logout
+// @access  Public
+router.post('/logout', asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      message: 'Refresh token is required'
+    });
+  }
+
+  const session = await Session.findByRefreshToken(refreshToken);
+  if (session && !session.revokedAt) {
+    await session.revoke('logout');
+    recordAudit(req, 'auth.logout', { actor: session.user, targetModel: 'Session', targetId: session._id });
+  }
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+}));
+
+// @desc    Logout all sessions of the current user
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protect, requireSession, asyncHandler(async (req, res) => {
+  const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+  recordAudit(req, 'auth.logout_all', {
+    targetModel: 'User',
+    targetId: req.user._id,
+    metadata: { sessionsRevoked: result.modifiedCount }
+  });
+
+  res.json({
+    success: true,
+    message: `Logged out of ${result.modifiedCount} sessions`
+  });
+}));
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -128,30 +292,72 @@ router.get('/me', protect, asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Get effective permissions of current user
+// @route   GET /api/auth/permissions
+// @access  Private
+router.get('/permissions', protect, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      role: req.user.role,
+      permissions: getRequestPermissions(req),
+      ...(req.apiKey && { apiKey: { name: req.apiKey.name, prefix: req.apiKey.prefix } })
+    }
+  });
+}));
+
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
 router.put('/profile', 
   protect, 
+  requireSession, 
   asyncHandler(async (req, res) => {
   const { username, email } = req.body;
 
   const user = await User.findById(req.user.id);
 
   if (user) {
+    const before = snapshot(user);
     user.username = username || user.username;
-    user.email = email || user.email;
+
+    // A new email only replaces the current one once it has been confirmed
+    const newEmail = email ? String(email).toLowerCase().trim() : null;
+    let verificationToken = null;
+    if (newEmail && newEmail !== user.email) {
+      const emailTaken = await User.exists({ email: newEmail, _id: { $ne: user._id } });
+      if (emailTaken) {
+        return res.status(400).json({
+          success: false,
+          message: 'A user with this email already exists'
+        });
+      }
+
+      user.pendingEmail = newEmail;
+      verificationToken = user.createEmailVerificationToken();
+    } else if (newEmail === user.email) {
+      user.pendingEmail = null;
+    }
 
     const updatedUser = await user.save();
+    recordAudit(req, 'auth.profile_update', { targetModel: 'User', targetId: user._id, before, after: updatedUser });
+
+    if (verificationToken) {
+      await sendVerificationEmail(updatedUser, verificationToken, updatedUser.pendingEmail);
+    }
 
     res.json({
       success: true,
+      ...(verificationToken && {
+        message: `Check ${updatedUser.pendingEmail} for a link to confirm your new email address`
+      }),
       data: {
         _id: updatedUser._id,
         username: updatedUser.username,
         email: updatedUser.email,
+        pendingEmail: updatedUser.pendingEmail,
         role: updatedUser.role,
-        token: generateToken(updatedUser._id)
+        token: generateToken(updatedUser._id, req.authSession._id)
       }
     });
   } else {
@@ -167,6 +373,7 @@ router.put('/profile',
 // @access  Private
 router.put('/password', 
   protect, 
+  requireSession, 
   asyncHandler(async (req, res) => {
   const { currentPassword, newPassword } = req.body;
 
@@ -191,19 +398,327 @@ router.put('/password',
   user.password = newPassword;
   await user.save();
 
+  // Sign out every other device that still holds the old credentials
+  await Session.revokeAllForUser(user._id, 'password_change', req.authSession._id);
+  recordAudit(req, 'auth.password_change', { targetModel: 'User', targetId: user._id });
+
   res.json({
     success: true,
     message: 'Password updated successfully'
   });
 }));
 
+// Store a reset token for the user and queue the email with the link
+const sendPasswordReset = async (req, user) => {
+  const resetToken = user.createPasswordResetToken();
+  await user.save();
+  recordAudit(req, 'auth.password_reset_request', { targetModel: 'User', targetId: user._id });
+
+  await queueTemplatedMail('password_reset', {
+    username: user.username,
+    resetUrl: `${clientUrl}/reset-password?token=${resetToken}`,
+    expiresMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30
+  }, { to: user.email }, { relatedId: user._id, relatedModel: 'User' });
+};
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password',
+  authLimiter,
+  asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  // Same response whether or not the account exists
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+
+  if (!email) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is required'
+    });
+  }
+
+  // Respond before doing anything for a real account, so the response time
+  // doesn't tell which emails have one
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+  res.json(genericResponse);
+
+  if (user && user.isActive) {
+    sendPasswordReset(req, user).catch(error => {
+      console.error('❌ Error sending password reset (non-blocking):', error.message);
+    });
+  }
+}));
+
+// @desc    Reset password with emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post('/reset-password',
+  authLimiter,
+  asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return res.status(400).json({
+      success: false,
+      message: 'Token and new password are required'
+    });
+  }
+
+  const user = await User.findByResetToken(String(token));
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password reset link is invalid or has expired'
+    });
+  }
+
+  user.password = password;
+  user.passwordResetToken = null;
+  user.passwordResetExpires = null;
+  // Proving ownership of the mailbox also lifts a brute-force lockout
+  user.failedLoginAttempts = 0;
+  user.lockLevel = 0;
+  user.lockUntil = null;
+  user.emailVerified = true;
+  await user.save();
+
+  // Anyone holding the old password may still be logged in
+  await Session.revokeAllForUser(user._id, 'password_change');
+  recordAudit(req, 'auth.password_reset', { actor: user._id, targetModel: 'User', targetId: user._id });
+
+  res.json({
+    success: true,
+    message: 'Password has been reset, please log in with your new password'
+  });
+}));
+
+// @desc    Confirm an email address with the emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post('/verify-email',
+  authLimiter,
+  asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification token is required'
+    });
+  }
+
+  const user = await User.findByVerificationToken(String(token));
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification link is invalid or has expired'
+    });
+  }
+
+  const before = snapshot(user);
+
+  if (user.pendingEmail) {
+    // The address may have been claimed since the change was requested
+    const emailTaken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+    if (emailTaken) {
+      user.pendingEmail = null;
+      user.emailVerificationToken = null;
+      user.emailVerificationExpires = null;
+      await user.save();
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    user.email = user.pendingEmail;
+    user.pendingEmail = null;
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = null;
+  user.emailVerificationExpires = null;
+  await user.save();
+  recordAudit(req, 'auth.email_verify', { actor: user._id, targetModel: 'User', targetId: user._id, before, after: user });
+
+  res.json({
+    success: true,
+    message: 'Email address verified',
+    data: {
+      email: user.email,
+      emailVerified: user.emailVerified
+    }
+  });
+}));
+
+// @desc    Resend the verification email
+// @route   POST /api/auth/resend-verification
+// @access  Public
+router.post('/resend-verification',
+  verificationLimiter,
+  asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  // Same response whether or not there is anything to verify
+  const genericResponse = {
+    success: true,
+    message: 'If that address is awaiting verification, a new link has been sent'
+  };
+
+  if (!email) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is required'
+    });
+  }
+
+  const normalizedEmail = String(email).toLowerCase().trim();
+  const user = await User.findOne({
+    $or: [
+      { email: normalizedEmail, emailVerified: false },
+      { pendingEmail: normalizedEmail }
+    ]
+  }).select('+emailVerificationSentAt');
+
+  if (!user || !user.isActive) {
+    return res.json(genericResponse);
+  }
+
+  const lastSent = user.emailVerificationSentAt?.getTime() || 0;
+  if (Date.now() - lastSent < VERIFICATION_RESEND_SECONDS * 1000) {
+    return res.json(genericResponse);
+  }
+
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  await sendVerificationEmail(user, verificationToken, user.pendingEmail || user.email);
+
+  res.json(genericResponse);
+}));
+
+// @desc    Look up a pending staff invitation
+// @route   GET /api/auth/invitations/:token
+// @access  Public
+router.get('/invitations/:token', authLimiter, asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findPendingByToken(req.params.token);
+
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invitation is invalid or has expired'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    }
+  });
+}));
+
+// @desc    Accept a staff invitation and create the account
+// @route   POST /api/auth/invitations/accept
+// @access  Public
+router.post('/invitations/accept',
+  authLimiter,
+  asyncHandler(async (req, res) => {
+  const { token, username, password } = req.body;
+
+  if (!token || !username || !password) {
+    return res.status(400).json({
+      success: false,
+      message: 'Token, username and password are required'
+    });
+  }
+
+  const invitation = await Invitation.findPendingByToken(token);
+  if (!invitation) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invitation is invalid or has expired'
+    });
+  }
+
+  const userExists = await User.findOne({ $or: [{ email: invitation.email }, { username }] });
+  if (userExists) {
+    return res.status(400).json({
+      success: false,
+      message: 'User already exists with this email or username'
+    });
+  }
+
+  // Claim the invitation first so the link can't be used twice concurrently
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, acceptedAt: null },
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invitation has already been used'
+    });
+  }
+
+  let user;
+  try {
+    user = await User.create({
+      username,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      permissions: invitation.permissions,
+      deniedPermissions: invitation.deniedPermissions
+    });
+  } catch (error) {
+    // Let the invitee retry with valid details
+    claimed.acceptedAt = null;
+    await claimed.save();
+    throw error;
+  }
+
+  claimed.acceptedUser = user._id;
+  await claimed.save();
+  recordAudit(req, 'invitation.accept', {
+    actor: user._id,
+    targetModel: 'Invitation',
+    targetId: claimed._id,
+    after: user
+  });
+
+  // Privileged invitees may have to enroll in 2FA before their first login
+  if (await isTwoFactorRequired(user)) {
+    return res.status(201).json({
+      success: true,
+      data: {
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user._id, '2fa_setup')
+      }
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: await completeLogin(user, req)
+  });
+}));
+
 // @desc    Create admin user (first time setup)
 // @route   POST /api/auth/setup-admin
 // @access  Public (only if no admin exists)
 router.post('/setup-admin', 
   asyncHandler(async (req, res) => {
   // Check if admin already exists
-  const adminExists = await User.findOne({ role: 'admin' });
+  const adminExists = await User.findOne({ role: { $in: ['admin', 'superadmin'] } });
   if (adminExists) {
     return res.status(400).json({
       success: false,
@@ -221,6 +736,10 @@ router.post('/setup-admin',
     role: 'admin'
   });
 
+  recordAudit(req, 'auth.setup_admin', { actor: admin._id, targetModel: 'User', targetId: admin._id, after: admin });
+
+  const tokens = await issueTokens(admin, req);
+
   res.status(201).json({
     success: true,
     data: {
@@ -228,7 +747,7 @@ router.post('/setup-admin',
       username: admin.username,
       email: admin.email,
       role: admin.role,
-      token: generateToken(admin._id)
+      ...tokens
     }
   });
 }));
@@ -236,7 +755,7 @@ router.post('/setup-admin',
 // @desc    Get all users (admin only)
 // @route   GET /api/auth/users
 // @access  Private/Admin
-router.get('/users', protect, admin, asyncHandler(async (req, res) => {
+router.get('/users', protect, checkPermission('manage_users'), asyncHandler(async (req, res) => {
   const users = await User.find({}).select('-password');
   res.json({
     success: true,
@@ -248,7 +767,7 @@ router.get('/users', protect, admin, asyncHandler(async (req, res) => {
 // @desc    Update user (admin only)
 // @route   PUT /api/auth/users/:id
 // @access  Private/Admin
-router.put('/users/:id', protect, admin, asyncHandler(async (req, res) => {
+router.put('/users/:id', protect, checkPermission('manage_users'), asyncHandler(async (req, res) => {
   const { isActive, role } = req.body;
 
   const user = await User.findById(req.params.id);
@@ -259,10 +778,19 @@ router.put('/users/:id', protect, admin, asyncHandler(async (req, res) => {
     });
   }
 
+  if ((role === 'superadmin' || user.role === 'superadmin') && !isSuperadminRequest(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only a superadmin can grant or change superadmin access'
+    });
+  }
+
+  const before = snapshot(user);
   if (isActive !== undefined) user.isActive = isActive;
   if (role) user.role = role;
 
   const updatedUser = await user.save();
+  recordAudit(req, 'user.update', { targetModel: 'User', targetId: user._id, before, after: updatedUser });
 
   res.json({
     success: true,
@@ -0,0 +1,175 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { protect, checkPermission } = require('../middleware/auth');
+const BlockedSubmission = require('../models/BlockedSubmission');
+const Contact = require('../models/Contact');
+const { getPipelineStages } = require('../utils/pipeline');
+const { classifyContact } = require('../utils/spamClassifier');
+const { recordAudit } = require('../utils/audit');
+const { BLOCK_RESPONSES } = require('../utils/contactGuard');
+
+// Reasons a submission can be blocked for
+const BLOCK_REASONS = ['honeypot', ...Object.keys(BLOCK_RESPONSES)];
+
+const router = express.Router();
+
+router.use(protect, checkPermission('manage_contacts'));
+
+// @desc    List blocked contact form submissions
+// @route   GET /api/admin/blocked-submissions
+// @access  Private/Admin
+router.get('/', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  const { reason, ipAddress, released } = req.query;
+
+  if (reason && !BLOCK_REASONS.includes(String(reason))) {
+    return res.status(400).json({
+      success: false,
+      message: `reason must be one of: ${BLOCK_REASONS.join(', ')}`
+    });
+  }
+
+  const query = {};
+  if (reason) query.reason = String(reason);
+  if (ipAddress) query.ipAddress = String(ipAddress);
+  if (released !== undefined) query.releasedAt = released === 'true' ? { $ne: null } : null;
+
+  const submissions = await BlockedSubmission.find(query)
+    .populate('releasedBy', 'username')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await BlockedSubmission.countDocuments(query);
+
+  const byReason = await BlockedSubmission.aggregate([
+    { $group: { _id: '$reason', count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  res.json({
+    success: true,
+    data: submissions.map(submission => submission.toDecryptedObject()),
+    summary: byReason.map(({ _id, count }) => ({ reason: _id, count })),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// @desc    Restore a wrongly blocked submission as a contact
+// @route   POST /api/admin/blocked-submissions/:id/release
+// @access  Private/Admin
+router.post('/:id/release', asyncHandler(async (req, res) => {
+  const submission = await BlockedSubmission.findById(req.params.id);
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Blocked submission not found'
+    });
+  }
+
+  if (submission.releasedAt) {
+    return res.status(400).json({
+      success: false,
+      message: 'Submission has already been released'
+    });
+  }
+
+  const { data } = submission.toDecryptedObject();
+  if (!data) {
+    return res.status(400).json({
+      success: false,
+      message: 'Submission data could not be decrypted'
+    });
+  }
+
+  // Claim the submission first so two admins releasing it at once can't both
+  // create a contact
+  const claimed = await BlockedSubmission.findOneAndUpdate(
+    { _id: submission._id, releasedAt: null },
+    { $set: { releasedAt: new Date(), releasedBy: req.user._id } }
+  );
+  if (!claimed) {
+    return res.status(400).json({
+      success: false,
+      message: 'Submission has already been released'
+    });
+  }
+
+  const contactData = {
+    ...data,
+    ipAddress: submission.ipAddress || 'unknown',
+    userAgent: submission.userAgent || 'unknown'
+  };
+
+  let contact;
+  try {
+    const spamCheck = await classifyContact(contactData);
+    const [firstStage] = await getPipelineStages();
+
+    contact = await Contact.create({
+      ...contactData,
+      isSpam: spamCheck.isSpam,
+      spamScore: spamCheck.spamScore,
+      stage: firstStage.key
+    });
+  } catch (error) {
+    // No contact was made, so let the submission be released again
+    await BlockedSubmission.updateOne(
+      { _id: submission._id },
+      { $set: { releasedAt: null, releasedBy: null } }
+    );
+    throw error;
+  }
+
+  // Released records are kept (no TTL) as a trail of what was let through
+  await BlockedSubmission.updateOne(
+    { _id: submission._id },
+    { $set: { releasedContact: contact._id, expiresAt: null } }
+  );
+  recordAudit(req, 'blocked_submission.release', {
+    targetModel: 'BlockedSubmission',
+    targetId: submission._id,
+    metadata: { reason: submission.reason, contact: contact._id }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Submission released as a contact',
+    data: { contactId: contact._id }
+  });
+}));
+
+// @desc    Delete a blocked submission
+// @route   DELETE /api/admin/blocked-submissions/:id
+// @access  Private/Admin
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const submission = await BlockedSubmission.findByIdAndDelete(req.params.id);
+
+  if (!submission) {
+    return res.status(404).json({
+      success: false,
+      message: 'Blocked submission not found'
+    });
+  }
+
+  recordAudit(req, 'blocked_submission.delete', {
+    targetModel: 'BlockedSubmission',
+    targetId: submission._id,
+    metadata: { reason: submission.reason }
+  });
+
+  res.json({
+    success: true,
+    message: 'Blocked submission deleted'
+  });
+}));
+
+module.exports = router;
@@ -2,9 +2,10 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { protect, admin, checkPermission } = require('../middleware/auth');
+const { protect, checkPermission } = require('../middleware/auth');
 const BlogPost = require('../models/BlogPost');
 const { upload, uploadfile } = require('../middleware/upload');
+const { recordAudit, snapshot } = require('../utils/audit');
 
 const router = express.Router();
 
@@ -179,6 +180,7 @@ router.post('/', protect, checkPermission('manage_blog'), upload.single('feature
   };
 
   const post = await BlogPost.create(postData);
+  recordAudit(req, 'blog.create', { targetModel: 'BlogPost', targetId: post._id, after: post });
 
   res.status(201).json({
     success: true,
@@ -222,6 +224,8 @@ router.put('/:id', protect, checkPermission('manage_blog'), upload.single('featu
     structuredData
   } = req.body;
 
+  const before = snapshot(post);
+
   // Process uploaded image
   if (req.file) {
     // Delete old image if exists
@@ -260,6 +264,7 @@ router.put('/:id', protect, checkPermission('manage_blog'), upload.single('featu
   if (structuredData) post.structuredData = structuredData;
 
   await post.save();
+  recordAudit(req, 'blog.update', { targetModel: 'BlogPost', targetId: post._id, before, after: post });
 
   res.json({
     success: true,
@@ -289,7 +294,8 @@ router.delete('/:id', protect, checkPermission('manage_blog'), asyncHandler(asyn
     }
   }
 
-  await post.remove();
+  await post.deleteOne();
+  recordAudit(req, 'blog.delete', { targetModel: 'BlogPost', targetId: post._id, before: post });
 
   res.json({
     success: true,
@@ -0,0 +1,600 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { protect, checkPermission } = require('../middleware/auth');
+const Availability = require('../models/Availability');
+const Booking = require('../models/Booking');
+const BlockedSubmission = require('../models/BlockedSubmission');
+const Contact = require('../models/Contact');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { checkSubmission, BLOCK_RESPONSES } = require('../utils/contactGuard');
+const { emailIndex } = require('../utils/blindIndex');
+const { classifyContact } = require('../utils/spamClassifier');
+const { getPipelineStages } = require('../utils/pipeline');
+const { processSheetsSync } = require('../jobs/sheetsSync');
+const {
+  DURATION_KEYS,
+  getBookingConfig,
+  validateBookingConfig,
+  saveBookingConfig,
+  listFreeSlots,
+  findSlots,
+  isInsideReminderWindow,
+  formatTime,
+  queueBookingEmail
+} = require('../utils/booking');
+
+const router = express.Router();
+
+const MAX_SLOT_DAYS = 31;
+const SLOT_TAKEN_MESSAGE = 'That time is no longer available, please pick another slot';
+const BOOKING_STATUSES = Booking.schema.path('status').enumValues;
+
+const manageBookings = [protect, checkPermission('manage_bookings')];
+
+// Parse an optional date query/body value, returns a Date, null if absent, or false if invalid
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? false : date;
+};
+
+// Bookings with the visitor's contact details decrypted, for admins
+const withVisitors = async (bookings) => {
+  const contacts = await Contact.find({ _id: { $in: bookings.map(booking => booking.contact) } });
+  const byId = new Map(contacts.map(contact => [String(contact._id), contact]));
+
+  return bookings.map(booking => {
+    const contact = byId.get(String(booking.contact));
+    const data = contact && contact.decryptSensitiveData();
+    return {
+      ...booking.toObject(),
+      visitor: data ? { name: data.name, email: data.email, phone: data.phone } : null
+    };
+  });
+};
+
+// Tell the designer and admins about a new booking
+const notifyBooking = (booking, visitorName) => {
+  User.find({ role: { $in: ['admin', 'superadmin'] }, isActive: true }).select('_id')
+    .then(admins => {
+      const recipients = [...new Set([String(booking.designer), ...admins.map(admin => String(admin._id))])];
+      return Notification.createSystemNotification(recipients, {
+        title: 'New consultation booked',
+        message: `${visitorName} booked a consultation for ${formatTime(booking.startAt, booking.timezone)}`,
+        type: 'contact',
+        category: 'contact',
+        priority: 'high',
+        relatedId: booking.contact,
+        relatedModel: 'Contact',
+        actions: [
+          {
+            label: 'View Lead',
+            url: `/admin/contacts/${booking.contact}`,
+            action: 'view'
+          }
+        ]
+      });
+    })
+    .catch(error => {
+      console.error('Booking notification error (non-blocking):', error.message);
+    });
+};
+
+// Queue a booking email without holding up the response
+const sendBookingEmail = (booking, kind) => {
+  queueBookingEmail(booking, kind).catch(error => {
+    console.error(`Booking ${kind} email error (non-blocking):`, error.message);
+  });
+};
+
+// @desc    List free consultation slots for a service
+// @route   GET /api/bookings/slots?service=&from=&days=&designer=
+// @access  Public
+router.get('/slots', asyncHandler(async (req, res) => {
+  const { service = '', designer } = req.query;
+  const config = await getBookingConfig();
+
+  if (!config.enabled) {
+    return res.status(403).json({
+      success: false,
+      message: 'Online booking is currently unavailable'
+    });
+  }
+
+  if (service && !DURATION_KEYS.includes(service)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Unknown service'
+    });
+  }
+
+  const from = parseDate(req.query.from);
+  if (from === false || (designer && !mongoose.isValidObjectId(designer))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid from date or designer'
+    });
+  }
+
+  const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), MAX_SLOT_DAYS);
+  const start = from || new Date();
+  const slots = await listFreeSlots({
+    service,
+    from: start,
+    to: new Date(start.getTime() + days * 24 * 60 * 60 * 1000),
+    designerId: designer || null
+  });
+
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    data: slots
+  });
+}));
+
+// @desc    Book a consultation slot (creates a lead for the visitor)
+// @route   POST /api/bookings
+// @access  Public
+router.post('/', asyncHandler(async (req, res) => {
+  const { name, email, phone, service = '', message, designerId } = req.body;
+  const config = await getBookingConfig();
+
+  if (!config.enabled) {
+    return res.status(403).json({
+      success: false,
+      message: 'Online booking is currently unavailable'
+    });
+  }
+
+  if (!name || !email || !req.body.startAt) {
+    return res.status(400).json({
+      success: false,
+      message: 'Name, email, and a time slot are required'
+    });
+  }
+
+  const startAt = parseDate(req.body.startAt);
+  if (!startAt || (service && !DURATION_KEYS.includes(service)) || (designerId && !mongoose.isValidObjectId(designerId))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid time slot, service or designer'
+    });
+  }
+
+  // Same bot protection as the contact form
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
+  const senderIndex = emailIndex(email);
+  const blockReason = await checkSubmission(req.body, { ipAddress, emailIndex: senderIndex });
+  if (blockReason) {
+    const blocked = await BlockedSubmission.record(blockReason, {
+      name,
+      email,
+      phone: phone || '',
+      service,
+      budget: '',
+      message: message || ''
+    }, { ipAddress, userAgent, emailIndex: senderIndex });
+    console.log(`⚠️ Booking blocked: ${blockReason}`);
+
+    if (blockReason === 'honeypot') {
+      return res.status(201).json({
+        success: true,
+        message: 'Your consultation is booked',
+        data: {
+          id: blocked._id,
+          startAt
+        }
+      });
+    }
+
+    const { status, message: blockMessage } = BLOCK_RESPONSES[blockReason];
+    return res.status(status).json({
+      success: false,
+      message: blockMessage
+    });
+  }
+
+  const slots = await findSlots({ service, startAt, designerId: designerId || null });
+  if (slots.length === 0) {
+    return res.status(409).json({
+      success: false,
+      message: SLOT_TAKEN_MESSAGE
+    });
+  }
+
+  // The booking is a lead like any other; duplicate detection links it to
+  // earlier enquiries from the same person
+  const contactData = {
+    name,
+    email,
+    phone: phone || '',
+    service,
+    budget: '',
+    message: message || `Booked a consultation for ${formatTime(startAt, slots[0].timezone)}`,
+    ipAddress,
+    userAgent
+  };
+  const spamCheck = await classifyContact(contactData);
+  contactData.isSpam = spamCheck.isSpam;
+  contactData.spamScore = spamCheck.spamScore;
+
+  const [firstStage] = await getPipelineStages();
+  const contact = new Contact({ ...contactData, stage: firstStage.key });
+
+  // Spam is kept as a lead for review but never holds a designer's time or
+  // gets emailed; answer like a real booking of the first free slot so bots
+  // learn nothing
+  if (contact.isSpam) {
+    await contact.save();
+    console.log('⚠️ Booking from spam-scored submission not reserved');
+    const [slot] = slots;
+    return res.status(201).json({
+      success: true,
+      message: 'Your consultation is booked',
+      data: {
+        id: contact._id,
+        startAt: slot.startAt,
+        endAt: slot.endAt,
+        designerName: slot.designerName,
+        timezone: slot.timezone
+      }
+    });
+  }
+
+  // Try each free designer in turn; the unique index on booked blocks means
+  // only one request can win a given designer's time
+  let booking = null;
+  for (const slot of slots) {
+    try {
+      booking = await Booking.book({
+        designer: slot.designer,
+        contact: contact._id,
+        service,
+        startAt: slot.startAt,
+        endAt: slot.endAt,
+        timezone: slot.timezone,
+        reminderQueuedAt: isInsideReminderWindow(config, slot.startAt) ? new Date() : null
+      });
+      break;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (!booking) {
+    return res.status(409).json({
+      success: false,
+      message: SLOT_TAKEN_MESSAGE
+    });
+  }
+
+  try {
+    await contact.save();
+  } catch (error) {
+    await Booking.deleteOne({ _id: booking._id });
+    throw error;
+  }
+
+  processSheetsSync();
+  sendBookingEmail(booking, 'confirmation');
+  notifyBooking(booking, name);
+
+  const slot = slots.find(candidate => candidate.designer.equals(booking.designer));
+  res.status(201).json({
+    success: true,
+    message: 'Your consultation is booked',
+    data: {
+      id: booking._id,
+      startAt: booking.startAt,
+      endAt: booking.endAt,
+      designerName: slot.designerName,
+      timezone: booking.timezone
+    }
+  });
+}));
+
+// @desc    Get booking settings
+// @route   GET /api/bookings/settings
+// @access  Private/Admin
+router.get('/settings', manageBookings, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await getBookingConfig()
+  });
+}));
+
+// @desc    Update booking settings
+// @route   PUT /api/bookings/settings
+// @access  Private/Admin
+router.put('/settings', manageBookings, asyncHandler(async (req, res) => {
+  const before = await getBookingConfig();
+  const config = { ...before };
+  ['enabled', 'durations', 'minNoticeHours', 'maxDaysAhead', 'reminderHours', 'location'].forEach(field => {
+    if (req.body[field] !== undefined) config[field] = req.body[field];
+  });
+
+  const error = validateBookingConfig(config);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  await saveBookingConfig(config, req.user._id);
+  const after = await getBookingConfig();
+  recordAudit(req, 'settings.booking_update', { targetModel: 'Setting', before, after });
+
+  res.json({
+    success: true,
+    message: 'Booking settings updated',
+    data: after
+  });
+}));
+
+// @desc    List designers' availability
+// @route   GET /api/bookings/availability
+// @access  Private/Admin
+router.get('/availability', manageBookings, asyncHandler(async (req, res) => {
+  const availabilities = await Availability.find()
+    .populate('user', 'username email role isActive')
+    .sort({ displayName: 1 });
+
+  res.json({
+    success: true,
+    data: availabilities
+  });
+}));
+
+// @desc    Get a designer's availability
+// @route   GET /api/bookings/availability/:userId
+// @access  Private/Admin
+router.get('/availability/:userId', manageBookings, asyncHandler(async (req, res) => {
+  const availability = await Availability.findOne({ user: req.params.userId })
+    .populate('user', 'username email role isActive');
+
+  if (!availability) {
+    return res.status(404).json({
+      success: false,
+      message: 'No availability set for this user'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: availability
+  });
+}));
+
+// @desc    Set a designer's weekly hours, blackout dates and services
+// @route   PUT /api/bookings/availability/:userId
+// @access  Private/Admin
+router.put('/availability/:userId', manageBookings, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.userId);
+  if (!user || user.role === 'user') {
+    return res.status(404).json({
+      success: false,
+      message: 'Staff user not found'
+    });
+  }
+
+  const { services } = req.body;
+  if (services !== undefined && (!Array.isArray(services) || services.some(service => !DURATION_KEYS.includes(service) || service === 'default'))) {
+    return res.status(400).json({
+      success: false,
+      message: `services must list any of ${DURATION_KEYS.filter(key => key !== 'default').join(', ')}`
+    });
+  }
+
+  let availability = await Availability.findOne({ user: user._id });
+  const before = availability ? snapshot(availability) : null;
+  if (!availability) {
+    availability = new Availability({ user: user._id, displayName: user.username });
+  }
+
+  ['displayName', 'timezone', 'weekly', 'blackouts', 'services', 'isActive'].forEach(field => {
+    if (req.body[field] !== undefined) availability[field] = req.body[field];
+  });
+  availability.updatedBy = req.user._id;
+  await availability.save();
+
+  recordAudit(req, 'booking.availability_update', {
+    targetModel: 'Availability',
+    targetId: availability._id,
+    before,
+    after: availability,
+    metadata: { userId: user._id }
+  });
+
+  res.json({
+    success: true,
+    message: 'Availability updated',
+    data: availability
+  });
+}));
+
+// @desc    List bookings
+// @route   GET /api/bookings?status=&designer=&from=&to=
+// @access  Private/Admin
+router.get('/', manageBookings, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const { status, designer } = req.query;
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+
+  if (from === false || to === false) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid from or to date'
+    });
+  }
+
+  if ((status && !BOOKING_STATUSES.includes(status)) || (designer && !mongoose.isValidObjectId(designer))) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid designer, or status other than ${BOOKING_STATUSES.join(' or ')}`
+    });
+  }
+
+  const query = {};
+  if (status) query.status = status;
+  if (designer) query.designer = designer;
+  if (from || to) {
+    query.startAt = {};
+    if (from) query.startAt.$gte = from;
+    if (to) query.startAt.$lt = to;
+  }
+
+  const bookings = await Booking.find(query)
+    .populate('designer', 'username')
+    .sort({ startAt: 1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const total = await Booking.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: await withVisitors(bookings),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// @desc    Get a booking
+// @route   GET /api/bookings/:id
+// @access  Private/Admin
+router.get('/:id', manageBookings, asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id)
+    .populate('designer', 'username')
+    .populate('history.by', 'username');
+
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+  }
+
+  const [data] = await withVisitors([booking]);
+  res.json({
+    success: true,
+    data
+  });
+}));
+
+// @desc    Move a booking to another free slot (optionally another designer)
+// @route   PUT /api/bookings/:id/reschedule
+// @access  Private/Admin
+router.put('/:id/reschedule', manageBookings, asyncHandler(async (req, res) => {
+  const { designerId } = req.body;
+  const startAt = parseDate(req.body.startAt);
+
+  if (!startAt || (designerId && !mongoose.isValidObjectId(designerId))) {
+    return res.status(400).json({
+      success: false,
+      message: 'A valid startAt (and optional designerId) is required'
+    });
+  }
+
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+  }
+
+  if (booking.status !== 'confirmed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only confirmed bookings can be rescheduled'
+    });
+  }
+
+  // Admins aren't held to the notice period or booking horizon
+  const slots = await findSlots({
+    service: booking.service,
+    startAt,
+    designerId: designerId || null,
+    excludeBookingId: booking._id,
+    ignoreLimits: true
+  });
+  // Keep the same designer when they're free
+  const slot = slots.find(candidate => candidate.designer.equals(booking.designer)) || slots[0];
+  if (!slot) {
+    return res.status(409).json({
+      success: false,
+      message: SLOT_TAKEN_MESSAGE
+    });
+  }
+
+  const before = snapshot(booking);
+  booking.reschedule(slot, req.user._id);
+  try {
+    await booking.save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return res.status(409).json({
+      success: false,
+      message: SLOT_TAKEN_MESSAGE
+    });
+  }
+
+  recordAudit(req, 'booking.reschedule', { targetModel: 'Booking', targetId: booking._id, before, after: booking });
+  sendBookingEmail(booking, 'rescheduled');
+
+  res.json({
+    success: true,
+    message: 'Booking rescheduled',
+    data: booking
+  });
+}));
+
+// @desc    Cancel a booking and email the visitor
+// @route   POST /api/bookings/:id/cancel
+// @access  Private/Admin
+router.post('/:id/cancel', manageBookings, asyncHandler(async (req, res) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+  }
+
+  if (booking.status === 'cancelled') {
+    return res.status(400).json({
+      success: false,
+      message: 'Booking is already cancelled'
+    });
+  }
+
+  const before = snapshot(booking);
+  booking.cancel(req.user._id, reason);
+  await booking.save();
+
+  recordAudit(req, 'booking.cancel', { targetModel: 'Booking', targetId: booking._id, before, after: booking });
+  if (req.body.notify !== false && booking.endAt > new Date()) {
+    sendBookingEmail(booking, 'cancelled');
+  }
+
+  res.json({
+    success: true,
+    message: 'Booking cancelled',
+    data: booking
+  });
+}));
+
+module.exports = router;
@@ -1,154 +1,171 @@
 const express = require('express');
-const { google } = require('googleapis');
-const nodemailer = require('nodemailer');
+const mongoose = require('mongoose');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { protect, admin } = require('../middleware/auth');
+const { protect, checkPermission, hasPermission, isSuperadminRequest } = require('../middleware/auth');
 const Contact = require('../models/Contact');
+const ContactAttachment = require('../models/ContactAttachment');
+const Booking = require('../models/Booking');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
-const path = require('path');
+const { isEmailConfigured, clientUrl } = require('../config/email');
+const { queueTemplatedMail } = require('../utils/emailTemplates');
+const { createMessageId } = require('../utils/mailQueue');
+const { upload, contactUpload, uploadfile, deletefile } = require('../middleware/upload');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { getPipelineStages } = require('../utils/pipeline');
+const SpamModel = require('../models/SpamModel');
+const { classifyContact, explainContact, learnLabel } = require('../utils/spamClassifier');
+const BlockedSubmission = require('../models/BlockedSubmission');
+const { checkSubmission, BLOCK_RESPONSES } = require('../utils/contactGuard');
+const { generateFormToken, generateAttachmentToken, verifyAttachmentToken } = require('../utils/tokens');
+const { emailIndex } = require('../utils/blindIndex');
+const { sendAutoReply } = require('../utils/autoReply');
+const { prepareAttachments } = require('../utils/contactAttachments');
+const { processSheetsSync } = require('../jobs/sheetsSync');
 
 const router = express.Router();
 
-// Google Sheets API setup (optional)
-let sheetsAuth = null;
-try {
-  const credentialsPath = path.join(__dirname, '../google-credentials.json');
-  sheetsAuth = new google.auth.GoogleAuth({
-    keyFile: credentialsPath,
-    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-  });
-} catch (error) {
-  console.log('⚠️ Google Sheets credentials not found or invalid');
-}
-
-// Email transporter setup (optional)
-let transporter = null;
-if (process.env.EMAIL_HOST && process.env.EMAIL_USER && process.env.EMAIL_PASS) {
-  try {
-    transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: process.env.EMAIL_PORT,
-      secure: false,
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-    });
-  } catch (error) {
-    console.log('⚠️ Email configuration error:', error.message);
-  }
-}
+// @username mentions in note bodies
+const MENTION_PATTERN = /@([A-Za-z0-9_.-]{3,30})/g;
 
-// Spam detection function
-const detectSpam = (contactData) => {
-  let spamScore = 0;
-  
-  // Check for suspicious patterns
-  const suspiciousWords = ['viagra', 'casino', 'loan', 'credit', 'free money', 'click here'];
-  const message = contactData.message.toLowerCase();
-  
-  suspiciousWords.forEach(word => {
-    if (message.includes(word)) spamScore += 2;
+// Staff mentioned in a note who can actually open the lead
+const findMentionedUsers = async (body, authorId) => {
+  const usernames = [...new Set(
+    [...body.matchAll(MENTION_PATTERN)].map(match => match[1].replace(/[.-]+$/, ''))
+  )];
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({
+    username: { $in: usernames },
+    isActive: true,
+    _id: { $ne: authorId }
   });
-  
-  // Check for excessive caps
-  const capsRatio = (contactData.message.match(/[A-Z]/g) || []).length / contactData.message.length;
-  if (capsRatio > 0.7) spamScore += 3;
-  
-  // Check for suspicious email patterns
-  if (contactData.email.includes('@temp') || contactData.email.includes('@test')) spamScore += 5;
-  
-  // Check for very short messages
-  if (contactData.message.length < 10) spamScore += 2;
-  
-  return {
-    isSpam: spamScore >= 5,
-    spamScore
-  };
+  return users.filter(user => hasPermission(user, 'manage_contacts'));
 };
 
-// Add contact to Google Sheets (optional)
-const addToGoogleSheets = async (contactData) => {
-  if (!sheetsAuth || !process.env.GOOGLE_SHEET_ID) {
-    console.log('⚠️ Google Sheets not configured, skipping...');
-    return;
-  }
+// Notify mentioned users (the note body itself stays out of the notification)
+const notifyMentions = (users, contact, author) => {
+  if (users.length === 0) return;
 
-  try {
-    const sheets = google.sheets({ version: 'v4', auth: sheetsAuth });
-    
-    const values = [
-      [
-        new Date().toISOString(),
-        contactData.name,
-        contactData.email,
-        contactData.phone || 'N/A',
-        contactData.service || 'N/A',
-        contactData.budget || 'N/A',
-        contactData.message,
-        contactData.ipAddress,
-        contactData.isSpam ? 'YES' : 'NO'
-      ]
-    ];
-
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: process.env.GOOGLE_SHEET_ID,
-      range: 'Sheet1!A:I',
-      valueInputOption: 'RAW',
-      insertDataOption: 'INSERT_ROWS',
-      resource: {
-        values: values,
-      },
-    });
-
-    console.log('✅ Contact added to Google Sheets');
-  } catch (error) {
-    console.error('❌ Error adding to Google Sheets:', error.message);
-    // Don't throw error, just log it
-  }
+  Notification.createSystemNotification(users.map(user => user._id), {
+    title: 'You were mentioned on a lead',
+    message: `${author.username} mentioned you in a note`,
+    type: 'contact',
+    category: 'contact',
+    relatedId: contact._id,
+    relatedModel: 'Contact',
+    actions: [
+      {
+        label: 'View Lead',
+        url: `/admin/contacts/${contact._id}`,
+        action: 'view'
+      }
+    ]
+  }).catch(error => {
+    console.error('Mention notification error (non-blocking):', error.message);
+  });
 };
 
-// Send email notification (optional)
-const sendEmailNotification = async (contactData) => {
-  if (!transporter) {
-    console.log('⚠️ Email not configured, skipping...');
-    return;
+// Upload note attachments to Cloudinary. All or nothing: on failure the
+// files already uploaded are removed again.
+const uploadAttachments = async (files = []) => {
+  const results = await Promise.all(files.map(file => uploadfile(file.path)));
+
+  if (results.some(result => !result)) {
+    await Promise.all(results.filter(Boolean).map(result => deletefile(result.public_id)));
+    return null;
   }
 
+  return results.map((result, index) => ({
+    url: result.secure_url,
+    publicId: result.public_id,
+    originalName: files[index].originalname,
+    mimeType: files[index].mimetype,
+    size: files[index].size
+  }));
+};
+
+const NOTE_MAX_LENGTH = 5000;
+
+// Queue the studio's email about a new submission (optional).
+// `notifications` are the in-app notifications it mirrors.
+const sendEmailNotification = async (contactData, contact, notifications = []) => {
+  const to = process.env.EMAIL_NOTIFY_TO || process.env.EMAIL_USER; // Send to yourself
+  if (!to) return;
+
   try {
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: process.env.EMAIL_USER, // Send to yourself
-      subject: `New Contact Form Submission - ${contactData.name}`,
-      html: `
-        <h2>New Contact Form Submission</h2>
-        <p><strong>Name:</strong> ${contactData.name}</p>
-        <p><strong>Email:</strong> ${contactData.email}</p>
-        <p><strong>Phone:</strong> ${contactData.phone || 'Not provided'}</p>
-        <p><strong>Service:</strong> ${contactData.service || 'Not specified'}</p>
-        <p><strong>Budget:</strong> ${contactData.budget || 'Not specified'}</p>
-        <p><strong>Message:</strong></p>
-        <p>${contactData.message}</p>
-        <hr>
-        <p><small>Submitted at: ${new Date().toLocaleString()}</small></p>
-        <p><small>IP Address: ${contactData.ipAddress}</small></p>
-        ${contactData.isSpam ? '<p style="color: red;"><strong>⚠️ Potential Spam</strong></p>' : ''}
-      `
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log('✅ Email notification sent');
+    await queueTemplatedMail('contact_notification', {
+      name: contactData.name,
+      email: contactData.email,
+      phone: contactData.phone,
+      service: contact.serviceDisplay,
+      budget: contact.budgetDisplay,
+      message: contactData.message,
+      submittedAt: new Date().toLocaleString(),
+      ipAddress: contactData.ipAddress,
+      isSpam: !!contactData.isSpam,
+      isDuplicate: !!contact.duplicateOf,
+      attachmentCount: contact.attachmentCount,
+      contactUrl: `${clientUrl}/admin/contacts/${contact._id}`
+    }, { to }, {
+      notifications: notifications.map(notification => notification._id),
+      relatedId: contact._id,
+      relatedModel: 'Contact'
+    });
+    console.log('✅ Email notification queued');
   } catch (error) {
-    console.error('❌ Error sending email:', error.message);
+    console.error('❌ Error queueing email:', error.message);
     // Don't throw error for email failures
   }
 };
 
-// @desc    Submit contact form
+// @desc    Get a token to include with the contact form
+// @route   GET /api/contact/form-token
+// @access  Public
+router.get('/form-token', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    data: { formToken: generateFormToken() }
+  });
+});
+
+// @desc    Download a contact attachment through a signed link
+// @route   GET /api/contact/attachments/:token
+// @access  Public (link issued to admins, expires after a few minutes)
+router.get('/attachments/:token', asyncHandler(async (req, res) => {
+  const link = verifyAttachmentToken(req.params.token);
+  if (!link) {
+    return res.status(403).json({
+      success: false,
+      message: 'Download link is invalid or has expired'
+    });
+  }
+
+  const attachment = await ContactAttachment.findById(link.attachmentId).select('+content');
+  const content = attachment && attachment.getContent();
+  if (!content) {
+    return res.status(404).json({
+      success: false,
+      message: 'Attachment not found'
+    });
+  }
+
+  res.attachment(attachment.originalName);
+  res.set({
+    'Content-Type': attachment.mimeType,
+    'Content-Length': content.length,
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'; sandbox"
+  });
+  res.send(content);
+}));
+
+// @desc    Submit contact form (optionally multipart, with up to a few images/PDFs in `attachments`)
 // @route   POST /api/contact
 // @access  Public
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', contactUpload, asyncHandler(async (req, res) => {
   const { name, email, phone, service, budget, message } = req.body;
 
   // Validate required fields
@@ -163,6 +180,48 @@ router.post('/', asyncHandler(async (req, res) => {
   const ipAddress = req.ip || req.connection.remoteAddress;
   const userAgent = req.get('User-Agent');
 
+  // Bot protection: honeypot, form timing and per-sender quotas
+  const senderIndex = emailIndex(email);
+  const blockReason = await checkSubmission(req.body, { ipAddress, emailIndex: senderIndex });
+  if (blockReason) {
+    const blocked = await BlockedSubmission.record(blockReason, {
+      name,
+      email,
+      phone: phone || '',
+      service: service || '',
+      budget: budget || '',
+      message
+    }, { ipAddress, userAgent, emailIndex: senderIndex });
+    console.log(`⚠️ Contact submission blocked: ${blockReason}`);
+
+    // Don't let bots that filled the honeypot know they were caught
+    if (blockReason === 'honeypot') {
+      return res.status(201).json({
+        success: true,
+        message: 'Thank you for your message! We\'ll get back to you soon.',
+        data: {
+          id: blocked._id,
+          submittedAt: blocked.createdAt
+        }
+      });
+    }
+
+    const { status, message: blockMessage } = BLOCK_RESPONSES[blockReason];
+    return res.status(status).json({
+      success: false,
+      message: blockMessage
+    });
+  }
+
+  // Only accept files whose content really is an image or PDF
+  const { attachments, error: attachmentError } = prepareAttachments(req.files);
+  if (attachmentError) {
+    return res.status(400).json({
+      success: false,
+      message: attachmentError
+    });
+  }
+
   // Create contact object
   const contactData = {
     name,
@@ -176,29 +235,35 @@ router.post('/', asyncHandler(async (req, res) => {
   };
 
   // Detect spam
-  const spamCheck = detectSpam(contactData);
+  const spamCheck = await classifyContact(contactData);
   contactData.isSpam = spamCheck.isSpam;
   contactData.spamScore = spamCheck.spamScore;
 
+  let contact = null;
   try {
-    // Create contact in database
-    const contact = new Contact(contactData);
+    // Create contact in database, entering the first pipeline stage
+    const [firstStage] = await getPipelineStages();
+    contact = new Contact({ ...contactData, stage: firstStage.key, attachmentCount: attachments.length });
+    if (attachments.length > 0) {
+      await ContactAttachment.store(contact._id, attachments);
+    }
     await contact.save();
     console.log('✅ Contact saved to database');
 
-    // Add to Google Sheets (if not spam) - non-blocking
+    // Add to Google Sheets (if not spam) - non-blocking, retried by the sync job
     if (!contactData.isSpam) {
-      addToGoogleSheets(contactData).catch(error => {
-        console.error('Google Sheets error (non-blocking):', error.message);
-      });
+      processSheetsSync();
     }
 
-    // Send email notification - non-blocking
-    sendEmailNotification(contactData).catch(error => {
-      console.error('Email error (non-blocking):', error.message);
-    });
+    // Acknowledge the submitter (skipped for spam) - non-blocking
+    sendAutoReply({ ...contactData, _id: contact._id, serviceDisplay: contact.serviceDisplay })
+      .then(message => message && Contact.updateOne({ _id: contact._id }, { autoReplyMessage: message._id }))
+      .catch(error => {
+        console.error('Auto-reply error (non-blocking):', error.message);
+      });
 
-    // Create notification for admins - non-blocking
+    // Create notification for admins, then email them - non-blocking
+    let notifications = [];
     try {
       const adminUsers = await User.find({ 
         role: { $in: ['admin', 'superadmin'] },
@@ -206,11 +271,12 @@ router.post('/', asyncHandler(async (req, res) => {
       }).select('_id');
 
       if (adminUsers.length > 0) {
-        await Notification.createSystemNotification(
+        notifications = await Notification.createSystemNotification(
           adminUsers.map(user => user._id),
           {
             title: 'New Contact Form Submission',
-            message: `${name} submitted a contact form for ${service} project`,
+            message: `${name} submitted a contact form for ${service} project`
+              + (contact.duplicateOf ? ' (possible duplicate of an earlier lead)' : ''),
             type: 'contact',
             category: 'contact',
             priority: 'high',
@@ -231,6 +297,10 @@ router.post('/', asyncHandler(async (req, res) => {
       console.error('Notification creation failed:', error.message);
     }
 
+    sendEmailNotification(contactData, contact, notifications).catch(error => {
+      console.error('Email error (non-blocking):', error.message);
+    });
+
     res.status(201).json({
       success: true,
       message: 'Thank you for your message! We\'ll get back to you soon.',
@@ -242,6 +312,12 @@ router.post('/', asyncHandler(async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error saving contact:', error);
+    // Don't keep files for a contact that was never saved
+    if (contact && contact.isNew && attachments.length > 0) {
+      ContactAttachment.deleteMany({ contact: contact._id }).catch(cleanupError => {
+        console.error('Attachment cleanup error:', cleanupError.message);
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to submit contact form. Please try again.'
@@ -252,13 +328,14 @@ router.post('/', asyncHandler(async (req, res) => {
 // @desc    Get all contacts (admin only)
 // @route   GET /api/contact
 // @access  Private/Admin
-router.get('/', protect, admin, asyncHandler(async (req, res) => {
+router.get('/', protect, checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
   const status = req.query.status;
   const isSpam = req.query.isSpam;
 
-  const query = {};
+  // Search runs on blind indexes, nothing is decrypted until the page is built
+  const query = Contact.searchFilter(req.query);
   if (status) query.status = status;
   if (isSpam !== undefined) query.isSpam = isSpam === 'true';
 
@@ -297,8 +374,9 @@ router.get('/', protect, admin, asyncHandler(async (req, res) => {
 // @desc    Get single contact (admin only)
 // @route   GET /api/contact/:id
 // @access  Private/Admin
-router.get('/:id', protect, admin, asyncHandler(async (req, res) => {
-  const contact = await Contact.findById(req.params.id);
+router.get('/:id', protect, checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
+  const contact = await Contact.findById(req.params.id)
+    .populate('replies.sentBy', 'username email');
   
   if (!contact) {
     return res.status(404).json({
@@ -307,26 +385,476 @@ router.get('/:id', protect, admin, asyncHandler(async (req, res) => {
     });
   }
 
-  // Decrypt sensitive data
-  const contactObj = contact.toObject();
+  const [attachments, bookings] = await Promise.all([
+    ContactAttachment.find({ contact: contact._id }).sort({ createdAt: 1 }),
+    Booking.find({ contact: contact._id }).populate('designer', 'username').sort({ startAt: -1 })
+  ]);
+
+  // Decrypt sensitive data and the reply thread
+  res.json({
+    success: true,
+    data: { ...contact.toDecryptedObject(), attachments, bookings }
+  });
+}));
+
+// @desc    Get a short-lived download link for a contact attachment (admin only)
+// @route   POST /api/contact/:id/attachments/:attachmentId/link
+// @access  Private/Admin
+router.post('/:id/attachments/:attachmentId/link', protect, checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
+  const attachment = await ContactAttachment.findOne({ _id: req.params.attachmentId, contact: req.params.id });
+  if (!attachment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Attachment not found'
+    });
+  }
+
+  const token = generateAttachmentToken(attachment._id);
+  const { expiresAt } = verifyAttachmentToken(token);
+  recordAudit(req, 'contact.attachment_link', {
+    targetModel: 'Contact',
+    targetId: attachment.contact,
+    metadata: { attachmentId: attachment._id, originalName: attachment.originalName }
+  });
+
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    data: {
+      url: `${req.baseUrl}/attachments/${token}`,
+      expiresAt
+    }
+  });
+}));
+
+// @desc    Email a reply to a contact and store it in the thread (admin only)
+// @route   POST /api/contact/:id/replies
+// @access  Private/Admin
+router.post('/:id/replies', protect, checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
+  const { subject, body } = req.body;
+
+  if (!body || !String(body).trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Reply body is required'
+    });
+  }
+
+  if (String(body).length > 10000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Reply cannot exceed 10000 characters'
+    });
+  }
+
+  const contact = await Contact.findById(req.params.id);
+  if (!contact) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contact not found'
+    });
+  }
+
   const decryptedData = contact.decryptSensitiveData();
-  if (decryptedData) {
-    contactObj.name = decryptedData.name;
-    contactObj.email = decryptedData.email;
-    contactObj.phone = decryptedData.phone;
-    contactObj.message = decryptedData.message;
+  if (!decryptedData?.email) {
+    return res.status(400).json({
+      success: false,
+      message: 'Contact has no readable email address'
+    });
+  }
+
+  const replySubject = subject
+    ? String(subject).trim().slice(0, 200)
+    : `Re: Your ${contact.serviceDisplay || 'design'} enquiry`;
+
+  // Keep follow-ups in the same thread in the lead's mail client
+  const previousIds = contact.replies.map(reply => reply.messageId).filter(Boolean);
+
+  if (!isEmailConfigured()) {
+    return res.status(503).json({
+      success: false,
+      message: 'Email is not configured'
+    });
+  }
+
+  // Store the reply before queuing it, so the lead is never emailed a reply the
+  // thread doesn't show. The Message-ID is assigned now to keep the thread intact.
+  const messageId = createMessageId();
+  const previousStatus = contact.status;
+  const reply = contact.addReply({
+    to: decryptedData.email,
+    subject: replySubject,
+    body: String(body),
+    sentBy: req.user._id,
+    messageId
+  });
+  contact.status = 'replied';
+  await contact.save({ validateModifiedOnly: true });
+
+  // Delivered by the outbox worker
+  let outboxMessage;
+  try {
+    outboxMessage = await queueTemplatedMail('contact_reply', {
+      subject: replySubject,
+      body: String(body)
+    }, {
+      to: decryptedData.email,
+      messageId,
+      ...(previousIds.length > 0 && {
+        inReplyTo: previousIds[previousIds.length - 1],
+        references: previousIds
+      })
+    }, {
+      relatedId: contact._id,
+      relatedModel: 'Contact',
+      queuedBy: req.user._id
+    });
+  } catch (error) {
+    // Nothing was queued, so take the reply back out of the thread
+    await Contact.updateOne(
+      { _id: contact._id },
+      { $pull: { replies: { _id: reply._id } }, $set: { status: previousStatus } }
+    );
+    throw error;
+  }
+
+  recordAudit(req, 'contact.reply', {
+    targetModel: 'Contact',
+    targetId: contact._id,
+    metadata: { replyId: reply._id, messageId: outboxMessage.messageId, outboxMessage: outboxMessage._id }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Reply queued for delivery',
+    data: {
+      _id: reply._id,
+      to: decryptedData.email,
+      subject: replySubject,
+      body: String(body),
+      sentBy: reply.sentBy,
+      messageId: reply.messageId,
+      sentAt: reply.sentAt
+    }
+  });
+}));
+
+// @desc    List internal notes on a contact (admin only)
+// @route   GET /api/contact/:id/notes
+// @access  Private/Admin
+router.get('/:id/notes', protect, checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
+  const contact = await Contact.findById(req.params.id)
+    .select('notes')
+    .populate('notes.author', 'username email')
+    .populate('notes.mentions', 'username');
+
+  if (!contact) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contact not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: contact.notes.map(note => contact.decryptNote(note))
+  });
+}));
+
+// @desc    Add an internal note to a contact (admin only)
+// @route   POST /api/contact/:id/notes
+// @access  Private/Admin
+router.post('/:id/notes', protect, checkPermission('manage_contacts'), upload.array('attachments', 5), asyncHandler(async (req, res) => {
+  const { body, kind, dueAt } = req.body;
+
+  if (!body || !String(body).trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Note body is required'
+    });
+  }
+
+  if (String(body).length > NOTE_MAX_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Note cannot exceed ${NOTE_MAX_LENGTH} characters`
+    });
+  }
+
+  const contact = await Contact.findById(req.params.id);
+  if (!contact) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contact not found'
+    });
+  }
+
+  const mentioned = await findMentionedUsers(String(body), req.user._id);
+
+  const attachments = await uploadAttachments(req.files);
+  if (!attachments) {
+    return res.status(502).json({
+      success: false,
+      message: 'Failed to upload attachments'
+    });
+  }
+
+  const note = contact.notes.create({
+    kind: kind || 'note',
+    author: req.user._id,
+    mentions: mentioned.map(user => user._id),
+    attachments,
+    dueAt: kind === 'task' && dueAt ? new Date(dueAt) : null
+  });
+  contact.setNoteBody(note, String(body));
+  contact.notes.push(note);
+  try {
+    await contact.save({ validateModifiedOnly: true });
+  } catch (error) {
+    // The note was never stored, so its uploads would be orphaned
+    await Promise.all(attachments.map(attachment => deletefile(attachment.publicId)));
+    throw error;
+  }
+  recordAudit(req, 'contact.note_create', {
+    targetModel: 'Contact',
+    targetId: contact._id,
+    metadata: { noteId: note._id, kind: note.kind, attachments: attachments.length }
+  });
+
+  notifyMentions(mentioned, contact, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Note added',
+    data: contact.decryptNote(note)
+  });
+}));
+
+// @desc    Edit a note or complete a task (admin only)
+// @route   PUT /api/contact/:id/notes/:noteId
+// @access  Private/Admin
+router.put('/:id/notes/:noteId', protect, checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
+  const { body, dueAt, completed } = req.body;
+
+  const contact = await Contact.findById(req.params.id);
+  const note = contact?.notes.id(req.params.noteId);
+  if (!note) {
+    return res.status(404).json({
+      success: false,
+      message: 'Note not found'
+    });
   }
 
+  // Anyone on the lead can tick off a task, only the author can reword a note
+  if (body !== undefined) {
+    if (!note.author.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author can edit a note'
+      });
+    }
+    if (!String(body).trim() || String(body).length > NOTE_MAX_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Note must be between 1 and ${NOTE_MAX_LENGTH} characters`
+      });
+    }
+  }
+
+  let newlyMentioned = [];
+  if (body !== undefined) {
+    const mentioned = await findMentionedUsers(String(body), req.user._id);
+    newlyMentioned = mentioned.filter(user => !note.mentions.some(id => id.equals(user._id)));
+    note.mentions = mentioned.map(user => user._id);
+    contact.setNoteBody(note, String(body));
+  }
+  if (note.kind === 'task') {
+    if (dueAt !== undefined) note.dueAt = dueAt ? new Date(dueAt) : null;
+    if (completed !== undefined) note.completedAt = completed ? (note.completedAt || new Date()) : null;
+    note.updatedAt = new Date();
+  }
+
+  await contact.save({ validateModifiedOnly: true });
+  recordAudit(req, 'contact.note_update', {
+    targetModel: 'Contact',
+    targetId: contact._id,
+    metadata: { noteId: note._id, bodyChanged: body !== undefined, completed: !!note.completedAt }
+  });
+
+  notifyMentions(newlyMentioned, contact, req.user);
+
   res.json({
     success: true,
-    data: contactObj
+    message: 'Note updated',
+    data: contact.decryptNote(note)
+  });
+}));
+
+// @desc    Delete a note and its attachments (admin only)
+// @route   DELETE /api/contact/:id/notes/:noteId
+// @access  Private/Admin
+router.delete('/:id/notes/:noteId', protect, checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
+  const contact = await Contact.findById(req.params.id);
+  const note = contact?.notes.id(req.params.noteId);
+  if (!note) {
+    return res.status(404).json({
+      success: false,
+      message: 'Note not found'
+    });
+  }
+
+  if (!note.author.equals(req.user._id) && !isSuperadminRequest(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the author can delete a note'
+    });
+  }
+
+  const publicIds = note.attachments.map(attachment => attachment.publicId).filter(Boolean);
+  note.deleteOne();
+  await contact.save({ validateModifiedOnly: true });
+  await Promise.all(publicIds.map(publicId => deletefile(publicId)));
+  recordAudit(req, 'contact.note_delete', {
+    targetModel: 'Contact',
+    targetId: contact._id,
+    metadata: { noteId: req.params.noteId }
+  });
+
+  res.json({
+    success: true,
+    message: 'Note deleted'
+  });
+}));
+
+// Short decrypted view of a lead for duplicate review
+const duplicatePreview = (contact, primary) => {
+  const data = contact.decryptSensitiveData() || {};
+  return {
+    _id: contact._id,
+    name: data.name,
+    email: data.email,
+    phone: data.phone,
+    service: contact.service,
+    status: contact.status,
+    stage: contact.stage,
+    duplicateOf: contact.duplicateOf,
+    matches: primary.matchesOn(contact),
+    createdAt: contact.createdAt
+  };
+};
+
+// @desc    List likely duplicates of a contact (admin only)
+// @route   GET /api/contact/:id/duplicates
+// @access  Private/Admin
+router.get('/:id/duplicates', protect, checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
+  const contact = await Contact.findById(req.params.id);
+
+  if (!contact) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contact not found'
+    });
+  }
+
+  // Same email/phone at any time, plus anything linked through duplicateOf
+  const rootId = contact.duplicateOf || contact._id;
+  const [matching, linked] = await Promise.all([
+    Contact.findDuplicateCandidates(contact),
+    Contact.find({ $or: [{ _id: rootId }, { duplicateOf: rootId }], _id: { $ne: contact._id } })
+  ]);
+
+  const seen = new Set();
+  const duplicates = [...matching, ...linked]
+    .filter(other => !seen.has(String(other._id)) && seen.add(String(other._id)))
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  res.json({
+    success: true,
+    data: duplicates.map(other => duplicatePreview(other, contact))
+  });
+}));
+
+// @desc    Merge other contacts into this one (admin only)
+// @route   POST /api/contact/:id/merge
+// @access  Private/Admin
+router.post('/:id/merge', protect, checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
+  const { contactIds } = req.body;
+
+  if (!Array.isArray(contactIds) || contactIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'contactIds must be a non-empty array'
+    });
+  }
+
+  const ids = [...new Set(contactIds.map(String))];
+  if (ids.includes(String(req.params.id))) {
+    return res.status(400).json({
+      success: false,
+      message: 'A contact cannot be merged into itself'
+    });
+  }
+
+  const contact = await Contact.findById(req.params.id);
+  if (!contact) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contact not found'
+    });
+  }
+
+  const others = await Contact.find({ _id: { $in: ids } }).sort({ createdAt: 1 });
+  if (others.length !== ids.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'One or more contacts to merge were not found'
+    });
+  }
+
+  const before = snapshot(contact);
+  const merged = others.map(other => ({
+    _id: other._id,
+    matches: contact.matchesOn(other),
+    before: snapshot(other)
+  }));
+
+  contact.mergeFrom(others, req.user._id);
+  // The primary may itself have been flagged as a duplicate of a merged lead
+  if (contact.duplicateOf && ids.includes(String(contact.duplicateOf))) {
+    contact.duplicateOf = null;
+    contact.duplicateMatch = [];
+  }
+
+  // All or nothing, so a failure can't leave the merged leads half moved.
+  // connection.transaction() resets the contact's changes if it retries.
+  await mongoose.connection.transaction(async (session) => {
+    await contact.save({ session, validateModifiedOnly: true });
+    await Contact.updateMany({ duplicateOf: { $in: ids } }, { duplicateOf: contact._id }, { session });
+    await Notification.updateMany({ relatedModel: 'Contact', relatedId: { $in: ids } }, { relatedId: contact._id }, { session });
+    await ContactAttachment.updateMany({ contact: { $in: ids } }, { contact: contact._id }, { session });
+    await Booking.updateMany({ contact: { $in: ids } }, { contact: contact._id }, { session });
+    await Contact.deleteMany({ _id: { $in: ids } }, { session });
+  });
+
+  recordAudit(req, 'contact.merge', {
+    targetModel: 'Contact',
+    targetId: contact._id,
+    before,
+    after: contact,
+    metadata: { merged }
+  });
+
+  res.json({
+    success: true,
+    message: `Merged ${others.length} contact${others.length === 1 ? '' : 's'}`,
+    data: contact.toDecryptedObject()
   });
 }));
 
 // @desc    Update contact status (admin only)
 // @route   PUT /api/contact/:id
 // @access  Private/Admin
-router.put('/:id', protect, admin, asyncHandler(async (req, res) => {
+router.put('/:id', protect, checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
   const { status } = req.body;
 
   const contact = await Contact.findById(req.params.id);
@@ -337,8 +865,10 @@ router.put('/:id', protect, admin, asyncHandler(async (req, res) => {
     });
   }
 
+  const before = snapshot(contact);
   if (status) contact.status = status;
-  await contact.save();
+  await contact.save({ validateModifiedOnly: true });
+  recordAudit(req, 'contact.update', { targetModel: 'Contact', targetId: contact._id, before, after: contact });
 
   res.json({
     success: true,
@@ -350,7 +880,7 @@ router.put('/:id', protect, admin, asyncHandler(async (req, res) => {
 // @desc    Delete contact (admin only)
 // @route   DELETE /api/contact/:id
 // @access  Private/Admin
-router.delete('/:id', protect, admin, asyncHandler(async (req, res) => {
+router.delete('/:id', protect, checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
   const contact = await Contact.findById(req.params.id);
   
   if (!contact) {
@@ -360,7 +890,17 @@ router.delete('/:id', protect, admin, asyncHandler(async (req, res) => {
     });
   }
 
-  await contact.remove();
+  await contact.deleteOne();
+  await Promise.all([
+    ContactAttachment.deleteMany({ contact: contact._id }),
+    // Frees any booked time; the visitor's details went with the contact
+    Booking.deleteMany({ contact: contact._id })
+  ]);
+  await Promise.all(contact.notes
+    .flatMap(note => note.attachments.map(attachment => attachment.publicId))
+    .filter(Boolean)
+    .map(publicId => deletefile(publicId)));
+  recordAudit(req, 'contact.delete', { targetModel: 'Contact', targetId: contact._id });
 
   res.json({
     success: true,
@@ -368,10 +908,125 @@ router.delete('/:id', protect, admin, asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Mark a contact as spam or not spam and train the classifier (admin only)
+// @route   PUT /api/contact/:id/spam
+// @access  Private/Admin
+router.put('/:id/spam', protect, checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
+  const { isSpam } = req.body;
+
+  if (typeof isSpam !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'isSpam must be true or false'
+    });
+  }
+
+  const contact = await Contact.findById(req.params.id);
+  if (!contact) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contact not found'
+    });
+  }
+
+  const decrypted = contact.toDecryptedObject();
+  const label = isSpam ? 'spam' : 'ham';
+  const previousLabel = contact.spamLabel;
+  const wasSpam = contact.isSpam;
+
+  contact.isSpam = isSpam;
+  contact.spamLabel = label;
+  contact.spamLabeledBy = req.user._id;
+  contact.spamLabeledAt = new Date();
+  contact.updateSheetsSyncForSpam(wasSpam);
+  await contact.save({ validateModifiedOnly: true });
+
+  // Train only once the label is stored, so a failed save can't skew the model
+  await learnLabel(decrypted, label, previousLabel);
+  contact.spamScore = (await explainContact(decrypted)).spamScore;
+  await Contact.updateOne({ _id: contact._id }, { $set: { spamScore: contact.spamScore } });
+  recordAudit(req, 'contact.spam_label', {
+    targetModel: 'Contact',
+    targetId: contact._id,
+    before: { spamLabel: previousLabel },
+    after: { spamLabel: label }
+  });
+
+  res.json({
+    success: true,
+    message: isSpam ? 'Marked as spam' : 'Marked as not spam',
+    data: {
+      isSpam: contact.isSpam,
+      spamLabel: contact.spamLabel,
+      spamScore: contact.spamScore
+    }
+  });
+}));
+
+// @desc    Explain a contact's spam score (admin only)
+// @route   GET /api/contact/:id/spam
+// @access  Private/Admin
+router.get('/:id/spam', protect, checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
+  const contact = await Contact.findById(req.params.id);
+  if (!contact) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contact not found'
+    });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+  res.json({
+    success: true,
+    data: {
+      ...(await explainContact(contact.toDecryptedObject(), limit)),
+      storedScore: contact.spamScore,
+      spamLabel: contact.spamLabel
+    }
+  });
+}));
+
+// @desc    Get spam classifier statistics (admin only)
+// @route   GET /api/contact/spam/model
+// @access  Private/Admin
+router.get('/spam/model', protect, checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
+  const model = await SpamModel.load();
+  const features = Object.entries(model.features);
+
+  res.json({
+    success: true,
+    data: {
+      spamDocs: model.spamDocs,
+      hamDocs: model.hamDocs,
+      features: features.length,
+      updatedAt: model.updatedAt || null
+    }
+  });
+}));
+
+// @desc    Rebuild the spam classifier from every labelled contact (admin only)
+// @route   POST /api/contact/spam/retrain
+// @access  Private/Admin
+router.post('/spam/retrain', protect, checkPermission('manage_contacts'), asyncHandler(async (req, res) => {
+  await SpamModel.deleteOne({ name: 'contact' });
+
+  const contacts = await Contact.find({ spamLabel: { $in: ['spam', 'ham'] } });
+  for (const contact of contacts) {
+    await learnLabel(contact.toDecryptedObject(), contact.spamLabel);
+  }
+  recordAudit(req, 'contact.spam_retrain', { targetModel: 'SpamModel', metadata: { documents: contacts.length } });
+
+  res.json({
+    success: true,
+    message: `Spam classifier retrained on ${contacts.length} labelled contacts`
+  });
+}));
+
 // @desc    Get contact statistics (admin only)
 // @route   GET /api/contact/stats
 // @access  Private/Admin
-router.get('/stats/overview', protect, admin, asyncHandler(async (req, res) => {
+router.get('/stats/overview', protect, checkPermission('manage_contacts', 'view_analytics'), asyncHandler(async (req, res) => {
   const total = await Contact.countDocuments();
   const newContacts = await Contact.countDocuments({ status: 'new' });
   const spamContacts = await Contact.countDocuments({ isSpam: true });
@@ -0,0 +1,215 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { protect, checkPermission, isSuperadminRequest } = require('../middleware/auth');
+const EmailTemplate = require('../models/EmailTemplate');
+const {
+  getDefaultTemplate,
+  getTemplate,
+  listTemplates,
+  validateTemplate,
+  renderTemplate
+} = require('../utils/emailTemplates');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+const router = express.Router();
+
+router.use(protect, checkPermission('manage_contacts'));
+
+const EDITABLE_FIELDS = ['name', 'description', 'subject', 'html', 'text', 'useLayout', 'sampleData'];
+
+// Templates carrying account links (and the layout around them) are only
+// editable from a superadmin session, never through an API key
+const forbidSensitive = (req, res, template) => {
+  if (template.sensitive && !isSuperadminRequest(req)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only superadmins can change this template'
+    });
+    return true;
+  }
+  return false;
+};
+
+const pickFields = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const sampleDataError = (sampleData) =>
+  sampleData !== undefined && (typeof sampleData !== 'object' || sampleData === null || Array.isArray(sampleData))
+    ? 'sampleData must be an object'
+    : null;
+
+// @desc    List email templates
+// @route   GET /api/admin/email-templates
+// @access  Private/Admin
+router.get('/', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await listTemplates()
+  });
+}));
+
+// @desc    Get an email template
+// @route   GET /api/admin/email-templates/:key
+// @access  Private/Admin
+router.get('/:key', asyncHandler(async (req, res) => {
+  const template = await getTemplate(req.params.key);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: 'Email template not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: template
+  });
+}));
+
+// @desc    Create a custom email template
+// @route   POST /api/admin/email-templates
+// @access  Private/Admin
+router.post('/', asyncHandler(async (req, res) => {
+  const { key } = req.body;
+  const fields = pickFields(req.body);
+
+  if (getDefaultTemplate(key)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Built-in templates are changed with PUT'
+    });
+  }
+
+  if (await EmailTemplate.exists({ key })) {
+    return res.status(409).json({
+      success: false,
+      message: 'A template with this key already exists'
+    });
+  }
+
+  const error = validateTemplate(key, fields) || sampleDataError(fields.sampleData);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const template = await EmailTemplate.create({ ...fields, key, updatedBy: req.user._id });
+  recordAudit(req, 'email_template.create', { targetModel: 'EmailTemplate', targetId: template._id, after: template });
+
+  res.status(201).json({
+    success: true,
+    message: 'Email template created',
+    data: await getTemplate(template.key)
+  });
+}));
+
+// @desc    Update an email template (overrides the default for built-in ones)
+// @route   PUT /api/admin/email-templates/:key
+// @access  Private/Admin (Superadmin for sensitive templates)
+router.put('/:key', asyncHandler(async (req, res) => {
+  const { key } = req.params;
+  const current = await getTemplate(key);
+
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      message: 'Email template not found'
+    });
+  }
+  if (forbidSensitive(req, res, current)) return;
+
+  const fields = pickFields(req.body);
+  const merged = { ...current, ...fields };
+  const error = validateTemplate(key, merged) || sampleDataError(fields.sampleData);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const before = snapshot(current);
+  const template = await EmailTemplate.findOneAndUpdate(
+    { key },
+    {
+      ...Object.fromEntries(EDITABLE_FIELDS.map(field => [field, merged[field]])),
+      updatedBy: req.user._id
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  recordAudit(req, 'email_template.update', { targetModel: 'EmailTemplate', targetId: template._id, before, after: template });
+
+  res.json({
+    success: true,
+    message: 'Email template updated',
+    data: await getTemplate(key)
+  });
+}));
+
+// @desc    Delete a custom template, or reset a built-in one to its default
+// @route   DELETE /api/admin/email-templates/:key
+// @access  Private/Admin (Superadmin for sensitive templates)
+router.delete('/:key', asyncHandler(async (req, res) => {
+  const { key } = req.params;
+  const current = await getTemplate(key);
+
+  if (!current || !current.customized) {
+    return res.status(404).json({
+      success: false,
+      message: current ? 'Template is already using its default' : 'Email template not found'
+    });
+  }
+  if (forbidSensitive(req, res, current)) return;
+
+  const template = await EmailTemplate.findOneAndDelete({ key });
+  recordAudit(req, current.builtIn ? 'email_template.reset' : 'email_template.delete', {
+    targetModel: 'EmailTemplate',
+    targetId: template._id,
+    before: template
+  });
+
+  res.json({
+    success: true,
+    message: current.builtIn ? 'Email template reset to default' : 'Email template deleted',
+    ...(current.builtIn && { data: await getTemplate(key) })
+  });
+}));
+
+// @desc    Render a template against sample data, optionally with unsaved changes
+// @route   POST /api/admin/email-templates/:key/preview
+// @access  Private/Admin
+router.post('/:key/preview', asyncHandler(async (req, res) => {
+  const { key } = req.params;
+  const current = await getTemplate(key);
+
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      message: 'Email template not found'
+    });
+  }
+
+  const draft = { ...current, ...pickFields(req.body) };
+  const error = validateTemplate(key, draft) || sampleDataError(req.body.data);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const data = { ...draft.sampleData, ...req.body.data };
+  res.json({
+    success: true,
+    data: {
+      ...(await renderTemplate(draft, data)),
+      sampleData: data
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { protect, superadmin, checkPermission } = require('../middleware/auth');
+const Contact = require('../models/Contact');
+const {
+  SHEET_FIELDS,
+  getSheetsConfig,
+  isSheetsConfigured,
+  validateSheetsConfig,
+  saveSheetsConfig
+} = require('../utils/googleSheets');
+const { processSheetsSync } = require('../jobs/sheetsSync');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+router.use(protect, checkPermission('manage_contacts'));
+
+// @desc    Get Google Sheets sync settings and status
+// @route   GET /api/admin/google-sheets
+// @access  Private/Admin
+router.get('/', asyncHandler(async (req, res) => {
+  const config = await getSheetsConfig();
+
+  const byStatus = await Contact.aggregate([
+    { $group: { _id: { $ifNull: ['$sheetsSync.status', 'unsynced'] }, count: { $sum: 1 } } }
+  ]);
+  const lastFailure = await Contact.findOne({ 'sheetsSync.status': 'failed' })
+    .sort({ updatedAt: -1 })
+    .select('sheetsSync updatedAt');
+
+  res.json({
+    success: true,
+    data: {
+      ...config,
+      configured: isSheetsConfigured(config),
+      availableFields: Object.keys(SHEET_FIELDS)
+    },
+    status: {
+      byStatus: Object.fromEntries(byStatus.map(({ _id, count }) => [_id, count])),
+      lastError: lastFailure?.sheetsSync.lastError || null
+    }
+  });
+}));
+
+// @desc    Update Google Sheets sync settings
+// @route   PUT /api/admin/google-sheets
+// @access  Private/Superadmin
+router.put('/', superadmin, asyncHandler(async (req, res) => {
+  const before = await getSheetsConfig();
+  const config = { ...before };
+  ['enabled', 'spreadsheetId', 'sheetName', 'columns'].forEach(field => {
+    if (req.body[field] !== undefined) config[field] = req.body[field];
+  });
+
+  const error = validateSheetsConfig(config);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  await saveSheetsConfig(config, req.user._id);
+  const after = await getSheetsConfig();
+  recordAudit(req, 'settings.google_sheets_update', { targetModel: 'Setting', before, after });
+
+  // Anything left waiting while sync was off goes out now
+  processSheetsSync();
+
+  res.json({
+    success: true,
+    message: 'Google Sheets settings updated',
+    data: after
+  });
+}));
+
+// @desc    Queue every non-spam contact not yet in the sheet (including failed ones).
+//          Contacts from before sync tracking are only included if created on or
+//          after `legacySince`, since the old code already appended them.
+// @route   POST /api/admin/google-sheets/backfill
+// @access  Private/Admin
+router.post('/backfill', asyncHandler(async (req, res) => {
+  const config = await getSheetsConfig();
+
+  const legacySince = req.body.legacySince ? new Date(String(req.body.legacySince)) : null;
+  if (legacySince && isNaN(legacySince.getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: 'legacySince must be a date'
+    });
+  }
+
+  if (!isSheetsConfigured(config)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Google Sheets sync is not configured'
+    });
+  }
+
+  const queued = await Contact.queueSheetsBackfill({ legacySince });
+  processSheetsSync();
+  recordAudit(req, 'google_sheets.backfill', { targetModel: 'Contact', metadata: { queued, legacySince } });
+
+  res.status(202).json({
+    success: true,
+    message: `${queued} contact${queued === 1 ? '' : 's'} queued for Google Sheets`,
+    data: { queued }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { protect, superadmin } = require('../middleware/auth');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { clientUrl } = require('../config/email');
+const { queueTemplatedMail } = require('../utils/emailTemplates');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// All invitation management is superadmin only
+router.use(protect, superadmin);
+
+// Email the accept link to the invitee
+const sendInvitationEmail = async (invitation, token, inviter) => {
+  const acceptUrl = `${clientUrl}/accept-invite?token=${token}`;
+
+  try {
+    await queueTemplatedMail('invitation', {
+      inviter: inviter.username,
+      role: invitation.role,
+      acceptUrl,
+      expiresAt: invitation.expiresAt.toLocaleString()
+    }, { to: invitation.email }, { relatedId: invitation._id, relatedModel: 'Invitation', queuedBy: inviter._id });
+  } catch (error) {
+    console.error('❌ Error queueing invitation email:', error.message);
+  }
+};
+
+// @desc    List invitations
+// @route   GET /api/admin/invitations
+// @access  Private/Superadmin
+router.get('/', asyncHandler(async (req, res) => {
+  const invitations = await Invitation.find()
+    .populate('invitedBy', 'username email')
+    .populate('acceptedUser', 'username email')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: invitations
+  });
+}));
+
+// @desc    Invite a staff member
+// @route   POST /api/admin/invitations
+// @access  Private/Superadmin
+router.post('/', asyncHandler(async (req, res) => {
+  const { email, role, permissions, deniedPermissions, expiresInDays } = req.body;
+
+  if (!email || !role) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email and role are required'
+    });
+  }
+
+  const normalizedEmail = String(email).toLowerCase().trim();
+
+  const userExists = await User.findOne({ email: normalizedEmail });
+  if (userExists) {
+    return res.status(400).json({
+      success: false,
+      message: 'A user with this email already exists'
+    });
+  }
+
+  // A new invitation replaces any still-pending one for the same address
+  await Invitation.updateMany(
+    { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  const invitation = new Invitation({
+    email: normalizedEmail,
+    role,
+    permissions: permissions || [],
+    deniedPermissions: deniedPermissions || [],
+    invitedBy: req.user._id
+  });
+  const token = invitation.generateToken(parseInt(expiresInDays));
+  await invitation.save();
+  recordAudit(req, 'invitation.create', { targetModel: 'Invitation', targetId: invitation._id, after: invitation });
+
+  await sendInvitationEmail(invitation, token, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: `Invitation sent to ${invitation.email}`,
+    data: invitation
+  });
+}));
+
+// @desc    Resend an invitation with a fresh link
+// @route   POST /api/admin/invitations/:id/resend
+// @access  Private/Superadmin
+router.post('/:id/resend', asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findById(req.params.id);
+
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invitation not found'
+    });
+  }
+
+  if (invitation.acceptedAt || invitation.revokedAt) {
+    return res.status(400).json({
+      success: false,
+      message: `Invitation has already been ${invitation.status}`
+    });
+  }
+
+  const token = invitation.generateToken(parseInt(req.body.expiresInDays));
+  await invitation.save();
+  recordAudit(req, 'invitation.resend', { targetModel: 'Invitation', targetId: invitation._id });
+
+  await sendInvitationEmail(invitation, token, req.user);
+
+  res.json({
+    success: true,
+    message: `Invitation resent to ${invitation.email}`,
+    data: invitation
+  });
+}));
+
+// @desc    Revoke an invitation
+// @route   DELETE /api/admin/invitations/:id
+// @access  Private/Superadmin
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findById(req.params.id);
+
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invitation not found'
+    });
+  }
+
+  if (invitation.acceptedAt) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invitation has already been accepted'
+    });
+  }
+
+  invitation.revokedAt = invitation.revokedAt || new Date();
+  await invitation.save();
+  recordAudit(req, 'invitation.revoke', { targetModel: 'Invitation', targetId: invitation._id });
+
+  res.json({
+    success: true,
+    message: 'Invitation revoked',
+    data: invitation
+  });
+}));
+
+module.exports = router;
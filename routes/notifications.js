@@ -3,6 +3,7 @@ const { asyncHandler } = require('../middleware/errorHandler');
 const { protect, checkPermission } = require('../middleware/auth');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const { recordAudit } = require('../utils/audit');
 
 const router = express.Router();
 
@@ -42,6 +43,10 @@ router.put('/read', protect, asyncHandler(async (req, res) => {
     // Mark all as read
     await Notification.markAllAsRead(req.user.id);
   }
+  recordAudit(req, 'notification.mark_read', {
+    targetModel: 'Notification',
+    metadata: { notificationIds: notificationIds || 'all' }
+  });
 
   const unreadCount = await Notification.getUnreadCount(req.user.id);
 
@@ -69,6 +74,7 @@ router.put('/:id/read', protect, asyncHandler(async (req, res) => {
   }
 
   await notification.markAsRead();
+  recordAudit(req, 'notification.mark_read', { targetModel: 'Notification', targetId: notification._id });
 
   res.json({
     success: true,
@@ -93,7 +99,8 @@ router.delete('/:id', protect, asyncHandler(async (req, res) => {
     });
   }
 
-  await notification.remove();
+  await notification.deleteOne();
+  recordAudit(req, 'notification.delete', { targetModel: 'Notification', targetId: notification._id });
 
   res.json({
     success: true,
@@ -157,6 +164,11 @@ router.post('/system', protect, checkPermission('manage_users'), asyncHandler(as
   };
 
   const notifications = await Notification.createSystemNotification(recipientIds, notificationData);
+  recordAudit(req, 'notification.system_create', {
+    targetModel: 'Notification',
+    after: notificationData,
+    metadata: { recipients: notifications.length }
+  });
 
   res.status(201).json({
     success: true,
@@ -217,6 +229,10 @@ router.delete('/expired', protect, checkPermission('manage_users'), asyncHandler
   const result = await Notification.deleteMany({
     expiresAt: { $lt: new Date() }
   });
+  recordAudit(req, 'notification.expired_delete', {
+    targetModel: 'Notification',
+    metadata: { deleted: result.deletedCount }
+  });
 
   res.json({
     success: true,
@@ -0,0 +1,139 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { protect, superadmin } = require('../middleware/auth');
+const OutboxMessage = require('../models/OutboxMessage');
+const { isEmailConfigured } = require('../config/email');
+const { mailEvents } = require('../utils/mailQueue');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Outbound email carries contact details and account links, so superadmin only
+router.use(protect, superadmin);
+
+// @desc    List outbound emails
+// @route   GET /api/admin/outbox
+// @access  Private/Superadmin
+router.get('/', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  const { status, category } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (category) query.category = category;
+
+  const messages = await OutboxMessage.find(query)
+    .select('-attemptLog')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await OutboxMessage.countDocuments(query);
+
+  const byStatus = await OutboxMessage.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  res.json({
+    success: true,
+    data: messages.map(message => message.toAdminObject()),
+    summary: {
+      emailConfigured: isEmailConfigured(),
+      byStatus: Object.fromEntries(byStatus.map(({ _id, count }) => [_id, count]))
+    },
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+// @desc    Put every failed email back in the queue
+// @route   POST /api/admin/outbox/resend-failed
+// @access  Private/Superadmin
+router.post('/resend-failed', asyncHandler(async (req, res) => {
+  const query = { status: 'failed' };
+  if (req.body.category) query.category = req.body.category;
+
+  const result = await OutboxMessage.updateMany(query, {
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    lockedAt: null,
+    resentBy: req.user._id
+  });
+  mailEvents.emit('queued');
+  recordAudit(req, 'outbox.resend_failed', {
+    targetModel: 'OutboxMessage',
+    metadata: { category: req.body.category || null, count: result.modifiedCount }
+  });
+
+  res.json({
+    success: true,
+    message: `${result.modifiedCount} email${result.modifiedCount === 1 ? '' : 's'} queued for resending`,
+    data: { count: result.modifiedCount }
+  });
+}));
+
+// @desc    Get an outbound email with its delivery attempts
+// @route   GET /api/admin/outbox/:id
+// @access  Private/Superadmin
+router.get('/:id', asyncHandler(async (req, res) => {
+  const message = await OutboxMessage.findById(req.params.id)
+    .populate('queuedBy', 'username')
+    .populate('resentBy', 'username');
+
+  if (!message) {
+    return res.status(404).json({
+      success: false,
+      message: 'Email not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: message.toAdminObject({ includeContent: true })
+  });
+}));
+
+// @desc    Resend a failed email
+// @route   POST /api/admin/outbox/:id/resend
+// @access  Private/Superadmin
+router.post('/:id/resend', asyncHandler(async (req, res) => {
+  const message = await OutboxMessage.findById(req.params.id);
+
+  if (!message) {
+    return res.status(404).json({
+      success: false,
+      message: 'Email not found'
+    });
+  }
+
+  if (message.status !== 'failed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only failed emails can be resent'
+    });
+  }
+
+  message.requeue(req.user._id);
+  await message.save();
+  mailEvents.emit('queued', message);
+  recordAudit(req, 'outbox.resend', {
+    targetModel: 'OutboxMessage',
+    targetId: message._id,
+    metadata: { category: message.category, lastError: message.lastError }
+  });
+
+  res.json({
+    success: true,
+    message: 'Email queued for resending',
+    data: message.toAdminObject()
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,395 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { protect, superadmin, checkPermission } = require('../middleware/auth');
+const { setSetting } = require('../config/settings');
+const Contact = require('../models/Contact');
+const User = require('../models/User');
+const { getPipelineStages, validatePipelineStages } = require('../utils/pipeline');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+const router = express.Router();
+
+// Leads are contacts, so the pipeline needs contact access
+router.use(protect, checkPermission('manage_contacts'));
+
+// Query matching leads in a stage. Contacts created before the pipeline
+// existed have no stage stored and belong to the first stage.
+const stageFilter = (stages, key) =>
+  key === stages[0].key ? { $in: [key, null] } : key;
+
+// Shared filters for board and metrics, or null if `from`/`to` aren't dates
+const buildLeadQuery = (req) => {
+  const { assignedTo, includeSpam, from, to } = req.query;
+  const query = {};
+
+  if (includeSpam !== 'true') query.isSpam = false;
+  if (assignedTo === 'me') query.assignedTo = req.user._id;
+  else if (assignedTo === 'unassigned') query.assignedTo = null;
+  // Cast explicitly, the board totals run through an aggregation
+  else if (mongoose.isValidObjectId(assignedTo)) query.assignedTo = new mongoose.Types.ObjectId(assignedTo);
+  if (from || to) {
+    const start = from ? new Date(String(from)) : null;
+    const end = to ? new Date(String(to)) : null;
+    if ([start, end].some(date => date && isNaN(date.getTime()))) return null;
+
+    query.createdAt = {};
+    if (start) query.createdAt.$gte = start;
+    if (end) query.createdAt.$lte = end;
+  }
+
+  return query;
+};
+
+// Fields a board card shows; only the name is decrypted
+const BOARD_FIELDS = 'encryptedData service budget stage assignedTo expectedValue nextFollowUpAt lostReason createdAt updatedAt';
+
+// Metrics cover leads created in a window: the last 90 days unless `from`/`to`
+// say otherwise, and never more than a year
+const METRICS_DEFAULT_DAYS = 90;
+const METRICS_MAX_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Window for the metrics query, or null if the dates are invalid or too far apart
+const metricsWindow = ({ from, to }) => {
+  const end = to ? new Date(String(to)) : new Date();
+  const start = from ? new Date(String(from)) : new Date(end.getTime() - METRICS_DEFAULT_DAYS * DAY_MS);
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end || end - start > METRICS_MAX_DAYS * DAY_MS) {
+    return null;
+  }
+  return { from: start, to: end };
+};
+
+// @desc    Get pipeline stages
+// @route   GET /api/admin/pipeline/stages
+// @access  Private/Admin
+router.get('/stages', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await getPipelineStages()
+  });
+}));
+
+// @desc    Update pipeline stages
+// @route   PUT /api/admin/pipeline/stages
+// @access  Private/Superadmin
+router.put('/stages', superadmin, asyncHandler(async (req, res) => {
+  if (!Array.isArray(req.body.stages)) {
+    return res.status(400).json({
+      success: false,
+      message: 'stages must be an array'
+    });
+  }
+
+  const stages = req.body.stages.map(stage => ({
+    key: stage?.key,
+    label: typeof stage?.label === 'string' ? stage.label.trim() : stage?.label,
+    type: stage?.type
+  }));
+
+  const error = validatePipelineStages(stages);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  // Stages still holding leads can't be removed
+  const before = await getPipelineStages();
+  const removedKeys = before
+    .map(stage => stage.key)
+    .filter(key => !stages.some(stage => stage.key === key));
+  if (removedKeys.length > 0) {
+    const inUse = await Contact.countDocuments({
+      $or: removedKeys.map(key => ({ stage: stageFilter(before, key) }))
+    });
+    if (inUse > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Move leads out of these stages before removing them: ${removedKeys.join(', ')}`
+      });
+    }
+  }
+
+  await setSetting('pipelineStages', stages, req.user._id);
+  recordAudit(req, 'pipeline.stages_update', { targetModel: 'Setting', targetId: 'crm.pipelineStages', before: { stages: before }, after: { stages } });
+
+  res.json({
+    success: true,
+    message: 'Pipeline stages updated',
+    data: stages
+  });
+}));
+
+// @desc    Get leads grouped by stage (kanban board)
+// @route   GET /api/admin/pipeline/board
+// @access  Private/Admin
+router.get('/board', asyncHandler(async (req, res) => {
+  const query = buildLeadQuery(req);
+  if (!query) {
+    return res.status(400).json({
+      success: false,
+      message: 'from and to must be dates'
+    });
+  }
+
+  const perStage = Math.min(parseInt(req.query.limit) || 50, 200);
+  const stages = await getPipelineStages();
+
+  const columns = await Promise.all(stages.map(async (stage) => {
+    const stageQuery = { ...query, stage: stageFilter(stages, stage.key) };
+
+    const [leads, count, value] = await Promise.all([
+      Contact.find(stageQuery)
+        .select(BOARD_FIELDS)
+        .populate('assignedTo', 'username email')
+        .sort({ nextFollowUpAt: 1, updatedAt: -1 })
+        .limit(perStage),
+      Contact.countDocuments(stageQuery),
+      Contact.aggregate([
+        { $match: stageQuery },
+        { $group: { _id: null, total: { $sum: { $ifNull: ['$expectedValue', 0] } } } }
+      ])
+    ]);
+
+    return {
+      ...stage,
+      count,
+      totalValue: value[0]?.total || 0,
+      leads: leads.map(lead => ({
+        _id: lead._id,
+        name: lead.decryptSensitiveData()?.name ?? null,
+        service: lead.service,
+        budget: lead.budget,
+        stage: lead.stage,
+        assignedTo: lead.assignedTo,
+        expectedValue: lead.expectedValue,
+        nextFollowUpAt: lead.nextFollowUpAt,
+        lostReason: lead.lostReason,
+        createdAt: lead.createdAt,
+        updatedAt: lead.updatedAt
+      }))
+    };
+  }));
+
+  res.json({
+    success: true,
+    data: columns
+  });
+}));
+
+// @desc    Get per-stage conversion metrics for leads created in a window
+// @route   GET /api/admin/pipeline/metrics
+// @access  Private/Admin
+router.get('/metrics', asyncHandler(async (req, res) => {
+  const window = metricsWindow(req.query);
+  if (!window) {
+    return res.status(400).json({
+      success: false,
+      message: `from and to must be dates, at most ${METRICS_MAX_DAYS} days apart`
+    });
+  }
+
+  const stages = await getPipelineStages();
+  const leads = await Contact.find({ ...buildLeadQuery(req), createdAt: { $gte: window.from, $lte: window.to } })
+    .select('stage stageHistory.stage stageHistory.changedAt expectedValue lostReason createdAt')
+    .lean();
+
+  // Funnel order: open stages, then the won stage
+  const funnel = [
+    ...stages.filter(stage => stage.type === 'open'),
+    stages.find(stage => stage.type === 'won')
+  ];
+  const funnelIndex = new Map(funnel.map((stage, index) => [stage.key, index]));
+  const reached = funnel.map(() => 0);
+  const current = new Map(stages.map(stage => [stage.key, { count: 0, value: 0 }]));
+  const lostReasons = {};
+  const daysToWin = [];
+
+  leads.forEach(lead => {
+    const stageKey = lead.stage || stages[0].key;
+    const history = lead.stageHistory || [];
+
+    // A lead that got to a stage has passed every stage before it
+    const furthest = Math.max(0, ...[stageKey, ...history.map(entry => entry.stage)]
+      .map(key => funnelIndex.has(key) ? funnelIndex.get(key) : -1));
+    for (let i = 0; i <= furthest; i++) reached[i]++;
+
+    const bucket = current.get(stageKey);
+    if (bucket) {
+      bucket.count++;
+      bucket.value += lead.expectedValue || 0;
+    }
+
+    const stage = stages.find(s => s.key === stageKey);
+    if (stage?.type === 'lost') {
+      const reason = lead.lostReason || 'Unspecified';
+      lostReasons[reason] = (lostReasons[reason] || 0) + 1;
+    }
+    if (stage?.type === 'won') {
+      const wonEntry = [...history].reverse().find(entry => entry.stage === stageKey);
+      if (wonEntry) {
+        daysToWin.push((new Date(wonEntry.changedAt) - new Date(lead.createdAt)) / (24 * 60 * 60 * 1000));
+      }
+    }
+  });
+
+  const rate = (part, whole) => whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+  const sumBy = (type, field) => stages
+    .filter(stage => stage.type === type)
+    .reduce((sum, stage) => sum + current.get(stage.key)[field], 0);
+
+  const won = sumBy('won', 'count');
+  const lost = sumBy('lost', 'count');
+
+  res.json({
+    success: true,
+    data: {
+      from: window.from,
+      to: window.to,
+      total: leads.length,
+      stages: stages.map(stage => {
+        const index = funnelIndex.get(stage.key);
+        return {
+          ...stage,
+          current: current.get(stage.key).count,
+          value: current.get(stage.key).value,
+          ...(index !== undefined && {
+            reached: reached[index],
+            // Share of leads reaching the previous stage that made it this far
+            conversionRate: index === 0 ? 100 : rate(reached[index], reached[index - 1]),
+            // Share of all leads that made it this far
+            cumulativeRate: rate(reached[index], leads.length)
+          })
+        };
+      }),
+      summary: {
+        open: sumBy('open', 'count'),
+        won,
+        lost,
+        winRate: rate(won, won + lost),
+        openValue: sumBy('open', 'value'),
+        wonValue: sumBy('won', 'value'),
+        averageDaysToWin: daysToWin.length > 0
+          ? Math.round((daysToWin.reduce((a, b) => a + b, 0) / daysToWin.length) * 10) / 10
+          : null
+      },
+      lostReasons: Object.entries(lostReasons)
+        .map(([reason, count]) => ({ reason, count }))
+        .sort((a, b) => b.count - a.count)
+    }
+  });
+}));
+
+// @desc    Move a lead to another stage
+// @route   PUT /api/admin/pipeline/:id/stage
+// @access  Private/Admin
+router.put('/:id/stage', asyncHandler(async (req, res) => {
+  const { stage, note, lostReason } = req.body;
+
+  const stages = await getPipelineStages();
+  const target = stages.find(s => s.key === stage);
+  if (!target) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown stage. Valid stages: ${stages.map(s => s.key).join(', ')}`
+    });
+  }
+
+  const contact = await Contact.findById(req.params.id);
+  if (!contact) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  if (contact.stage === stage) {
+    return res.status(400).json({
+      success: false,
+      message: `Lead is already in ${target.label}`
+    });
+  }
+
+  if (target.type === 'lost' && !lostReason) {
+    return res.status(400).json({
+      success: false,
+      message: 'A lost reason is required'
+    });
+  }
+
+  const before = snapshot(contact);
+  contact.moveToStage(stage, {
+    userId: req.user._id,
+    note,
+    lostReason: target.type === 'lost' ? lostReason : null
+  });
+  await contact.save({ validateModifiedOnly: true });
+  recordAudit(req, 'lead.stage_change', {
+    targetModel: 'Contact',
+    targetId: contact._id,
+    before: { stage: before.stage, lostReason: before.lostReason },
+    after: { stage: contact.stage, lostReason: contact.lostReason },
+    metadata: note ? { note } : undefined
+  });
+
+  res.json({
+    success: true,
+    message: `Lead moved to ${target.label}`,
+    data: contact.toDecryptedObject()
+  });
+}));
+
+// @desc    Update lead details (assignee, expected value, follow-up)
+// @route   PUT /api/admin/pipeline/:id
+// @access  Private/Admin
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { assignedTo, expectedValue, nextFollowUpAt } = req.body;
+
+  const contact = await Contact.findById(req.params.id);
+  if (!contact) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lead not found'
+    });
+  }
+
+  const before = snapshot(contact);
+
+  if (assignedTo !== undefined) {
+    if (assignedTo) {
+      const assignee = mongoose.isValidObjectId(assignedTo)
+        ? await User.findOne({ _id: assignedTo, isActive: true, role: { $ne: 'user' } })
+        : null;
+      if (!assignee) {
+        return res.status(400).json({
+          success: false,
+          message: 'Assignee must be an active staff member'
+        });
+      }
+      contact.assignedTo = assignee._id;
+    } else {
+      contact.assignedTo = null;
+    }
+  }
+  if (expectedValue !== undefined) {
+    contact.expectedValue = expectedValue === null || expectedValue === '' ? null : Number(expectedValue);
+  }
+  if (nextFollowUpAt !== undefined) {
+    contact.nextFollowUpAt = nextFollowUpAt ? new Date(nextFollowUpAt) : null;
+  }
+
+  await contact.save({ validateModifiedOnly: true });
+  recordAudit(req, 'lead.update', { targetModel: 'Contact', targetId: contact._id, before, after: contact });
+
+  await contact.populate('assignedTo', 'username email');
+
+  res.json({
+    success: true,
+    message: 'Lead updated',
+    data: contact.toDecryptedObject()
+  });
+}));
+
+module.exports = router;
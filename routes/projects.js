@@ -2,9 +2,10 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { protect, admin, optionalAuth } = require('../middleware/auth');
+const { protect, checkPermission, optionalAuth, requestHasPermission } = require('../middleware/auth');
 const Project = require('../models/Project');
 const { upload, uploadfile } = require('../middleware/upload');
+const { recordAudit, snapshot } = require('../utils/audit');
 
 const router = express.Router();
 
@@ -131,7 +132,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
 // @desc    Get all projects with sequence info (admin only)
 // @route   GET /api/projects/sequence
 // @access  Private/Admin
-router.get('/sequence', protect, admin, asyncHandler(async (req, res) => {
+router.get('/sequence', protect, checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   const projects = await Project.find({})
     .populate('createdBy', 'username')
     .sort({ sequence: 1, createdAt: -1 })
@@ -146,7 +147,7 @@ router.get('/sequence', protect, admin, asyncHandler(async (req, res) => {
 // @desc    Update project sequence (admin only)
 // @route   PUT /api/projects/sequence
 // @access  Private/Admin
-router.put('/sequence', protect, admin, asyncHandler(async (req, res) => {
+router.put('/sequence', protect, checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   try {
     const { sequences } = req.body; // Array of { id, sequence }
 
@@ -166,6 +167,7 @@ router.put('/sequence', protect, admin, asyncHandler(async (req, res) => {
     });
 
     const updatedProjects = await Promise.all(updatePromises);
+    recordAudit(req, 'project.sequence_update', { targetModel: 'Project', metadata: { sequences } });
     console.log('Successfully updated sequences for', updatedProjects.length, 'projects');
 
     res.json({
@@ -186,7 +188,7 @@ router.put('/sequence', protect, admin, asyncHandler(async (req, res) => {
 // @desc    Reorder projects (admin only)
 // @route   POST /api/projects/reorder
 // @access  Private/Admin
-router.post('/reorder', protect, admin, asyncHandler(async (req, res) => {
+router.post('/reorder', protect, checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   const { projectIds } = req.body; // Array of project IDs in new order
 
   if (!Array.isArray(projectIds)) {
@@ -202,6 +204,7 @@ router.post('/reorder', protect, admin, asyncHandler(async (req, res) => {
   );
 
   await Promise.all(updatePromises);
+  recordAudit(req, 'project.reorder', { targetModel: 'Project', metadata: { projectIds } });
 
   res.json({
     success: true,
@@ -212,7 +215,7 @@ router.post('/reorder', protect, admin, asyncHandler(async (req, res) => {
 // @desc    Get project statistics (admin only)
 // @route   GET /api/projects/stats/overview
 // @access  Private/Admin
-router.get('/stats/overview', protect, admin, asyncHandler(async (req, res) => {
+router.get('/stats/overview', protect, checkPermission('manage_projects', 'view_analytics'), asyncHandler(async (req, res) => {
   const total = await Project.countDocuments();
   const published = await Project.countDocuments({ published: true });
   const featured = await Project.countDocuments({ featured: true });
@@ -272,7 +275,7 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     });
   }
 
-  if (!project.published && (!req.user || req.user.role !== 'admin')) {
+  if (!project.published && !requestHasPermission(req, 'manage_projects')) {
     return res.status(404).json({
       success: false,
       message: 'Project not found'
@@ -291,7 +294,7 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
 // @desc    Create new project (admin only)
 // @route   POST /api/projects
 // @access  Private/Admin
-router.post('/', protect, admin, upload.array('images', 10), asyncHandler(async (req, res) => {
+router.post('/', protect, checkPermission('manage_projects'), upload.array('images', 10), asyncHandler(async (req, res) => {
   const {
     title,
     description,
@@ -348,6 +351,7 @@ router.post('/', protect, admin, upload.array('images', 10), asyncHandler(async
   };
 
   const project = await Project.create(projectData);
+  recordAudit(req, 'project.create', { targetModel: 'Project', targetId: project._id, after: project });
 
   // Sync with portfolio data
   await syncProjectWithPortfolio(project, project._id);
@@ -362,7 +366,7 @@ router.post('/', protect, admin, upload.array('images', 10), asyncHandler(async
 // @desc    Update project (admin only)
 // @route   PUT /api/projects/:id
 // @access  Private/Admin
-router.put('/:id', protect, admin, upload.fields([
+router.put('/:id', protect, checkPermission('manage_projects'), upload.fields([
   { name: 'images', maxCount: 20 },
   { name: 'mainImage', maxCount: 1 }
 ]), asyncHandler(async (req, res) => {
@@ -397,6 +401,8 @@ router.put('/:id', protect, admin, upload.fields([
     existingImages
   } = req.body;
 
+  const before = snapshot(project);
+
   // Process existing images
   let images = existingImages ? JSON.parse(existingImages) : [];
 
@@ -446,6 +452,7 @@ router.put('/:id', protect, admin, upload.fields([
   }
 
   await project.save();
+  recordAudit(req, 'project.update', { targetModel: 'Project', targetId: project._id, before, after: project });
 
   // Sync with portfolio data
   await syncProjectWithPortfolio(project, project._id);
@@ -460,7 +467,7 @@ router.put('/:id', protect, admin, upload.fields([
 // @desc    Delete project (admin only)
 // @route   DELETE /api/projects/:id
 // @access  Private/Admin
-router.delete('/:id', protect, admin, asyncHandler(async (req, res) => {
+router.delete('/:id', protect, checkPermission('manage_projects'), asyncHandler(async (req, res) => {
   const project = await Project.findById(req.params.id);
 
   if (!project) {
@@ -481,7 +488,8 @@ router.delete('/:id', protect, admin, asyncHandler(async (req, res) => {
     }
   });
 
-  await project.remove();
+  await project.deleteOne();
+  recordAudit(req, 'project.delete', { targetModel: 'Project', targetId: project._id, before: project });
 
   res.json({
     success: true,
@@ -2,6 +2,7 @@ const express = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { protect, checkPermission } = require('../middleware/auth');
 const SEO = require('../models/SEO');
+const { recordAudit, snapshot } = require('../utils/audit');
 
 const router = express.Router();
 
@@ -67,6 +68,7 @@ router.post('/', protect, checkPermission('manage_seo'), asyncHandler(async (req
 
   // Check if SEO data already exists for this page
   let seoData = await SEO.findOne({ page });
+  const before = snapshot(seoData);
 
   if (seoData) {
     // Update existing SEO data
@@ -119,6 +121,13 @@ router.post('/', protect, checkPermission('manage_seo'), asyncHandler(async (req
     });
   }
 
+  recordAudit(req, before ? 'seo.update' : 'seo.create', {
+    targetModel: 'SEO',
+    targetId: page,
+    before,
+    after: seoData
+  });
+
   res.json({
     success: true,
     message: 'SEO data saved successfully',
@@ -163,6 +172,8 @@ router.put('/:page', protect, checkPermission('manage_seo'), asyncHandler(async
     sitemapChangeFreq
   } = req.body;
 
+  const before = snapshot(seoData);
+
   // Update fields
   if (title) seoData.title = title;
   if (description) seoData.description = description;
@@ -186,6 +197,7 @@ router.put('/:page', protect, checkPermission('manage_seo'), asyncHandler(async
   if (sitemapChangeFreq) seoData.sitemapChangeFreq = sitemapChangeFreq;
 
   await seoData.save();
+  recordAudit(req, 'seo.update', { targetModel: 'SEO', targetId: page, before, after: seoData });
 
   res.json({
     success: true,
@@ -208,7 +220,8 @@ router.delete('/:page', protect, checkPermission('manage_seo'), asyncHandler(asy
     });
   }
 
-  await seoData.remove();
+  await seoData.deleteOne();
+  recordAudit(req, 'seo.delete', { targetModel: 'SEO', targetId: page, before: seoData });
 
   res.json({
     success: true,
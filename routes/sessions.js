@@ -0,0 +1,68 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { protect, requireSession } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Managing logins needs a real user session, not an API key
+router.use(protect, requireSession);
+
+// @desc    List active sessions of current user
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveForUser(req.user._id);
+
+  res.json({
+    success: true,
+    data: sessions.map(session => ({
+      ...session.toJSON(),
+      current: session._id.equals(req.authSession._id)
+    }))
+  });
+}));
+
+// @desc    Revoke every session except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/', asyncHandler(async (req, res) => {
+  const result = await Session.revokeAllForUser(req.user._id, 'logout_all', req.authSession._id);
+  recordAudit(req, 'session.revoke_all', {
+    targetModel: 'User',
+    targetId: req.user._id,
+    metadata: { sessionsRevoked: result.modifiedCount }
+  });
+
+  res.json({
+    success: true,
+    message: `Logged out of ${result.modifiedCount} other sessions`
+  });
+}));
+
+// @desc    Revoke one session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!session || !session.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  await session.revoke('logout');
+  recordAudit(req, 'session.revoke', { targetModel: 'Session', targetId: session._id });
+
+  res.json({
+    success: true,
+    message: session._id.equals(req.authSession._id)
+      ? 'Logged out of this session'
+      : 'Session revoked'
+  });
+}));
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
+const { protect, checkPermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
 const router = express.Router();
 
 const SLIDESHOW_PATH = path.join(__dirname, '../data/slideshow.json');
@@ -25,24 +27,26 @@ router.get('/', (req, res) => {
 });
 
 // POST /api/slideshow - add new image
-router.post('/', (req, res) => {
+router.post('/', protect, checkPermission('manage_projects'), (req, res) => {
   const { image } = req.body;
   if (!image) return res.status(400).json({ message: 'Image is required' });
   const data = readSlideshow();
   data.push(image);
   writeSlideshow(data);
+  recordAudit(req, 'slideshow.create', { targetModel: 'Slideshow', targetId: data.length - 1, after: { image } });
   res.json({ success: true });
 });
 
 // DELETE /api/slideshow/:idx - remove image by index
-router.delete('/:idx', (req, res) => {
+router.delete('/:idx', protect, checkPermission('manage_projects'), (req, res) => {
   const idx = parseInt(req.params.idx, 10);
   const data = readSlideshow();
   if (isNaN(idx) || idx < 0 || idx >= data.length) {
     return res.status(404).json({ message: 'Not found' });
   }
-  data.splice(idx, 1);
+  const [removed] = data.splice(idx, 1);
   writeSlideshow(data);
+  recordAudit(req, 'slideshow.delete', { targetModel: 'Slideshow', targetId: idx, before: { image: removed } });
   res.json({ success: true });
 });
 
@@ -0,0 +1,288 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { protect, requireSession } = require('../middleware/auth');
+const User = require('../models/User');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+const { verifyChallengeToken } = require('../utils/tokens');
+const { completeLogin } = require('../utils/login');
+const { isTwoFactorRequired } = require('../utils/twoFactorPolicy');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Rate limiting for code verification
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each IP to 20 code attempts per windowMs
+  message: 'Too many verification attempts, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Allow enrollment either for a logged-in user or for a user whose login
+// was halted because the 2FA policy requires them to enroll first
+const protectOrSetupChallenge = (req, res, next) => {
+  const { challengeToken } = req.body;
+  if (!challengeToken) return protect(req, res, () => requireSession(req, res, next));
+
+  const userId = verifyChallengeToken(challengeToken, '2fa_setup');
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired challenge token'
+    });
+  }
+
+  req.setupChallengeUserId = userId;
+  next();
+};
+
+// Check a TOTP code against the active secret and record the used step
+const consumeTotpCode = (user, code) => {
+  const step = verifyCode(user.twoFactor.secret, code, {
+    lastUsedStep: user.twoFactor.lastUsedStep
+  });
+  if (step === null) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// @desc    Get 2FA status for current user
+// @route   GET /api/auth/2fa/status
+// @access  Private
+router.get('/status', protect, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+
+  res.json({
+    success: true,
+    data: {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: await isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+    }
+  });
+}));
+
+// @desc    Start 2FA enrollment (generate secret and otpauth URI)
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or 2FA setup challenge)
+router.post('/setup', protectOrSetupChallenge, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.setupChallengeUserId || req.user.id).select(SECRET_FIELDS);
+
+  if (!user || !user.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  res.json({
+    success: true,
+    data: {
+      secret,
+      otpauthUrl: buildOtpauthUrl({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TOTP_ISSUER || 'Beyond Blueprint'
+      })
+    }
+  });
+}));
+
+// @desc    Confirm enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or 2FA setup challenge)
+router.post('/enable', twoFactorLimiter, protectOrSetupChallenge, asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await User.findById(req.setupChallengeUserId || req.user.id).select(SECRET_FIELDS);
+
+  if (!user || !user.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    return res.status(400).json({
+      success: false,
+      message: 'Start two-factor setup first'
+    });
+  }
+
+  const step = verifyCode(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid verification code'
+    });
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+  recordAudit(req, 'auth.2fa_enable', { actor: user._id, targetModel: 'User', targetId: user._id });
+
+  const data = { recoveryCodes };
+
+  // Enrollment forced at login finishes the login as well
+  if (req.setupChallengeUserId) {
+    Object.assign(data, await completeLogin(user, req));
+  }
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    data
+  });
+}));
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/login
+// @access  Public (2FA challenge)
+router.post('/login', twoFactorLimiter, asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const userId = verifyChallengeToken(challengeToken, '2fa');
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired challenge token'
+    });
+  }
+
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user || !user.isActive || !user.twoFactor.enabled) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid credentials'
+    });
+  }
+
+  // A locked account gets the wrong-code answer, so codes can't be used to
+  // learn whether (or until when) it is locked
+  if (user.isLocked) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid verification code'
+    });
+  }
+
+  const verified = recoveryCode
+    ? user.useRecoveryCode(recoveryCode)
+    : consumeTotpCode(user, code);
+
+  if (!verified) {
+    await user.registerFailedLogin();
+    recordAudit(req, 'auth.2fa_failed', { targetModel: 'User', targetId: user._id });
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid verification code'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...(await completeLogin(user, req)),
+      ...(recoveryCode && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length })
+    }
+  });
+}));
+
+// @desc    Regenerate recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/recovery-codes', protect, requireSession, twoFactorLimiter, asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+
+  if (!user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  if (!consumeTotpCode(user, code)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid verification code'
+    });
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+  recordAudit(req, 'auth.2fa_recovery_codes_regenerate', { targetModel: 'User', targetId: user._id });
+
+  res.json({
+    success: true,
+    data: { recoveryCodes }
+  });
+}));
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/disable', protect, requireSession, twoFactorLimiter, asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+  const user = await User.findById(req.user.id).select(`+password ${SECRET_FIELDS}`);
+
+  if (!user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication is required for your role'
+    });
+  }
+
+  const isMatch = await user.comparePassword(password || '');
+  if (!isMatch || !consumeTotpCode(user, code)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid password or verification code'
+    });
+  }
+
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = null;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.recoveryCodes = [];
+  user.twoFactor.lastUsedStep = null;
+  user.twoFactor.enabledAt = null;
+  await user.save();
+  recordAudit(req, 'auth.2fa_disable', { targetModel: 'User', targetId: user._id });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,316 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { protect, superadmin } = require('../middleware/auth');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+const { queueDeliveries, redeliver } = require('../utils/webhooks');
+const { checkWebhookUrl } = require('../utils/webhookRequest');
+const { recordAudit, snapshot } = require('../utils/audit');
+
+const router = express.Router();
+
+// Webhooks send lead details to outside systems, so superadmin only
+router.use(protect, superadmin);
+
+// Check event names, returns an error message or null
+const eventsError = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'Subscribe to at least one event';
+  }
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  return unknown.length > 0
+    ? `Unknown events: ${unknown.join(', ')}. Use ${WEBHOOK_EVENTS.join(', ')}`
+    : null;
+};
+
+// @desc    List webhooks
+// @route   GET /api/admin/webhooks
+// @access  Private/Superadmin
+router.get('/', asyncHandler(async (req, res) => {
+  const webhooks = await Webhook.find()
+    .populate('createdBy', 'username')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: webhooks,
+    events: WEBHOOK_EVENTS
+  });
+}));
+
+// @desc    Create a webhook (the signing secret is only returned once)
+// @route   POST /api/admin/webhooks
+// @access  Private/Superadmin
+router.post('/', asyncHandler(async (req, res) => {
+  const { name, url, events, isActive } = req.body;
+
+  const error = eventsError(events) || await checkWebhookUrl(url);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const { webhook, secret } = await Webhook.generate({
+    name,
+    url,
+    events: [...new Set(events)],
+    isActive: isActive !== false,
+    createdBy: req.user._id
+  });
+  recordAudit(req, 'webhook.create', { targetModel: 'Webhook', targetId: webhook._id, after: webhook });
+
+  res.status(201).json({
+    success: true,
+    message: 'Webhook created. Copy the signing secret now, it will not be shown again.',
+    data: {
+      ...webhook.toJSON(),
+      secret
+    }
+  });
+}));
+
+// @desc    Get a single delivery with its payload and attempts
+// @route   GET /api/admin/webhooks/deliveries/:deliveryId
+// @access  Private/Superadmin
+router.get('/deliveries/:deliveryId', asyncHandler(async (req, res) => {
+  const delivery = await WebhookDelivery.findById(req.params.deliveryId)
+    .populate('webhook', 'name url')
+    .populate('redeliveredBy', 'username');
+
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      message: 'Delivery not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: delivery.toAdminObject({ includePayload: true })
+  });
+}));
+
+// @desc    Send a delivery again (same event id and payload)
+// @route   POST /api/admin/webhooks/deliveries/:deliveryId/redeliver
+// @access  Private/Superadmin
+router.post('/deliveries/:deliveryId/redeliver', asyncHandler(async (req, res) => {
+  const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      message: 'Delivery not found'
+    });
+  }
+
+  if (['pending', 'delivering'].includes(delivery.status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Delivery is still in progress'
+    });
+  }
+
+  if (!await Webhook.exists({ _id: delivery.webhook })) {
+    return res.status(400).json({
+      success: false,
+      message: 'The webhook for this delivery was deleted'
+    });
+  }
+
+  const copy = await redeliver(delivery, req.user._id);
+  recordAudit(req, 'webhook.redeliver', {
+    targetModel: 'WebhookDelivery',
+    targetId: copy._id,
+    metadata: { webhook: delivery.webhook, event: delivery.event, redeliveryOf: delivery._id }
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Delivery queued',
+    data: copy.toAdminObject()
+  });
+}));
+
+// @desc    Get a webhook
+// @route   GET /api/admin/webhooks/:id
+// @access  Private/Superadmin
+router.get('/:id', asyncHandler(async (req, res) => {
+  const webhook = await Webhook.findById(req.params.id).populate('createdBy', 'username');
+
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: webhook
+  });
+}));
+
+// @desc    Update a webhook
+// @route   PUT /api/admin/webhooks/:id
+// @access  Private/Superadmin
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { name, url, events, isActive } = req.body;
+  const webhook = await Webhook.findById(req.params.id);
+
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+
+  const before = snapshot(webhook);
+  if (events !== undefined) {
+    const error = eventsError(events);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    webhook.events = [...new Set(events)];
+  }
+
+  if (url !== undefined) {
+    const error = await checkWebhookUrl(url);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+  }
+
+  if (name !== undefined) webhook.name = name;
+  if (url !== undefined) webhook.url = url;
+  if (isActive !== undefined) webhook.isActive = !!isActive;
+  await webhook.save();
+  recordAudit(req, 'webhook.update', { targetModel: 'Webhook', targetId: webhook._id, before, after: webhook });
+
+  res.json({
+    success: true,
+    message: 'Webhook updated',
+    data: webhook
+  });
+}));
+
+// @desc    Delete a webhook and its delivery log
+// @route   DELETE /api/admin/webhooks/:id
+// @access  Private/Superadmin
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const webhook = await Webhook.findByIdAndDelete(req.params.id);
+
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+  recordAudit(req, 'webhook.delete', { targetModel: 'Webhook', targetId: webhook._id, before: webhook });
+
+  res.json({
+    success: true,
+    message: 'Webhook deleted'
+  });
+}));
+
+// @desc    Replace a webhook's signing secret (returned once)
+// @route   POST /api/admin/webhooks/:id/rotate-secret
+// @access  Private/Superadmin
+router.post('/:id/rotate-secret', asyncHandler(async (req, res) => {
+  const webhook = await Webhook.findById(req.params.id);
+
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+
+  const secret = webhook.rotateSecret();
+  await webhook.save();
+  recordAudit(req, 'webhook.rotate_secret', { targetModel: 'Webhook', targetId: webhook._id });
+
+  res.json({
+    success: true,
+    message: 'Signing secret replaced. Copy it now, it will not be shown again.',
+    data: { secret }
+  });
+}));
+
+// @desc    Send a test `ping` event to a webhook
+// @route   POST /api/admin/webhooks/:id/ping
+// @access  Private/Superadmin
+router.post('/:id/ping', asyncHandler(async (req, res) => {
+  const webhook = await Webhook.findById(req.params.id);
+
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+
+  const error = await checkWebhookUrl(webhook.url);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const [delivery] = await queueDeliveries([webhook], 'ping', {
+    webhook: { id: String(webhook._id), name: webhook.name, events: webhook.events }
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Ping queued',
+    data: delivery.toAdminObject()
+  });
+}));
+
+// @desc    List deliveries for a webhook
+// @route   GET /api/admin/webhooks/:id/deliveries
+// @access  Private/Superadmin
+router.get('/:id/deliveries', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  const { status, event } = req.query;
+
+  const query = { webhook: req.params.id };
+  if (status) query.status = status;
+  if (event) query.event = event;
+
+  const deliveries = await WebhookDelivery.find(query)
+    .select('-attemptLog')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await WebhookDelivery.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: deliveries.map(delivery => delivery.toAdminObject()),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+require('dotenv').config();
+
+// Compute email/phone/name blind indexes for contacts saved before they existed.
+// Re-running is safe; pass --all to recompute every contact (e.g. after changing BLIND_INDEX_KEY).
+const backfillBlindIndexes = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const recomputeAll = process.argv.includes('--all');
+    const query = recomputeAll ? {} : { $or: [{ emailIndex: null }, { phoneIndex: { $exists: false } }, { nameTokens: { $exists: false } }] };
+
+    let updated = 0;
+    let failed = 0;
+    const cursor = Contact.find(query).cursor();
+
+    for (let contact = await cursor.next(); contact; contact = await cursor.next()) {
+      const decrypted = contact.decryptSensitiveData();
+      if (!decrypted) {
+        failed++;
+        continue;
+      }
+
+      contact.setBlindIndexes(decrypted);
+      await Contact.updateOne(
+        { _id: contact._id },
+        { emailIndex: contact.emailIndex, phoneIndex: contact.phoneIndex, nameTokens: contact.nameTokens }
+      );
+      updated++;
+    }
+
+    console.log(`✅ Blind indexes updated for ${updated} contacts`);
+    if (failed > 0) {
+      console.log(`⚠️  ${failed} contacts could not be decrypted and were skipped`);
+    }
+  } catch (error) {
+    console.error('Error backfilling blind indexes:', error);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+};
+
+backfillBlindIndexes();
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const BlockedSubmission = require('../models/BlockedSubmission');
+const ContactAttachment = require('../models/ContactAttachment');
+const OutboxMessage = require('../models/OutboxMessage');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { currentKeyVersion } = require('../utils/encryption');
+require('dotenv').config();
+
+// Rewrite encrypted contact data with the current data-encryption key.
+// Run after adding a key to DATA_ENCRYPTION_KEYS; keep the old key configured
+// until this reports no failures, then it can be removed.
+const migrate = async (Model, query, label, select = '') => {
+  let updated = 0;
+  let failed = 0;
+  const cursor = Model.find(query).select(select).cursor();
+
+  for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+    try {
+      if (doc.reencrypt()) {
+        // Contacts keep placeholders their validators reject; only the rewritten payloads are checked
+        await doc.save({ validateModifiedOnly: true });
+        updated++;
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`✅ ${label}: ${updated} re-encrypted, ${failed} failed`);
+  return failed;
+};
+
+const reencryptData = async () => {
+  let failed = 0;
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const version = currentKeyVersion();
+    console.log(`Re-encrypting with key version ${version}`);
+
+    failed += await migrate(Contact, { encryptionKeyVersion: { $ne: version } }, 'Contacts');
+    failed += await migrate(BlockedSubmission, { encryptedData: { $not: new RegExp(`^v${version}:`) } }, 'Blocked submissions');
+    failed += await migrate(ContactAttachment, { 'content.keyVersion': { $ne: version } }, 'Contact attachments', '+content');
+    failed += await migrate(OutboxMessage, { encryptedData: { $not: new RegExp(`^v${version}:`) } }, 'Outbox messages');
+    failed += await migrate(Webhook, { encryptedSecret: { $not: new RegExp(`^v${version}:`) } }, 'Webhook secrets', '+encryptedSecret');
+    failed += await migrate(WebhookDelivery, { encryptedPayload: { $not: new RegExp(`^v${version}:`) } }, 'Webhook deliveries');
+  } catch (error) {
+    console.error('Error re-encrypting data:', error);
+    failed++;
+  } finally {
+    await mongoose.disconnect();
+    process.exit(failed > 0 ? 1 : 0);
+  }
+};
+
+if (require.main === module) {
+  reencryptData();
+}
+
+module.exports = { migrate };
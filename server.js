@@ -9,15 +9,34 @@ require('dotenv').config();
 
 const connectDB = require('./config/database');
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const sessionRoutes = require('./routes/sessions');
 const contactRoutes = require('./routes/contact');
+const bookingRoutes = require('./routes/bookings');
 const projectRoutes = require('./routes/projects');
 const adminRoutes = require('./routes/admin');
+const invitationRoutes = require('./routes/invitations');
+const apiKeyRoutes = require('./routes/apiKeys');
+const pipelineRoutes = require('./routes/pipeline');
+const blockedSubmissionRoutes = require('./routes/blockedSubmissions');
+const outboxRoutes = require('./routes/outbox');
+const emailTemplateRoutes = require('./routes/emailTemplates');
+const googleSheetsRoutes = require('./routes/googleSheets');
+const webhookRoutes = require('./routes/webhooks');
 const blogRoutes = require('./routes/blog');
 const seoRoutes = require('./routes/seo');
 const notificationRoutes = require('./routes/notifications');
 const publicRoutes = require('./routes/public');
 const slideshowRoutes = require('./routes/slideshow');
 const { errorHandler } = require('./middleware/errorHandler');
+const { getBlindIndexKey } = require('./utils/blindIndex');
+const { currentKeyVersion } = require('./utils/encryption');
+const { protect, checkPermission } = require('./middleware/auth');
+const { recordAudit } = require('./utils/audit');
+const { startEmailWorker } = require('./jobs/emailWorker');
+const { startSheetsSync } = require('./jobs/sheetsSync');
+const { startWebhookWorker } = require('./jobs/webhookWorker');
+const { startBookingReminders } = require('./jobs/bookingReminders');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
@@ -40,9 +59,33 @@ const upload = multer({ storage: storage });
 
 const app = express();
 
+// Refuse to start without the keys production needs
+getBlindIndexKey();
+currentKeyVersion();
+
 // Connect to MongoDB
 connectDB();
 
+// Deliver queued email from this process (disable where another process does it)
+if (process.env.EMAIL_WORKER_DISABLED !== 'true') {
+  startEmailWorker();
+}
+
+// Push new leads to Google Sheets and retry failed appends
+if (process.env.SHEETS_SYNC_DISABLED !== 'true') {
+  startSheetsSync();
+}
+
+// Deliver outgoing webhooks
+if (process.env.WEBHOOK_WORKER_DISABLED !== 'true') {
+  startWebhookWorker();
+}
+
+// Email visitors ahead of their booked consultations
+if (process.env.BOOKING_REMINDERS_DISABLED !== 'true') {
+  startBookingReminders();
+}
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -119,7 +162,18 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/sessions', sessionRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/admin/invitations', invitationRoutes);
+app.use('/api/admin/api-keys', apiKeyRoutes);
+app.use('/api/admin/pipeline', pipelineRoutes);
+app.use('/api/admin/blocked-submissions', blockedSubmissionRoutes);
+app.use('/api/admin/outbox', outboxRoutes);
+app.use('/api/admin/email-templates', emailTemplateRoutes);
+app.use('/api/admin/google-sheets', googleSheetsRoutes);
+app.use('/api/admin/webhooks', webhookRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/blog', blogRoutes);
 app.use('/api/seo', seoRoutes);
@@ -129,11 +183,12 @@ app.use('/api/projects', projectRoutes);
 app.use('/api/slideshow', slideshowRoutes);
 
 // Cloudinary image upload endpoint
-app.post('/api/admin/upload-cloudinary', upload.single('images'), (req, res) => {
+app.post('/api/admin/upload-cloudinary', protect, checkPermission('manage_projects', 'manage_blog'), upload.single('images'), (req, res) => {
   if (!req.file || !req.file.path) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
   // Cloudinary URL is in req.file.path
+  recordAudit(req, 'upload.create', { metadata: { urls: [req.file.path] } });
   res.json({ url: req.file.path });
 });
 
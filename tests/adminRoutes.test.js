@@ -0,0 +1,78 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { stubSettings, hydrateStored, stubWrites, createStaffUser, startApp } = require('./helpers');
+const Contact = require('../models/Contact');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const Webhook = require('../models/Webhook');
+const adminRoutes = require('../routes/admin');
+
+let app;
+let stored;
+let writes;
+let audits;
+
+before(async () => {
+  app = await startApp('/api/admin', adminRoutes, createStaffUser({ permissions: ['manage_users'] }));
+  audits = stubWrites(AuditLog);
+  Contact.findById = async () => hydrateStored(stored);
+  Webhook.find = () => ({ select: async () => [] });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  stubSettings();
+  writes = stubWrites(Contact);
+  stored = new Contact({
+    name: 'Asha Rao',
+    email: 'asha@example.com',
+    message: 'Hello there, a new kitchen please',
+    ipAddress: '203.0.113.5',
+    userAgent: 'test'
+  });
+  stored.setBlindIndexes();
+  stored.encryptSensitiveData();
+});
+
+test('changes the status of a stored lead', async () => {
+  const { status, body } = await app.request('PUT', `/contacts/${stored._id}`, { status: 'archived' });
+
+  assert.strictEqual(status, 200, body.message);
+  assert.strictEqual(writes[0].update.$set.status, 'archived');
+});
+
+test('rejects an unknown status', async () => {
+  const { status } = await app.request('PUT', `/contacts/${stored._id}`, { status: 'lost' });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(writes.length, 0);
+});
+
+test('deletes a user and records it', async () => {
+  const userWrites = stubWrites(User);
+  const editor = createStaffUser({ username: 'editor', email: 'editor@example.com', role: 'editor' });
+  app.addUser(editor);
+
+  const { status, body } = await app.request('DELETE', `/users/${editor._id}`);
+
+  assert.strictEqual(status, 200, body.message);
+  assert.ok(userWrites.some(entry => entry.method === 'deleteOne' && entry.filter._id.equals(editor._id)));
+  assert.ok(audits.some(entry => entry.filter.action === 'user.delete'));
+});
+
+test('only a superadmin can deactivate, unlock or delete a superadmin', async () => {
+  const userWrites = stubWrites(User);
+  const owner = createStaffUser({ username: 'owner', email: 'owner@example.com', role: 'superadmin' });
+  app.addUser(owner);
+
+  for (const [method, route, body] of [
+    ['PUT', `/users/${owner._id}/status`, { isActive: false }],
+    ['PUT', `/users/${owner._id}/unlock`],
+    ['DELETE', `/users/${owner._id}`]
+  ]) {
+    const { status } = await app.request(method, route, body);
+    assert.strictEqual(status, 403, `${method} ${route}`);
+  }
+  assert.strictEqual(userWrites.length, 0);
+});
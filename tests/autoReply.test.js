@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { stubSettings } = require('./helpers');
+const { SETTINGS } = require('../config/settings');
+const { validateAutoReplyConfig, renderAutoReply, sendAutoReply } = require('../utils/autoReply');
+
+const visitor = {
+  name: 'Visit <a href="https://spam.example">cheap pills</a>',
+  email: 'someone-else@example.com',
+  message: 'Buy now at https://spam.example',
+  service: 'residential',
+  serviceDisplay: 'Residential Design'
+};
+
+test('replies never repeat what the visitor typed', () => {
+  const config = {
+    enabled: true,
+    templates: {
+      ...SETTINGS.autoReply.default.templates,
+      // Saved before names were dropped
+      residential: { subject: 'Thanks {{name}}', body: 'Hi {{firstName}}, about {{service}}', enabled: true }
+    }
+  };
+
+  for (const contact of [visitor, { ...visitor, service: 'consultation', serviceDisplay: 'Consultation' }, { ...visitor, service: '' }]) {
+    const reply = renderAutoReply(config, contact);
+    const text = `${reply.subject} ${reply.body}`;
+    assert.ok(!text.includes('spam.example'), text);
+    assert.ok(!text.includes('Visit'), text);
+  }
+  assert.strictEqual(renderAutoReply(config, visitor).body, 'Hi there, about Residential Design');
+});
+
+test('templates can only use the service placeholder', () => {
+  const templates = { default: { subject: 'Thanks', body: 'About {{service}}' } };
+  assert.strictEqual(validateAutoReplyConfig({ enabled: true, templates }), null);
+
+  templates.default.body = 'Hi {{firstName}}, about {{service}}';
+  assert.match(validateAutoReplyConfig({ enabled: true, templates }), /\{\{firstName\}\} is not available/);
+});
+
+test('no reply for spam or doubtful submissions', async () => {
+  stubSettings();
+  assert.strictEqual(await sendAutoReply({ ...visitor, isSpam: true, spamScore: 0.95 }), null);
+  assert.strictEqual(await sendAutoReply({ ...visitor, isSpam: false, spamScore: 0.6 }), null);
+});
@@ -0,0 +1,92 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { stubSettings, stubWrites, createStaffUser, startApp } = require('./helpers');
+const BlockedSubmission = require('../models/BlockedSubmission');
+const Contact = require('../models/Contact');
+const SpamModel = require('../models/SpamModel');
+const Webhook = require('../models/Webhook');
+const { encryptJson } = require('../utils/encryption');
+const blockedSubmissionRoutes = require('../routes/blockedSubmissions');
+
+let app;
+let submission;
+let contactWrites;
+
+before(async () => {
+  app = await startApp('/api/admin/blocked-submissions', blockedSubmissionRoutes, createStaffUser());
+  SpamModel.load = async () => ({ name: 'contact', spamDocs: 0, hamDocs: 0, features: {} });
+  Contact.findDuplicateCandidates = async () => [];
+  Webhook.find = () => ({ select: async () => [] });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  stubSettings();
+  contactWrites = stubWrites(Contact);
+  submission = new BlockedSubmission({
+    reason: 'too_fast',
+    encryptedData: encryptJson({ name: 'Asha Rao', email: 'asha@example.com', message: 'Hello there, a new kitchen please' }),
+    ipAddress: '203.0.113.5',
+    userAgent: 'test'
+  });
+  BlockedSubmission.findById = async () => BlockedSubmission.hydrate(submission.toObject());
+});
+
+test('filters by known reasons only, as plain strings', async () => {
+  let query;
+  BlockedSubmission.find = (filter) => {
+    query = filter;
+    const chain = { populate: () => chain, sort: () => chain, skip: () => chain, limit: async () => [] };
+    return chain;
+  };
+  BlockedSubmission.countDocuments = async () => 0;
+  BlockedSubmission.aggregate = async () => [];
+
+  const ok = await app.request('GET', '/?reason=honeypot&ipAddress=203.0.113.5');
+  assert.strictEqual(ok.status, 200, ok.body.message);
+  assert.deepStrictEqual(query, { reason: 'honeypot', ipAddress: '203.0.113.5' });
+
+  const operator = await app.request('GET', '/?ipAddress[$ne]=x');
+  assert.strictEqual(operator.status, 200, operator.body.message);
+  assert.strictEqual(typeof query.ipAddress, 'string');
+
+  for (const search of ['reason=spam', 'reason[$ne]=x']) {
+    const { status } = await app.request('GET', `/?${search}`);
+    assert.strictEqual(status, 400, search);
+  }
+});
+
+test('releases a submission once when two admins release it together', async () => {
+  const released = [];
+  let claimed = false;
+  BlockedSubmission.findOneAndUpdate = async (filter) => {
+    assert.strictEqual(filter.releasedAt, null);
+    if (claimed) return null;
+    claimed = true;
+    return submission;
+  };
+  BlockedSubmission.updateOne = async (filter, update) => { released.push(update.$set); };
+
+  const responses = await Promise.all([
+    app.request('POST', `/${submission._id}/release`),
+    app.request('POST', `/${submission._id}/release`)
+  ]);
+
+  assert.deepStrictEqual(responses.map(({ status }) => status).sort(), [201, 400]);
+  assert.strictEqual(contactWrites.filter(entry => entry.method === 'insertOne').length, 1);
+  assert.strictEqual(released.length, 1);
+  assert.strictEqual(String(released[0].releasedContact), String(responses.find(({ status }) => status === 201).body.data.contactId));
+});
+
+test('hands the submission back when the contact cannot be created', async () => {
+  const updates = [];
+  BlockedSubmission.findOneAndUpdate = async () => submission;
+  BlockedSubmission.updateOne = async (filter, update) => { updates.push(update.$set); };
+  Contact.collection.insertOne = async () => { throw new Error('write failed'); };
+
+  const { status } = await app.request('POST', `/${submission._id}/release`);
+
+  assert.strictEqual(status, 500);
+  assert.deepStrictEqual(updates, [{ releasedAt: null, releasedBy: null }]);
+});
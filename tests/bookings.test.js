@@ -0,0 +1,76 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { stubSettings, stubWrites, createStaffUser, startApp } = require('./helpers');
+const Availability = require('../models/Availability');
+const Booking = require('../models/Booking');
+const Contact = require('../models/Contact');
+const SpamModel = require('../models/SpamModel');
+const bookingRoutes = require('../routes/bookings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let app;
+let bookingWrites;
+
+// Form token issued long enough ago to pass the fill-time check
+const formToken = () => jwt.sign({ purpose: 'contact_form', issuedAt: Date.now() - 60000 }, process.env.JWT_SECRET);
+
+before(async () => {
+  app = await startApp('/api/bookings', bookingRoutes, createStaffUser({ permissions: ['manage_bookings'] }));
+
+  // One designer, free all day in UTC
+  const designer = { _id: new mongoose.Types.ObjectId(), isActive: true };
+  Availability.find = () => ({
+    populate: async () => [{
+      user: designer,
+      timezone: 'UTC',
+      displayName: 'Mira',
+      offers: () => true,
+      isBlackedOut: () => false,
+      hoursOn: () => [{ start: 0, end: 24 * 60 }]
+    }]
+  });
+  Booking.find = () => ({ select: async () => [] });
+  Contact.countDocuments = async () => 0;
+  Contact.findDuplicateCandidates = async () => [];
+
+  // Anything mentioning "xyzzy" scores as spam
+  SpamModel.load = async () => ({ name: 'contact', spamDocs: 1000, hamDocs: 1000, features: { 'word:xyzzy': { spam: 1000, ham: 0 } } });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  stubSettings();
+  stubWrites(Contact);
+  bookingWrites = stubWrites(Booking);
+});
+
+test('answers a spam booking like a real one without reserving the slot', async () => {
+  const startAt = new Date(Math.ceil((Date.now() + 3 * DAY_MS) / DAY_MS) * DAY_MS);
+
+  const { status, body } = await app.request('POST', '/', {
+    name: 'Asha Rao',
+    email: 'asha@example.com',
+    message: 'xyzzy offers for you',
+    startAt: startAt.toISOString(),
+    formToken: formToken()
+  });
+
+  assert.strictEqual(status, 201, body.message);
+  assert.deepStrictEqual(Object.keys(body.data).sort(), ['designerName', 'endAt', 'id', 'startAt', 'timezone']);
+  assert.strictEqual(body.data.startAt, startAt.toISOString());
+  assert.strictEqual(body.data.endAt, new Date(startAt.getTime() + 60 * 60000).toISOString());
+  assert.strictEqual(body.data.designerName, 'Mira');
+  assert.strictEqual(body.data.timezone, 'UTC');
+  assert.strictEqual(bookingWrites.length, 0);
+});
+
+test('rejects an unknown booking status or designer filter', async () => {
+  for (const search of ['status=pending', 'status[$ne]=cancelled', 'designer=mira', 'designer[$ne]=x']) {
+    const { status } = await app.request('GET', `/?${search}`);
+    assert.strictEqual(status, 400, search);
+  }
+});
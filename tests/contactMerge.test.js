@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const Contact = require('../models/Contact');
+const { decryptJson, payloadKeyVersion } = require('../utils/encryption');
+
+const OLD_KEYS = process.env.DATA_ENCRYPTION_KEYS;
+
+const newContact = (fields) => {
+  const contact = new Contact({ message: 'Hello there, a new kitchen please', ...fields });
+  contact.encryptSensitiveData();
+  return contact;
+};
+
+test('merged payloads are rewritten with the current key', () => {
+  process.env.DATA_ENCRYPTION_KEYS = OLD_KEYS;
+  const other = newContact({ name: 'Asha Rao', email: 'asha@example.com' });
+  other.notes.push({ author: other._id });
+  other.setNoteBody(other.notes[0], 'Called back');
+
+  process.env.DATA_ENCRYPTION_KEYS = `${OLD_KEYS},2:${'b'.repeat(64)}`;
+  const contact = newContact({ name: 'Asha R', email: 'asha@example.com' });
+  contact.mergeFrom([other], null);
+
+  assert.strictEqual(contact.encryptionKeyVersion, 2);
+  for (const item of [...contact.submissions, ...contact.notes]) {
+    assert.strictEqual(payloadKeyVersion(item.encryptedData), 2);
+  }
+  assert.strictEqual(decryptJson(contact.submissions[0].encryptedData).name, 'Asha Rao');
+  assert.strictEqual(decryptJson(contact.notes[0].encryptedData).body, 'Called back');
+});
+
+test('merging fails if a merged payload cannot be decrypted', () => {
+  process.env.DATA_ENCRYPTION_KEYS = `3:${'c'.repeat(64)}`;
+  const other = newContact({ name: 'Ben Ode', email: 'ben@example.com' });
+
+  process.env.DATA_ENCRYPTION_KEYS = OLD_KEYS;
+  const contact = newContact({ name: 'Ben Ode', email: 'ben@example.com' });
+  assert.throws(() => contact.mergeFrom([other], null), /could not be decrypted/);
+});
@@ -0,0 +1,228 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v2: cloudinary } = require('cloudinary');
+const mongoose = require('mongoose');
+
+// A transporter is created but never used: mail only goes as far as the outbox
+process.env.EMAIL_HOST = process.env.EMAIL_HOST || '127.0.0.1';
+
+const { stubSettings, hydrateStored, stubWrites, createStaffUser, startApp } = require('./helpers');
+const Contact = require('../models/Contact');
+const ContactAttachment = require('../models/ContactAttachment');
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const EmailTemplate = require('../models/EmailTemplate');
+const OutboxMessage = require('../models/OutboxMessage');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const SpamModel = require('../models/SpamModel');
+const contactRoutes = require('../routes/contact');
+
+let app;
+let leads;
+let writes;
+let outbox;
+
+// Lead as stored: sensitive fields encrypted, placeholders left behind
+const storedLead = (name, email) => {
+  const lead = new Contact({
+    name,
+    email,
+    message: 'Hello there, a new kitchen please',
+    ipAddress: '203.0.113.5',
+    userAgent: 'test'
+  });
+  lead.setBlindIndexes();
+  lead.encryptSensitiveData();
+  return lead;
+};
+
+before(async () => {
+  app = await startApp('/api/contact', contactRoutes, createStaffUser());
+  Contact.findById = async (id) => {
+    const lead = leads.find(item => item._id.equals(id));
+    return lead ? hydrateStored(lead) : null;
+  };
+  Contact.find = (filter) => ({
+    sort: async () => leads.filter(lead => filter._id.$in.some(id => lead._id.equals(id))).map(hydrateStored)
+  });
+  EmailTemplate.findOne = () => ({ lean: async () => null });
+  Webhook.find = () => ({ select: async () => [] });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  stubSettings();
+  writes = stubWrites(Contact);
+  outbox = stubWrites(OutboxMessage);
+  [ContactAttachment, Booking, Notification].forEach(stubWrites);
+  leads = [storedLead('Asha Rao', 'asha@example.com'), storedLead('Asha R', 'asha@example.com')];
+});
+
+test('merges stored leads in one transaction', async () => {
+  let transactions = 0;
+  mongoose.connection.transaction = async (fn) => {
+    transactions++;
+    return fn(null);
+  };
+  const [primary, other] = leads;
+
+  const { status, body } = await app.request('POST', `/${primary._id}/merge`, { contactIds: [String(other._id)] });
+
+  assert.strictEqual(status, 200, body.message);
+  assert.strictEqual(transactions, 1);
+  assert.strictEqual(body.data.submissions.length, 1);
+  assert.strictEqual(body.data.submissions[0].name, 'Asha R');
+
+  const saved = writes.find(entry => entry.method === 'updateOne');
+  assert.ok(saved.update.$set.submissions || saved.update.$push);
+  assert.ok(writes.some(entry => entry.method === 'deleteMany' && entry.filter._id.$in.some(id => String(id) === String(other._id))));
+});
+
+test('stores a reply on a stored lead before queuing the email', async () => {
+  const [lead] = leads;
+  const order = [];
+  const save = Contact.collection.updateOne;
+  Contact.collection.updateOne = async (...args) => {
+    order.push('save');
+    return save(...args);
+  };
+  const enqueue = OutboxMessage.collection.insertOne;
+  OutboxMessage.collection.insertOne = async (...args) => {
+    order.push('queue');
+    return enqueue(...args);
+  };
+
+  const { status, body } = await app.request('POST', `/${lead._id}/replies`, { body: 'Thanks, we can visit on Monday' });
+
+  assert.strictEqual(status, 201, body.message);
+  assert.deepStrictEqual(order, ['save', 'queue']);
+  assert.strictEqual(writes[0].update.$set.status, 'replied');
+  assert.strictEqual(outbox[0].filter.messageId, body.data.messageId);
+});
+
+test('takes the reply back out when queuing fails', async () => {
+  const [lead] = leads;
+  OutboxMessage.collection.insertOne = async () => { throw new Error('outbox unavailable'); };
+  let pulled;
+  const updateOne = Contact.updateOne;
+  Contact.updateOne = async (filter, update) => { pulled = update; };
+
+  const { status } = await app.request('POST', `/${lead._id}/replies`, { body: 'Thanks, we can visit on Monday' });
+  Contact.updateOne = updateOne;
+
+  assert.strictEqual(status, 500);
+  assert.ok(pulled.$pull.replies._id);
+  assert.strictEqual(pulled.$set.status, 'new');
+});
+
+test('adds, edits and deletes notes on a stored lead', async () => {
+  const [lead] = leads;
+
+  const created = await app.request('POST', `/${lead._id}/notes`, { body: 'Call back after the site visit', kind: 'task' });
+  assert.strictEqual(created.status, 201, created.body.message);
+  assert.strictEqual(created.body.data.body, 'Call back after the site visit');
+
+  // Later requests load the lead with the note on it
+  const stored = hydrateStored(lead);
+  stored.notes.push({ ...created.body.data, encryptedData: writes[0].update.$push.notes.$each[0].encryptedData });
+  leads[0] = stored;
+  const noteId = created.body.data._id;
+
+  const updated = await app.request('PUT', `/${lead._id}/notes/${noteId}`, { completed: true });
+  assert.strictEqual(updated.status, 200, updated.body.message);
+  assert.ok(updated.body.data.completedAt);
+
+  const deleted = await app.request('DELETE', `/${lead._id}/notes/${noteId}`);
+  assert.strictEqual(deleted.status, 200, deleted.body.message);
+  assert.ok(writes.at(-1).update.$pull || writes.at(-1).update.$set);
+});
+
+test('removes uploaded note attachments when the note cannot be saved', async () => {
+  const [lead] = leads;
+  const destroyed = [];
+  cloudinary.uploader.upload = async () => ({ secure_url: 'https://res.example/plan.pdf', public_id: 'notes/plan' });
+  cloudinary.uploader.destroy = async (publicId) => { destroyed.push(publicId); };
+  Contact.collection.updateOne = async () => { throw new Error('write failed'); };
+
+  // Note uploads are written to ./public before going to Cloudinary
+  const cwd = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notes-'));
+  fs.mkdirSync(path.join(dir, 'public'));
+  process.chdir(dir);
+
+  const form = new FormData();
+  form.append('body', 'Plan attached');
+  form.append('attachments', new Blob(['%PDF-1.4'], { type: 'application/pdf' }), 'plan.pdf');
+  try {
+    const { status } = await app.request('POST', `/${lead._id}/notes`, form);
+    assert.strictEqual(status, 500);
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  assert.deepStrictEqual(destroyed, ['notes/plan']);
+});
+
+test('stores a spam label before training the model on it', async () => {
+  const [lead] = leads;
+  const order = [];
+  const save = Contact.collection.updateOne;
+  Contact.collection.updateOne = async (...args) => {
+    order.push('save');
+    return save(...args);
+  };
+  SpamModel.load = async () => ({ name: 'contact', spamDocs: 0, hamDocs: 0, features: {} });
+  SpamModel.train = async (features, label, delta) => { order.push(`train ${label} ${delta}`); };
+
+  const { status, body } = await app.request('PUT', `/${lead._id}/spam`, { isSpam: true });
+
+  assert.strictEqual(status, 200, body.message);
+  assert.strictEqual(order[0], 'save');
+  assert.strictEqual(order[1], 'train spam 1');
+  assert.strictEqual(writes[0].update.$set.spamLabel, 'spam');
+  assert.strictEqual(typeof writes.at(-1).update.$set.spamScore, 'number');
+});
+
+test('leaves the model alone when the label cannot be saved', async () => {
+  const [lead] = leads;
+  let trained = false;
+  SpamModel.train = async () => { trained = true; };
+  Contact.collection.updateOne = async () => { throw new Error('write failed'); };
+
+  const { status } = await app.request('PUT', `/${lead._id}/spam`, { isSpam: true });
+
+  assert.strictEqual(status, 500);
+  assert.strictEqual(trained, false);
+});
+
+test('changes the status of a stored lead, telling webhooks only its id', async () => {
+  const [lead] = leads;
+  const deliveries = [];
+  Webhook.find = () => ({ select: async () => [{ _id: new mongoose.Types.ObjectId() }] });
+  WebhookDelivery.insertMany = async (docs) => {
+    deliveries.push(...docs);
+    return docs;
+  };
+
+  const { status, body } = await app.request('PUT', `/${lead._id}`, { status: 'read' });
+  Webhook.find = () => ({ select: async () => [] });
+
+  assert.strictEqual(status, 200, body.message);
+  assert.strictEqual(writes[0].update.$set.status, 'read');
+
+  // Webhooks are queued after the save, without holding up the response
+  await new Promise(resolve => setImmediate(resolve));
+  const { event, data } = deliveries[0].getPayload();
+  assert.strictEqual(event, 'contact.status_changed');
+  assert.deepStrictEqual(data.contact.id, String(lead._id));
+  assert.deepStrictEqual([data.previousStatus, data.status], ['new', 'read']);
+  for (const field of ['name', 'email', 'phone', 'message']) {
+    assert.ok(!(field in data.contact), field);
+  }
+});
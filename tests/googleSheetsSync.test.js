@@ -0,0 +1,171 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { stubSettings, startServer } = require('./helpers');
+
+const SPREADSHEET_ID = 'test-spreadsheet-0123';
+
+let sheets;
+let status;
+let contacts;
+let Contact;
+let processSheetsSync;
+
+before(async () => {
+  sheets = await startServer((request) => {
+    if (status !== 200) {
+      return { status, body: { error: { code: status, message: 'Backend error' } } };
+    }
+    const { values } = JSON.parse(request.body);
+    return { body: { updates: { updatedRange: `'Leads'!A2:C${values.length + 1}` } } };
+  });
+  // Read when the Sheets client is first created, so set before anything syncs
+  process.env.GOOGLE_SHEETS_API_ROOT = `${sheets.url}/`;
+
+  Contact = require('../models/Contact');
+  ({ processSheetsSync } = require('../jobs/sheetsSync'));
+
+  // Queue kept in memory in place of the claim query
+  Contact.claimSheetsBatch = async (limit) => {
+    const now = new Date();
+    const due = contacts.filter(contact =>
+      ['pending', 'failed'].includes(contact.sheetsSync.status) && contact.sheetsSync.nextAttemptAt <= now
+    ).slice(0, limit);
+    due.forEach(contact => { contact.sheetsSync.status = 'syncing'; });
+    return due;
+  };
+  Contact.prototype.save = async function() { return this; };
+});
+
+after(() => sheets.close());
+
+beforeEach(() => {
+  status = 200;
+  contacts = [];
+  sheets.requests.length = 0;
+  stubSettings({
+    'integrations.googleSheets': {
+      enabled: true,
+      spreadsheetId: SPREADSHEET_ID,
+      sheetName: 'Leads',
+      columns: [
+        { field: 'email', header: 'Email' },
+        { field: 'name', header: 'Name' },
+        { field: 'budgetDisplay', header: 'Budget' }
+      ]
+    }
+  });
+});
+
+const addContact = ({ name, email, budget = '5k-10k' }) => {
+  const contact = new Contact({ name, email, message: 'Hello there, a new kitchen please', budget });
+  contact.setBlindIndexes();
+  contact.encryptSensitiveData();
+  contact.sheetsSync.status = 'pending';
+  contact.sheetsSync.nextAttemptAt = new Date();
+  contacts.push(contact);
+  return contact;
+};
+
+test('appends the mapped columns of each lead to the configured tab', async () => {
+  const first = addContact({ name: 'Asha Rao', email: 'asha@example.com' });
+  const second = addContact({ name: 'Ben Ode', email: 'ben@example.com', budget: '' });
+
+  await processSheetsSync();
+
+  assert.strictEqual(sheets.requests.length, 1);
+  const [request] = sheets.requests;
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(
+    decodeURIComponent(new URL(request.url, sheets.url).pathname),
+    `/v4/spreadsheets/${SPREADSHEET_ID}/values/'Leads'!A:C:append`
+  );
+  assert.strictEqual(new URL(request.url, sheets.url).searchParams.get('valueInputOption'), 'RAW');
+  assert.deepStrictEqual(JSON.parse(request.body).values, [
+    ['asha@example.com', 'Asha Rao', first.budgetDisplay],
+    ['ben@example.com', 'Ben Ode', 'N/A']
+  ]);
+
+  for (const contact of [first, second]) {
+    assert.strictEqual(contact.sheetsSync.status, 'synced');
+    assert.strictEqual(contact.sheetsSync.updatedRange, "'Leads'!A2:C3");
+  }
+});
+
+test('backs off after a failed append and succeeds on retry', async () => {
+  const contact = addContact({ name: 'Asha Rao', email: 'asha@example.com' });
+
+  status = 500;
+  const failedAt = Date.now();
+  await processSheetsSync();
+
+  assert.ok(sheets.requests.length >= 1);
+  assert.strictEqual(contact.sheetsSync.status, 'failed');
+  assert.strictEqual(contact.sheetsSync.attempts, 1);
+  assert.ok(contact.sheetsSync.lastError);
+  assert.ok(contact.sheetsSync.nextAttemptAt.getTime() > failedAt);
+
+  // Not due yet, so nothing is sent
+  const sent = sheets.requests.length;
+  await processSheetsSync();
+  assert.strictEqual(sheets.requests.length, sent);
+
+  status = 200;
+  contact.sheetsSync.nextAttemptAt = new Date(Date.now() - 1000);
+  await processSheetsSync();
+
+  assert.strictEqual(sheets.requests.length, sent + 1);
+  assert.strictEqual(contact.sheetsSync.status, 'synced');
+  assert.strictEqual(contact.sheetsSync.attempts, 2);
+  assert.strictEqual(contact.sheetsSync.lastError, null);
+  assert.strictEqual(contact.sheetsSync.updatedRange, "'Leads'!A2:C2");
+});
+
+test('does nothing while the integration is disabled', async () => {
+  stubSettings({ 'integrations.googleSheets': { enabled: false, spreadsheetId: SPREADSHEET_ID, sheetName: 'Leads', columns: [{ field: 'email' }] } });
+  const contact = addContact({ name: 'Asha Rao', email: 'asha@example.com' });
+
+  await processSheetsSync();
+
+  assert.strictEqual(sheets.requests.length, 0);
+  assert.strictEqual(contact.sheetsSync.status, 'pending');
+});
+
+test('backfill requeues unsynced leads, and pre-tracking leads only from the cutoff', async () => {
+  const calls = [];
+  Contact.updateMany = async (filter, update) => {
+    calls.push({ filter, update });
+    return { modifiedCount: 3 };
+  };
+
+  assert.strictEqual(await Contact.queueSheetsBackfill(), 3);
+  const since = new Date('2026-01-01T00:00:00Z');
+  await Contact.queueSheetsBackfill({ legacySince: since });
+
+  const [plain, withCutoff] = calls;
+  assert.strictEqual(plain.filter.isSpam, false);
+  assert.deepStrictEqual(plain.filter.$or, [{ 'sheetsSync.status': { $in: ['pending', 'failed', 'skipped'] } }]);
+  assert.deepStrictEqual(withCutoff.filter.$or[1], { 'sheetsSync.status': null, createdAt: { $gte: since } });
+
+  assert.strictEqual(plain.update['sheetsSync.status'], 'pending');
+  assert.strictEqual(plain.update['sheetsSync.attempts'], 0);
+  assert.ok(plain.update['sheetsSync.nextAttemptAt'] <= new Date());
+});
+
+test('clearing a spam label only requeues leads the sync held back', () => {
+  const lead = (sheetsSync, isSpam) => new Contact({ message: 'Hello there', isSpam, sheetsSync });
+
+  const skipped = lead({ status: 'skipped' }, true);
+  skipped.isSpam = false;
+  skipped.updateSheetsSyncForSpam(true);
+  assert.strictEqual(skipped.sheetsSync.status, 'pending');
+
+  // From before sync tracking: spam was never appended, ham already was
+  const oldSpam = lead({ status: null }, true);
+  oldSpam.isSpam = false;
+  oldSpam.updateSheetsSyncForSpam(true);
+  assert.strictEqual(oldSpam.sheetsSync.status, 'pending');
+
+  const oldHam = lead({ status: null }, false);
+  oldHam.updateSheetsSyncForSpam(false);
+  assert.strictEqual(oldHam.sheetsSync.status, null);
+});
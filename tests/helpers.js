@@ -0,0 +1,136 @@
+// Shared setup for the node:test suites. There is no database in the tests:
+// model statics that would query MongoDB are replaced per test.
+const http = require('http');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.DATA_ENCRYPTION_KEYS = process.env.DATA_ENCRYPTION_KEYS || `1:${'a'.repeat(64)}`;
+process.env.BLIND_INDEX_KEY = process.env.BLIND_INDEX_KEY || 'test-blind-index-key';
+
+const mongoose = require('mongoose');
+const express = require('express');
+const Setting = require('../models/Setting');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { generateToken } = require('../utils/tokens');
+const { errorHandler } = require('../middleware/errorHandler');
+
+// Queries that aren't stubbed fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// Keep runtime settings in memory
+const stubSettings = (values = {}) => {
+  const store = new Map(Object.entries(values));
+  Setting.getValue = async (key, defaultValue = null) => (store.has(key) ? store.get(key) : defaultValue);
+  Setting.setValue = async (key, value) => {
+    store.set(key, value);
+    return { key, value };
+  };
+  return store;
+};
+
+// Local HTTP server recording every request. `respond(req, body)` returns
+// { status, body } for each one.
+const startServer = (respond) => new Promise(resolve => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body };
+      requests.push(request);
+      const { status = 200, body: responseBody = {} } = respond(request, requests.length) || {};
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(typeof responseBody === 'string' ? responseBody : JSON.stringify(responseBody));
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      server,
+      requests,
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+// Document as loaded from the database, e.g. a contact in its encrypted form
+const hydrateStored = (doc) => doc.constructor.hydrate(doc.toObject());
+
+// Record writes to a model's collection and report them as applied
+const stubWrites = (Model) => {
+  const writes = [];
+  ['insertOne', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany'].forEach(method => {
+    Model.collection[method] = async (filter, update) => {
+      writes.push({ method, filter, update });
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1, deletedCount: 1, insertedId: filter && filter._id };
+    };
+  });
+  return writes;
+};
+
+// Staff user the route tests act as
+const createStaffUser = (fields = {}) => new User({
+  username: 'staff',
+  email: 'staff@example.com',
+  password: 'Password123!',
+  role: 'admin',
+  emailVerified: true,
+  isActive: true,
+  ...fields
+});
+
+// Serve a router at `path` with the error handler. Requests are authenticated
+// as `user` through a stubbed session. `User.findById` finds `user` and anyone
+// passed to `addUser`.
+const startApp = async (path, router, user) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const users = new Map([[String(user._id), user]]);
+  Session.findById = async () => ({ isActive: true, user: user._id, touch: async () => {} });
+  User.findById = (id) => {
+    const found = users.get(String(id)) || null;
+    return { select: async () => found, then: (resolve, reject) => Promise.resolve(found).then(resolve, reject) };
+  };
+  stubWrites(AuditLog);
+
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}${path}`;
+  const token = generateToken(user._id, sessionId);
+
+  // Request as the user, resolves to { status, body }. The body is sent as
+  // JSON unless it is FormData.
+  const request = async (method, route, body) => {
+    const isForm = body instanceof FormData;
+    const res = await fetch(`${url}${route}`, {
+      method,
+      headers: {
+        ...(!isForm && { 'Content-Type': 'application/json' }),
+        Authorization: `Bearer ${token}`
+      },
+      ...(body !== undefined && { body: isForm ? body : JSON.stringify(body) })
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  return {
+    request,
+    addUser: (other) => users.set(String(other._id), other),
+    close: () => new Promise(done => server.close(done))
+  };
+};
+
+module.exports = {
+  stubSettings,
+  startServer,
+  hydrateStored,
+  stubWrites,
+  createStaffUser,
+  startApp
+};
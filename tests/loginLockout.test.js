@@ -0,0 +1,75 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createStaffUser, startApp } = require('./helpers');
+const User = require('../models/User');
+const { generateChallengeToken } = require('../utils/tokens');
+const twoFactorRoutes = require('../routes/twoFactor');
+
+// Stored copy of the user, updated the way MongoDB would apply the operators
+let stored;
+User.findOneAndUpdate = async (filter, update) => {
+  if (filter.failedLoginAttempts !== undefined && filter.failedLoginAttempts !== stored.failedLoginAttempts) {
+    return null;
+  }
+  Object.assign(stored, update.$set);
+  Object.entries(update.$inc || {}).forEach(([field, amount]) => { stored[field] += amount; });
+  return { ...stored };
+};
+
+beforeEach(() => {
+  stored = { failedLoginAttempts: 0, lockLevel: 0, lockUntil: null };
+});
+
+const newUser = () => new User({ username: 'asha', email: 'asha@example.com', password: 'secret123' });
+
+test('locks the account once the limit is reached', async () => {
+  const user = newUser();
+  for (let attempt = 1; attempt < 5; attempt++) {
+    await user.registerFailedLogin();
+    assert.strictEqual(user.isLocked, false);
+  }
+  await user.registerFailedLogin();
+
+  assert.strictEqual(user.isLocked, true);
+  assert.strictEqual(stored.failedLoginAttempts, 0);
+  assert.strictEqual(stored.lockLevel, 1);
+  assert.ok(Math.abs(stored.lockUntil - Date.now() - 15 * 60 * 1000) < 5000);
+});
+
+test('parallel failures from stale copies are all counted', async () => {
+  // Each request loaded the user before any of them failed
+  const copies = Array.from({ length: 5 }, newUser);
+  await Promise.all(copies.map(copy => copy.registerFailedLogin()));
+
+  assert.strictEqual(stored.lockLevel, 1);
+  assert.ok(stored.lockUntil > new Date());
+});
+
+test('repeat lockouts last longer', async () => {
+  stored.lockLevel = 2;
+  stored.failedLoginAttempts = 4;
+  await newUser().registerFailedLogin();
+
+  assert.ok(Math.abs(stored.lockUntil - Date.now() - 60 * 60 * 1000) < 5000);
+});
+
+test('a locked account gets the wrong-code answer at the 2FA step', async () => {
+  const user = createStaffUser({ lockUntil: new Date(Date.now() + 15 * 60 * 1000) });
+  user.twoFactor.enabled = true;
+  const app = await startApp('/api/auth/2fa', twoFactorRoutes, user);
+
+  try {
+    const { status, body } = await app.request('POST', '/login', {
+      challengeToken: generateChallengeToken(user._id, '2fa'),
+      code: '123456'
+    });
+
+    assert.strictEqual(status, 401);
+    assert.strictEqual(body.message, 'Invalid verification code');
+    assert.ok(!('lockUntil' in body));
+    // Turned away before the code was checked
+    assert.strictEqual(stored.failedLoginAttempts, 0);
+  } finally {
+    await app.close();
+  }
+});
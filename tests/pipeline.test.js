@@ -0,0 +1,73 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { stubSettings, hydrateStored, stubWrites, createStaffUser, startApp } = require('./helpers');
+const Contact = require('../models/Contact');
+const pipelineRoutes = require('../routes/pipeline');
+
+let app;
+let stored;
+let writes;
+
+before(async () => {
+  // Superadmin, so the stage settings can be edited too
+  app = await startApp('/api/admin/pipeline', pipelineRoutes, createStaffUser({ role: 'superadmin' }));
+  Contact.findById = async () => hydrateStored(stored);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  stubSettings();
+  writes = stubWrites(Contact);
+  stored = new Contact({
+    name: 'Asha Rao',
+    email: 'asha@example.com',
+    message: 'Hello there, a new kitchen please',
+    ipAddress: '203.0.113.5',
+    userAgent: 'test'
+  });
+  stored.setBlindIndexes();
+  stored.encryptSensitiveData();
+});
+
+test('a stored lead still fails full validation on its placeholders', async () => {
+  await assert.rejects(hydrateStored(stored).validate(), error => 'email' in error.errors);
+});
+
+test('moves a stored lead to another stage', async () => {
+  const { status, body } = await app.request('PUT', `/${stored._id}/stage`, { stage: 'qualified', note: 'Called' });
+
+  assert.strictEqual(status, 200, body.message);
+  assert.strictEqual(body.data.stage, 'qualified');
+  assert.strictEqual(body.data.email, 'asha@example.com');
+
+  const [write] = writes.filter(entry => entry.method === 'updateOne');
+  assert.strictEqual(write.update.$set.stage, 'qualified');
+  assert.ok(!('email' in write.update.$set));
+});
+
+test('updates a stored lead, still validating the edited fields', async () => {
+  const ok = await app.request('PUT', `/${stored._id}`, { expectedValue: 25000 });
+  assert.strictEqual(ok.status, 200, ok.body.message);
+  assert.strictEqual(ok.body.data.expectedValue, 25000);
+
+  const invalid = await app.request('PUT', `/${stored._id}`, { expectedValue: -5 });
+  assert.strictEqual(invalid.status, 400);
+  assert.match(invalid.body.message, /cannot be negative/);
+});
+
+test('rejects stage settings that are not a list', async () => {
+  for (const stages of [undefined, 'new', { key: 'new' }]) {
+    const { status, body } = await app.request('PUT', '/stages', { stages });
+    assert.strictEqual(status, 400, JSON.stringify(stages));
+    assert.strictEqual(body.message, 'stages must be an array');
+  }
+});
+
+test('rejects board dates that are not dates', async () => {
+  for (const range of ['from=yesterday', 'to=2026-13-45', 'from=2026-01-01&to=soon']) {
+    const { status, body } = await app.request('GET', `/board?${range}`);
+    assert.strictEqual(status, 400, range);
+    assert.strictEqual(body.message, 'from and to must be dates');
+  }
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { hydrateStored, stubWrites } = require('./helpers');
+const Contact = require('../models/Contact');
+const { payloadKeyVersion, decryptJson } = require('../utils/encryption');
+const { migrate } = require('../scripts/reencryptData');
+
+const OLD_KEYS = process.env.DATA_ENCRYPTION_KEYS;
+
+// Query whose cursor yields `docs`, in place of Model.find(...).select(...).cursor()
+const stubFind = (Model, docs) => {
+  Model.find = () => ({
+    select: () => ({
+      cursor: () => {
+        const queue = [...docs];
+        return { next: async () => queue.shift() || null };
+      }
+    })
+  });
+};
+
+test('re-encrypts a stored contact with the current key', async () => {
+  process.env.DATA_ENCRYPTION_KEYS = OLD_KEYS;
+  const lead = new Contact({
+    name: 'Asha Rao',
+    email: 'asha@example.com',
+    message: 'Hello there, a new kitchen please',
+    ipAddress: '203.0.113.5',
+    userAgent: 'test'
+  });
+  lead.setBlindIndexes();
+  lead.encryptSensitiveData();
+  const stored = hydrateStored(lead);
+
+  process.env.DATA_ENCRYPTION_KEYS = `${OLD_KEYS},2:${'b'.repeat(64)}`;
+  stubFind(Contact, [stored]);
+  const writes = stubWrites(Contact);
+
+  try {
+    assert.strictEqual(await migrate(Contact, {}, 'Contacts'), 0);
+
+    const [write] = writes;
+    assert.strictEqual(write.update.$set.encryptionKeyVersion, 2);
+    assert.strictEqual(payloadKeyVersion(write.update.$set.encryptedData), 2);
+    assert.strictEqual(decryptJson(write.update.$set.encryptedData).email, 'asha@example.com');
+    assert.ok(!('email' in write.update.$set));
+  } finally {
+    process.env.DATA_ENCRYPTION_KEYS = OLD_KEYS;
+  }
+});
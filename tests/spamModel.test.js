@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const SpamModel = require('../models/SpamModel');
+
+// Model document kept in memory in place of the queries
+const stubModel = (features) => {
+  const updates = [];
+  SpamModel.aggregate = async () => [{ size: Object.keys(features).length }];
+  SpamModel.findOne = () => ({ select: () => ({ lean: async () => ({ features }) }) });
+  SpamModel.updateOne = async (filter, update) => {
+    updates.push(update);
+  };
+  return updates;
+};
+
+test('drops the rarest features once over the cap, keeping rule features', async () => {
+  const features = {
+    'rule:caps': { spam: 0, ham: 0 },
+    'word:kitchen': { spam: 1, ham: 40 },
+    'word:casino': { spam: 30, ham: 0 },
+    'word:xyzzy': { spam: 1, ham: 0 },
+    'word:renovate': { spam: 0, ham: 3 },
+    'word:unlabelled': { spam: 0, ham: 0 }
+  };
+  const updates = stubModel(features);
+
+  // 6 features, cap 5: prune back to 4
+  assert.strictEqual(await SpamModel.prune('contact', 5), 2);
+  assert.deepStrictEqual(Object.keys(updates[0].$unset).sort(), ['features.word:unlabelled', 'features.word:xyzzy']);
+});
+
+test('leaves the model alone under the cap', async () => {
+  const updates = stubModel({ 'word:kitchen': { spam: 1, ham: 40 } });
+
+  assert.strictEqual(await SpamModel.prune('contact', 5), 0);
+  assert.strictEqual(updates.length, 0);
+});
+
+test('training checks the cap after counting', async () => {
+  const updates = stubModel({ 'word:kitchen': { spam: 1, ham: 40 } });
+  let pruned = false;
+  const prune = SpamModel.prune;
+  SpamModel.prune = async () => { pruned = true; return 0; };
+
+  await SpamModel.train(['word:kitchen'], 'ham', 1);
+  SpamModel.prune = prune;
+
+  assert.deepStrictEqual(updates[0].$inc, { hamDocs: 1, 'features.word:kitchen.ham': 1 });
+  assert.strictEqual(pruned, true);
+});
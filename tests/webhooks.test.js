@@ -0,0 +1,154 @@
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { startServer } = require('./helpers');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { encryptJson } = require('../utils/encryption');
+const { isPrivateAddress, checkWebhookUrl } = require('../utils/webhookRequest');
+const { processWebhooks } = require('../jobs/webhookWorker');
+
+describe('webhook URL checks', () => {
+  afterEach(() => {
+    delete process.env.NODE_ENV;
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+  });
+
+  test('private, loopback and link-local addresses are blocked', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.5.4', '192.168.0.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:7f00:1']
+      .forEach(address => assert.strictEqual(isPrivateAddress(address), true, address));
+    ['8.8.8.8', '93.184.216.34', '2606:4700:4700::1111']
+      .forEach(address => assert.strictEqual(isPrivateAddress(address), false, address));
+  });
+
+  test('rejects URLs that resolve to internal targets', async () => {
+    assert.match(await checkWebhookUrl('http://169.254.169.254/latest/meta-data/'), /private or local/);
+    assert.match(await checkWebhookUrl('http://localhost:8080/hook'), /private or local/);
+    assert.match(await checkWebhookUrl('https://[::1]/hook'), /private or local/);
+    assert.match(await checkWebhookUrl('ftp://example.com/hook'), /http\(s\) URL/);
+    assert.match(await checkWebhookUrl('not a url'), /http\(s\) URL/);
+    assert.strictEqual(await checkWebhookUrl('https://93.184.216.34/hook'), null);
+  });
+
+  test('requires https in production', async () => {
+    process.env.NODE_ENV = 'production';
+    assert.strictEqual(await checkWebhookUrl('http://93.184.216.34/hook'), 'Webhook URL must use https');
+    assert.strictEqual(await checkWebhookUrl('https://93.184.216.34/hook'), null);
+  });
+});
+
+describe('webhook delivery', () => {
+  let receiver;
+  let status;
+  let webhook;
+  let secret;
+  let deliveries;
+
+  before(async () => {
+    receiver = await startServer(() => ({ status, body: status === 200 ? 'ok' : 'unavailable' }));
+
+    // Due deliveries and webhooks kept in memory in place of the queries
+    WebhookDelivery.claimNext = async () => {
+      const delivery = deliveries.find(item => item.status === 'pending' && item.nextAttemptAt <= new Date());
+      if (delivery) delivery.status = 'delivering';
+      return delivery || null;
+    };
+    WebhookDelivery.prototype.save = async function() { return this; };
+    Webhook.findById = () => ({ select: async () => webhook });
+  });
+
+  after(() => receiver.close());
+
+  beforeEach(() => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+    status = 200;
+    receiver.requests.length = 0;
+    secret = `whsec_${crypto.randomBytes(32).toString('hex')}`;
+    webhook = new Webhook({
+      name: 'CRM',
+      url: `${receiver.url}/hooks/leads`,
+      events: ['contact.created'],
+      encryptedSecret: encryptJson(secret)
+    });
+    deliveries = [];
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+  });
+
+  const queue = (data) => {
+    const delivery = new WebhookDelivery({ webhook: webhook._id, event: 'contact.created', eventId: `evt_${crypto.randomUUID()}` });
+    delivery.setPayload({ id: delivery.eventId, event: 'contact.created', createdAt: new Date().toISOString(), data });
+    deliveries.push(delivery);
+    return delivery;
+  };
+
+  test('signs the body so the receiver can verify it', async () => {
+    const delivery = queue({ contactId: 'abc123' });
+
+    await processWebhooks();
+
+    assert.strictEqual(receiver.requests.length, 1);
+    const [request] = receiver.requests;
+    assert.strictEqual(request.url, '/hooks/leads');
+    assert.strictEqual(request.headers['x-webhook-event'], 'contact.created');
+    assert.strictEqual(request.headers['x-webhook-id'], delivery.eventId);
+    assert.strictEqual(JSON.parse(request.body).data.contactId, 'abc123');
+
+    const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(request.headers['x-webhook-signature']);
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${request.body}`).digest('hex');
+    assert.strictEqual(signature, expected);
+
+    assert.strictEqual(delivery.status, 'delivered');
+    assert.strictEqual(delivery.attemptLog[0].statusCode, 200);
+  });
+
+  test('retries with backoff after a failed attempt', async () => {
+    const delivery = queue({ contactId: 'abc123' });
+
+    status = 503;
+    await processWebhooks();
+
+    assert.strictEqual(receiver.requests.length, 1);
+    assert.strictEqual(delivery.status, 'pending');
+    assert.strictEqual(delivery.attempts, 1);
+    assert.strictEqual(delivery.lastError, 'Receiver responded with 503');
+    assert.strictEqual(delivery.attemptLog[0].response, 'unavailable');
+    assert.ok(delivery.nextAttemptAt > new Date());
+
+    status = 200;
+    delivery.nextAttemptAt = new Date(Date.now() - 1000);
+    await processWebhooks();
+
+    assert.strictEqual(receiver.requests.length, 2);
+    // Same event and payload on every attempt, so receivers can dedupe
+    assert.strictEqual(receiver.requests[1].headers['x-webhook-id'], receiver.requests[0].headers['x-webhook-id']);
+    assert.strictEqual(receiver.requests[1].body, receiver.requests[0].body);
+    assert.strictEqual(delivery.status, 'delivered');
+    assert.strictEqual(delivery.attempts, 2);
+  });
+
+  test('gives up after the last attempt', async () => {
+    const delivery = queue({ contactId: 'abc123' });
+    delivery.maxAttempts = 1;
+
+    status = 500;
+    await processWebhooks();
+
+    assert.strictEqual(delivery.status, 'failed');
+    assert.strictEqual(delivery.attempts, 1);
+  });
+
+  test('refuses to deliver to a local address unless allowed', async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    const delivery = queue({ contactId: 'abc123' });
+
+    await processWebhooks();
+
+    assert.strictEqual(receiver.requests.length, 0);
+    assert.strictEqual(delivery.status, 'pending');
+    assert.match(delivery.lastError, /private or local/);
+  });
+});
@@ -0,0 +1,77 @@
+const AuditLog = require('../models/AuditLog');
+
+// Fields never copied into the audit trail
+const SENSITIVE_FIELDS = [
+  'password',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'emailVerificationToken',
+  'twoFactor',
+  'refreshTokenHash',
+  'previousTokenHashes',
+  'tokenHash',
+  'secretHash',
+  'encryptedData',
+  'encryptedSecret',
+  'encryptedPayload'
+];
+
+const IGNORED_FIELDS = ['updatedAt', '__v'];
+
+// Plain-object copy of a document (or value) with secrets removed
+const snapshot = (value) => {
+  if (!value) return null;
+  const plain = typeof value.toObject === 'function'
+    ? value.toObject({ depopulate: true })
+    : JSON.parse(JSON.stringify(value));
+
+  if (typeof plain !== 'object' || Array.isArray(plain)) return plain;
+
+  SENSITIVE_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+};
+
+// Reduce two snapshots to the top-level fields that differ
+const diff = (before, after) => {
+  if (!before || !after) {
+    return { before, after };
+  }
+
+  const changes = { before: {}, after: {} };
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach(key => {
+    if (IGNORED_FIELDS.includes(key)) return;
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes.before[key] = before[key];
+      changes.after[key] = after[key];
+    }
+  });
+
+  return changes;
+};
+
+// Record an audit entry for the current request.
+// Never throws: a failed audit write must not fail the action itself.
+const recordAudit = (req, action, { targetModel, targetId, before, after, metadata, actor } = {}) => {
+  const changes = diff(snapshot(before), snapshot(after));
+
+  return AuditLog.create({
+    actor: actor || req.user?._id || null,
+    apiKey: req.apiKey?._id || null,
+    action,
+    targetModel: targetModel || null,
+    targetId: targetId !== undefined && targetId !== null ? String(targetId) : null,
+    changes,
+    metadata: metadata || null,
+    ipAddress: req.ip || req.connection?.remoteAddress || null,
+    userAgent: req.get('User-Agent') || null
+  }).catch(error => {
+    console.error('Audit log write failed:', error.message);
+  });
+};
+
+module.exports = {
+  recordAudit,
+  snapshot
+};
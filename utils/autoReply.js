@@ -0,0 +1,127 @@
+const { SETTINGS, getSetting, setSetting } = require('../config/settings');
+const { queueTemplatedMail } = require('./emailTemplates');
+
+// Services a template can be set for; `default` covers the rest
+const TEMPLATE_KEYS = ['default', 'residential', 'commercial', 'kitchen-bath', 'furniture', 'consultation'];
+const SUBJECT_MAX_LENGTH = 200;
+const BODY_MAX_LENGTH = 5000;
+// The only placeholder; replies never repeat what the visitor typed
+const PLACEHOLDERS = ['service'];
+// Stricter than the spam flag: a doubtful submission gets no reply, so the
+// form can't be used to send mail to someone else's address
+const MAX_SPAM_SCORE = parseFloat(process.env.AUTO_REPLY_MAX_SPAM_SCORE) || 0.5;
+
+// Stored config, with the default template filled in if it was removed
+const getAutoReplyConfig = async () => {
+  const config = await getSetting('autoReply');
+  return {
+    enabled: config.enabled !== false,
+    templates: {
+      default: SETTINGS.autoReply.default.templates.default,
+      ...config.templates
+    }
+  };
+};
+
+// Check a proposed config, returns an error message or null
+const validateAutoReplyConfig = ({ enabled, templates }) => {
+  if (typeof enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    return 'templates must be an object keyed by service';
+  }
+
+  for (const [key, template] of Object.entries(templates)) {
+    if (!TEMPLATE_KEYS.includes(key)) {
+      return `Unknown service for template: ${key}`;
+    }
+    if (!template || typeof template.subject !== 'string' || !template.subject.trim()) {
+      return `Template ${key} needs a subject`;
+    }
+    if (typeof template.body !== 'string' || !template.body.trim()) {
+      return `Template ${key} needs a body`;
+    }
+    if (template.subject.length > SUBJECT_MAX_LENGTH || template.body.length > BODY_MAX_LENGTH) {
+      return `Template ${key} is too long`;
+    }
+    const unknown = [...`${template.subject} ${template.body}`.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+      .map(([, name]) => name)
+      .find(name => !PLACEHOLDERS.includes(name));
+    if (unknown) {
+      return `Template ${key}: {{${unknown}}} is not available, use {{${PLACEHOLDERS.join('}}, {{')}}}`;
+    }
+    if (template.enabled !== undefined && typeof template.enabled !== 'boolean') {
+      return `Template ${key}: enabled must be true or false`;
+    }
+  }
+
+  if (!templates.default) {
+    return 'A default template is required';
+  }
+
+  return null;
+};
+
+const saveAutoReplyConfig = ({ enabled, templates }, userId) => {
+  const cleaned = {};
+  Object.entries(templates).forEach(([key, template]) => {
+    cleaned[key] = {
+      subject: template.subject.trim(),
+      body: template.body.trim(),
+      enabled: template.enabled !== false
+    };
+  });
+  return setSetting('autoReply', { enabled, templates: cleaned }, userId);
+};
+
+// Fill {{placeholders}}; unknown ones are left as-is
+const fillPlaceholders = (text, values) =>
+  text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+
+// Subject and plain-text body for a submission, or null if no reply should go out.
+// The email itself is rendered from the `auto_reply` template.
+const renderAutoReply = (config, contact) => {
+  if (!config.enabled) return null;
+
+  const template = config.templates[contact.service] || config.templates.default;
+  if (!template || template.enabled === false) return null;
+
+  const values = {
+    service: contact.serviceDisplay || 'your project',
+    // Templates saved when names were still filled in ("Hi {{firstName}},")
+    name: 'there',
+    firstName: 'there'
+  };
+
+  return {
+    subject: fillPlaceholders(template.subject, values).replace(/[\r\n]+/g, ' '),
+    body: fillPlaceholders(template.body, values)
+  };
+};
+
+// Acknowledge a contact form submission. Spam, or anything close to it,
+// never gets a reply. Resolves to the queued outbox message, or null if none was sent.
+const sendAutoReply = async (contact) => {
+  if (contact.isSpam || contact.spamScore >= MAX_SPAM_SCORE) return null;
+
+  const reply = renderAutoReply(await getAutoReplyConfig(), contact);
+  if (!reply) return null;
+
+  return queueTemplatedMail('auto_reply', reply, {
+    to: contact.email,
+    replyTo: process.env.EMAIL_REPLY_TO || process.env.EMAIL_USER
+  }, {
+    relatedId: contact._id,
+    relatedModel: 'Contact'
+  });
+};
+
+module.exports = {
+  TEMPLATE_KEYS,
+  getAutoReplyConfig,
+  validateAutoReplyConfig,
+  saveAutoReplyConfig,
+  renderAutoReply,
+  sendAutoReply
+};
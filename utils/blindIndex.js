@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Keyed hash of a normalised value, so encrypted fields can still be
+// matched exactly without storing them in the clear.
+//
+// BLIND_INDEX_KEY is required in production. Elsewhere a key derived from
+// JWT_SECRET stands in; after setting a real key, rebuild the indexes with
+// scripts/backfillBlindIndexes.js --all.
+let warned = false;
+const getBlindIndexKey = () => {
+  if (process.env.BLIND_INDEX_KEY) return process.env.BLIND_INDEX_KEY;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('BLIND_INDEX_KEY must be set in production');
+  }
+  if (!warned) {
+    warned = true;
+    console.log('⚠️ BLIND_INDEX_KEY not set, indexing with a key derived from JWT_SECRET');
+  }
+  return `blind-index:${process.env.JWT_SECRET}`;
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Digits only, and only the last 10 so "+91 98765 43210" matches "098765-43210"
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+// Lowercase words of 2+ letters/digits, accents stripped
+const tokenizeName = (name) => [...new Set(
+  (String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]{2,}/gu) || [])
+)];
+
+const blindIndex = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  return crypto.createHmac('sha256', getBlindIndexKey()).update(String(value)).digest('hex');
+};
+
+const emailIndex = (email) => blindIndex(normalizeEmail(email) || null);
+
+const phoneIndex = (phone) => blindIndex(normalizePhone(phone) || null);
+
+const nameTokenIndexes = (name) => tokenizeName(name).map(token => blindIndex(`name:${token}`));
+
+module.exports = {
+  getBlindIndexKey,
+  blindIndex,
+  emailIndex,
+  phoneIndex,
+  nameTokenIndexes,
+  normalizeEmail,
+  normalizePhone,
+  tokenizeName
+};
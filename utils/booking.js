@@ -0,0 +1,236 @@
+const Availability = require('../models/Availability');
+const Booking = require('../models/Booking');
+const Contact = require('../models/Contact');
+const { SETTINGS, getSetting, setSetting } = require('../config/settings');
+const { fromAddress, clientUrl } = require('../config/email');
+const { queueTemplatedMail } = require('./emailTemplates');
+const { icsAttachment } = require('./ics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Services a slot length can be set for; `default` covers the rest
+const DURATION_KEYS = ['default', ...Contact.schema.path('service').enumValues.filter(Boolean)];
+
+// Stored config, with the default duration filled in if it was removed
+const getBookingConfig = async () => {
+  const config = await getSetting('booking');
+  return {
+    ...SETTINGS.booking.default,
+    ...config,
+    durations: {
+      default: SETTINGS.booking.default.durations.default,
+      ...config.durations
+    }
+  };
+};
+
+const isWholeNumber = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Check a proposed config, returns an error message or null
+const validateBookingConfig = ({ enabled, durations, minNoticeHours, maxDaysAhead, reminderHours, location }) => {
+  if (typeof enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  if (!durations || typeof durations !== 'object' || Array.isArray(durations) || !durations.default) {
+    return 'durations must be an object keyed by service, with a default';
+  }
+  for (const [key, minutes] of Object.entries(durations)) {
+    if (!DURATION_KEYS.includes(key)) {
+      return `Unknown service for duration: ${key}`;
+    }
+    if (!isWholeNumber(minutes, 15, 480) || minutes % 15 !== 0) {
+      return `Duration for ${key} must be 15 to 480 minutes, in steps of 15`;
+    }
+  }
+  if (!isWholeNumber(minNoticeHours, 0, 720)) {
+    return 'minNoticeHours must be a whole number from 0 to 720';
+  }
+  if (!isWholeNumber(maxDaysAhead, 1, 365)) {
+    return 'maxDaysAhead must be a whole number from 1 to 365';
+  }
+  if (!isWholeNumber(reminderHours, 0, 168)) {
+    return 'reminderHours must be a whole number from 0 to 168';
+  }
+  if (typeof location !== 'string' || location.length > 300) {
+    return 'location must be a string of up to 300 characters';
+  }
+  return null;
+};
+
+const saveBookingConfig = ({ enabled, durations, minNoticeHours, maxDaysAhead, reminderHours, location }, userId) =>
+  setSetting('booking', { enabled, durations, minNoticeHours, maxDaysAhead, reminderHours, location: location.trim() }, userId);
+
+// Slot length in minutes for a service
+const durationFor = (config, service) => config.durations[service] || config.durations.default;
+
+// Minutes `timeZone` is ahead of UTC at an instant
+const zoneOffsetMinutes = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return Math.round((asUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+};
+
+// Instant of a local date (YYYY-MM-DD) plus minutes from midnight in `timeZone`
+const zonedTime = (date, minutes, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = zoneOffsetMinutes(new Date(wallClock), timeZone);
+  // Re-check the offset at the result in case a DST change lies in between
+  const corrected = zoneOffsetMinutes(new Date(wallClock - offset * 60000), timeZone);
+  return new Date(wallClock - corrected * 60000);
+};
+
+// Local date (YYYY-MM-DD) of an instant in `timeZone`
+const localDate = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+// Local dates from `from` to `to`, inclusive
+const localDates = (from, to, timeZone) => {
+  const dates = [];
+  const last = localDate(to, timeZone);
+  for (let date = localDate(from, timeZone); date <= last;) {
+    dates.push(date);
+    date = new Date(new Date(`${date}T00:00:00Z`).getTime() + DAY_MS).toISOString().slice(0, 10);
+  }
+  return dates;
+};
+
+// Free slots for a service starting in [from, to), earliest first. Visitors
+// are held to the notice and booking horizon settings; admins rescheduling
+// pass `ignoreLimits`. `excludeBookingId` frees that booking's own time.
+const listFreeSlots = async ({ service, from, to, designerId = null, excludeBookingId = null, ignoreLimits = false }) => {
+  const config = await getBookingConfig();
+  const duration = durationFor(config, service);
+  const now = Date.now();
+
+  const rangeStart = new Date(ignoreLimits ? from.getTime() : Math.max(from.getTime(), now + config.minNoticeHours * 60 * 60 * 1000));
+  const rangeEnd = new Date(ignoreLimits ? to.getTime() : Math.min(to.getTime(), now + config.maxDaysAhead * DAY_MS));
+  if (rangeEnd <= rangeStart) return [];
+
+  const availabilities = (await Availability.find({ isActive: true, ...(designerId && { user: designerId }) })
+    .populate('user', 'isActive'))
+    .filter(availability => availability.user && availability.user.isActive && availability.offers(service));
+  if (availabilities.length === 0) return [];
+
+  const bookings = await Booking.find({
+    status: 'confirmed',
+    designer: { $in: availabilities.map(availability => availability.user._id) },
+    startAt: { $lt: new Date(rangeEnd.getTime() + DAY_MS) },
+    endAt: { $gt: rangeStart },
+    ...(excludeBookingId && { _id: { $ne: excludeBookingId } })
+  }).select('designer startAt endAt');
+
+  const slots = [];
+  availabilities.forEach(availability => {
+    const { user, timezone } = availability;
+    const busy = bookings.filter(booking => booking.designer.equals(user._id));
+
+    localDates(rangeStart, rangeEnd, timezone)
+      .filter(date => !availability.isBlackedOut(date))
+      .forEach(date => availability.hoursOn(date).forEach(hours => {
+        for (let minute = hours.start; minute + duration <= hours.end; minute += duration) {
+          const startAt = zonedTime(date, minute, timezone);
+          const endAt = new Date(startAt.getTime() + duration * 60000);
+          if (startAt < rangeStart || startAt >= rangeEnd) continue;
+          if (busy.some(booking => booking.startAt < endAt && booking.endAt > startAt)) continue;
+
+          slots.push({ startAt, endAt, designer: user._id, designerName: availability.displayName, timezone });
+        }
+      }));
+  });
+
+  return slots.sort((a, b) => a.startAt - b.startAt || String(a.designer).localeCompare(String(b.designer)));
+};
+
+// Free slots starting exactly at `startAt`, one per designer
+const findSlots = (options) => listFreeSlots({
+  ...options,
+  from: options.startAt,
+  to: new Date(options.startAt.getTime() + 1)
+}).then(slots => slots.filter(slot => slot.startAt.getTime() === options.startAt.getTime()));
+
+// Whether a booking starts too soon for a separate reminder (or reminders are
+// off), in which case the confirmation is all the visitor gets
+const isInsideReminderWindow = (config, startAt) =>
+  !config.reminderHours || startAt.getTime() - Date.now() <= config.reminderHours * 60 * 60 * 1000;
+
+// e.g. "Monday, 13 January 2025 at 3:30 pm (Asia/Kolkata)"
+const formatTime = (date, timeZone) =>
+  `${new Intl.DateTimeFormat('en-GB', { timeZone, dateStyle: 'full', timeStyle: 'short' }).format(date)} (${timeZone})`;
+
+const BOOKING_EMAILS = {
+  confirmation: { template: 'booking_confirmation', method: 'REQUEST' },
+  rescheduled: { template: 'booking_rescheduled', method: 'REQUEST' },
+  reminder: { template: 'booking_reminder', method: 'REQUEST' },
+  cancelled: { template: 'booking_cancelled', method: 'CANCEL' }
+};
+
+// Queue an email about a booking to the visitor, with the calendar invite
+// attached. `kind` is a key of BOOKING_EMAILS.
+const queueBookingEmail = async (booking, kind) => {
+  const { template, method } = BOOKING_EMAILS[kind];
+  const [contact, availability, config] = await Promise.all([
+    Contact.findById(booking.contact),
+    Availability.findOne({ user: booking.designer }).select('displayName'),
+    getBookingConfig()
+  ]);
+  const visitor = contact && contact.decryptSensitiveData();
+  if (!visitor) {
+    throw new Error(`Booking ${booking._id}: contact details are not available`);
+  }
+
+  const designerName = availability ? availability.displayName : 'Beyond Blueprint';
+  const service = contact.serviceDisplay || 'your project';
+  const organizerEmail = (/<([^>]+)>/.exec(fromAddress || '') || [])[1] || fromAddress;
+  const domain = new URL(clientUrl).hostname;
+
+  return queueTemplatedMail(template, {
+    name: visitor.name,
+    firstName: String(visitor.name || '').trim().split(/\s+/)[0],
+    service,
+    designerName,
+    when: formatTime(booking.startAt, booking.timezone),
+    durationMinutes: Math.round((booking.endAt - booking.startAt) / 60000),
+    location: config.location,
+    reason: booking.cancelReason
+  }, {
+    to: visitor.email,
+    replyTo: process.env.EMAIL_REPLY_TO || process.env.EMAIL_USER,
+    attachments: [icsAttachment({
+      uid: `booking-${booking._id}@${domain}`,
+      method,
+      sequence: booking.sequence,
+      startAt: booking.startAt,
+      endAt: booking.endAt,
+      summary: `Beyond Blueprint consultation with ${designerName}`,
+      description: `Consultation about ${service}.`,
+      location: config.location,
+      organizer: organizerEmail && { name: 'Beyond Blueprint', email: organizerEmail },
+      attendee: { name: visitor.name, email: visitor.email }
+    }, method === 'CANCEL' ? 'cancellation.ics' : 'consultation.ics')]
+  }, {
+    relatedId: contact._id,
+    relatedModel: 'Contact'
+  });
+};
+
+module.exports = {
+  DURATION_KEYS,
+  getBookingConfig,
+  validateBookingConfig,
+  saveBookingConfig,
+  durationFor,
+  listFreeSlots,
+  findSlots,
+  isInsideReminderWindow,
+  formatTime,
+  queueBookingEmail
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// File types accepted on the contact form, recognised by their leading bytes.
+// The browser-supplied content type and file extension are not trusted.
+const FILE_TYPES = [
+  { mimeType: 'image/jpeg', extensions: ['.jpg', '.jpeg'], matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+  { mimeType: 'image/png', extensions: ['.png'], matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mimeType: 'image/gif', extensions: ['.gif'], matches: (buffer) => /^GIF8[79]a/.test(buffer.toString('latin1', 0, 6)) },
+  {
+    mimeType: 'image/webp',
+    extensions: ['.webp'],
+    matches: (buffer) => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP'
+  },
+  { mimeType: 'application/pdf', extensions: ['.pdf'], matches: (buffer) => buffer.toString('latin1', 0, 5) === '%PDF-' }
+];
+
+const startsWith = (buffer, bytes) =>
+  buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte);
+
+// Detected type of a file's content, or null if it isn't an accepted type
+const sniffFileType = (buffer) => FILE_TYPES.find(type => type.matches(buffer)) || null;
+
+// File name safe to store and send back in a Content-Disposition header,
+// with an extension that matches the detected type (when given)
+const cleanFileName = (name, type = null) => {
+  let cleaned = path.basename(String(name || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim()
+    .slice(0, 150) || 'attachment';
+
+  if (type && !type.extensions.includes(path.extname(cleaned).toLowerCase())) {
+    cleaned += type.extensions[0];
+  }
+  return cleaned;
+};
+
+// Check uploaded files (from multer's memory storage). Returns
+// { error } for the first unacceptable file, else { attachments } ready for
+// ContactAttachment.store.
+const prepareAttachments = (files = []) => {
+  const attachments = [];
+
+  for (const file of files) {
+    if (file.size === 0) {
+      return { error: `${cleanFileName(file.originalname)} is empty` };
+    }
+
+    const type = sniffFileType(file.buffer);
+    if (!type) {
+      return {
+        error: `${cleanFileName(file.originalname)} is not a supported file. Attach JPEG, PNG, GIF or WebP images, or PDF documents`
+      };
+    }
+
+    attachments.push({
+      originalName: cleanFileName(file.originalname, type),
+      mimeType: type.mimeType,
+      buffer: file.buffer,
+      sha256: crypto.createHash('sha256').update(file.buffer).digest('hex')
+    });
+  }
+
+  return { attachments };
+};
+
+module.exports = {
+  FILE_TYPES,
+  sniffFileType,
+  prepareAttachments
+};
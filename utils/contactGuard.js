@@ -0,0 +1,55 @@
+const Contact = require('../models/Contact');
+const { verifyFormToken } = require('./tokens');
+
+// Hidden field real visitors never fill in
+const HONEYPOT_FIELD = process.env.CONTACT_HONEYPOT_FIELD || 'website';
+
+// Humans take at least a few seconds to fill in the form
+const MIN_FILL_SECONDS = parseInt(process.env.CONTACT_MIN_FILL_SECONDS) || 3;
+
+const IP_QUOTA = parseInt(process.env.CONTACT_IP_QUOTA) || 5;
+const IP_QUOTA_WINDOW_MINUTES = parseInt(process.env.CONTACT_IP_QUOTA_WINDOW_MINUTES) || 60;
+const EMAIL_QUOTA = parseInt(process.env.CONTACT_EMAIL_QUOTA) || 3;
+const EMAIL_QUOTA_WINDOW_MINUTES = parseInt(process.env.CONTACT_EMAIL_QUOTA_WINDOW_MINUTES) || 24 * 60;
+
+// Check a public form submission, returns the block reason or null
+const checkSubmission = async (body, { ipAddress, emailIndex }) => {
+  if (body[HONEYPOT_FIELD]) return 'honeypot';
+
+  if (!body.formToken) return 'missing_token';
+  const issuedAt = verifyFormToken(String(body.formToken));
+  if (!issuedAt) return 'invalid_token';
+  if (Date.now() - issuedAt < MIN_FILL_SECONDS * 1000) return 'too_fast';
+
+  const ipCount = await Contact.countDocuments({
+    ipAddress,
+    createdAt: { $gte: new Date(Date.now() - IP_QUOTA_WINDOW_MINUTES * 60 * 1000) }
+  });
+  if (ipCount >= IP_QUOTA) return 'ip_quota';
+
+  if (emailIndex) {
+    const emailCount = await Contact.countDocuments({
+      emailIndex,
+      createdAt: { $gte: new Date(Date.now() - EMAIL_QUOTA_WINDOW_MINUTES * 60 * 1000) }
+    });
+    if (emailCount >= EMAIL_QUOTA) return 'email_quota';
+  }
+
+  return null;
+};
+
+// Status and message returned for each block reason.
+// Honeypot hits are answered like a normal submission by the route instead.
+const BLOCK_RESPONSES = {
+  missing_token: { status: 400, message: 'Form session missing, please reload the page and try again' },
+  invalid_token: { status: 400, message: 'Form session expired, please reload the page and try again' },
+  too_fast: { status: 400, message: 'Submitted too quickly, please try again' },
+  ip_quota: { status: 429, message: 'Too many submissions from this network, please try again later' },
+  email_quota: { status: 429, message: 'We have already received several messages from this address, we will be in touch soon' }
+};
+
+module.exports = {
+  HONEYPOT_FIELD,
+  BLOCK_RESPONSES,
+  checkSubmission
+};
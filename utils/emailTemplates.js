@@ -0,0 +1,118 @@
+const EmailTemplate = require('../models/EmailTemplate');
+const { EMAIL_LAYOUT, DEFAULT_EMAIL_TEMPLATES } = require('../config/emailTemplates');
+const { clientUrl } = require('../config/email');
+const { render, checkSyntax } = require('./templateRenderer');
+const { queueMail } = require('./mailQueue');
+
+const LAYOUT_KEY = 'layout';
+
+const getDefaultTemplate = (key) =>
+  key === LAYOUT_KEY ? EMAIL_LAYOUT : DEFAULT_EMAIL_TEMPLATES[key] || null;
+
+// Effective template for a key: the stored override, else the built-in default.
+// Resolves to null for unknown keys.
+const getTemplate = async (key) => {
+  const defaults = getDefaultTemplate(key);
+  const stored = await EmailTemplate.findOne({ key }).lean();
+  if (!defaults && !stored) return null;
+
+  return {
+    useLayout: key !== LAYOUT_KEY,
+    ...defaults,
+    ...stored,
+    key,
+    builtIn: !!defaults,
+    customized: !!stored,
+    sensitive: !!defaults?.sensitive
+  };
+};
+
+// Every built-in template plus any custom ones, for the admin list
+const listTemplates = async () => {
+  const stored = await EmailTemplate.find().lean();
+  const storedByKey = new Map(stored.map(template => [template.key, template]));
+  const keys = [LAYOUT_KEY, ...Object.keys(DEFAULT_EMAIL_TEMPLATES)];
+  stored.forEach(template => !keys.includes(template.key) && keys.push(template.key));
+
+  return keys.map(key => {
+    const defaults = getDefaultTemplate(key);
+    const template = storedByKey.get(key) || defaults;
+    return {
+      key,
+      name: template.name,
+      description: template.description,
+      builtIn: !!defaults,
+      customized: storedByKey.has(key),
+      sensitive: !!defaults?.sensitive,
+      updatedAt: storedByKey.get(key)?.updatedAt || null
+    };
+  });
+};
+
+// Check template parts, returns an error message or null
+const validateTemplate = (key, { subject, html, text }) => {
+  if (typeof html !== 'string' || !html.trim()) {
+    return 'HTML part is required';
+  }
+
+  const isLayout = key === LAYOUT_KEY;
+  if (isLayout && !/\{\{\{\s*content\s*\}\}\}/.test(html)) {
+    return 'The layout must include {{{content}}}';
+  }
+  if (!isLayout && (typeof subject !== 'string' || !subject.trim())) {
+    return 'Subject is required';
+  }
+
+  const parts = { subject, html, text };
+  for (const [part, source] of Object.entries(parts)) {
+    if (source === undefined || source === null) continue;
+    if (typeof source !== 'string') return `${part} must be a string`;
+    const error = checkSyntax(source, { allowRaw: isLayout && part === 'html' });
+    if (error) return `${part}: ${error}`;
+  }
+
+  return null;
+};
+
+// Render a template object against data, wrapping the HTML in the layout
+const renderTemplate = async (template, data = {}) => {
+  const subject = render(template.subject, data).replace(/[\r\n]+/g, ' ').trim();
+  let html = render(template.html, data, { html: true, allowRaw: template.key === LAYOUT_KEY });
+  const text = template.text ? render(template.text, data) : undefined;
+
+  if (template.useLayout && template.key !== LAYOUT_KEY) {
+    const layout = await getTemplate(LAYOUT_KEY);
+    html = render(layout.html, { siteUrl: clientUrl, subject, content: html }, { html: true, allowRaw: true });
+  }
+
+  return { subject, html, ...(text && { text }) };
+};
+
+const getTemplateOrThrow = async (key) => {
+  const template = await getTemplate(key);
+  if (!template) throw new Error(`Unknown email template: ${key}`);
+  return template;
+};
+
+// Render a template by key
+const renderEmail = async (key, data) => renderTemplate(await getTemplateOrThrow(key), data);
+
+// Render a template and queue the result. `mailOptions` supplies the recipient
+// and headers; `options` go to the outbox (category defaults to the key, and
+// messages from sensitive templates are marked sensitive).
+const queueTemplatedMail = async (key, data, mailOptions, options = {}) => {
+  const template = await getTemplateOrThrow(key);
+  const rendered = await renderTemplate(template, data);
+  return queueMail({ ...mailOptions, ...rendered }, { category: key, sensitive: template.sensitive, ...options });
+};
+
+module.exports = {
+  LAYOUT_KEY,
+  getDefaultTemplate,
+  getTemplate,
+  listTemplates,
+  validateTemplate,
+  renderTemplate,
+  renderEmail,
+  queueTemplatedMail
+};
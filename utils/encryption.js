@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+
+// Data-encryption keys, independent of JWT_SECRET so either can be rotated alone.
+//
+//   DATA_ENCRYPTION_KEYS=1:<32-byte key, base64 or hex>,2:<key>
+//   DATA_ENCRYPTION_KEY_VERSION=2   (defaults to the highest version)
+//
+// Payloads are AES-256-GCM and carry the key version: `v<version>:<iv>:<tag>:<ciphertext>`.
+// Version 0 is the legacy key derived from JWT_SECRET (or LEGACY_ENCRYPTION_SECRET);
+// it is only used for new data when no keys are configured, which production
+// refuses (NODE_ENV=production requires DATA_ENCRYPTION_KEYS). Payloads written before
+// versioning (`<iv>:<ciphertext>`, AES-256-CBC) are still readable with it.
+const ALGORITHM = 'aes-256-gcm';
+const LEGACY_ALGORITHM = 'aes-256-cbc';
+const LEGACY_VERSION = 0;
+
+const parseKey = (value) => {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('Data encryption keys must be 32 bytes (base64 or hex encoded)');
+  }
+  return key;
+};
+
+// Key derivation is slow on purpose, so derive the legacy key once per secret
+let legacyKey = null;
+let legacySecret = null;
+const getLegacyKey = () => {
+  const secret = process.env.LEGACY_ENCRYPTION_SECRET || process.env.JWT_SECRET;
+  if (legacySecret !== secret) {
+    legacySecret = secret;
+    legacyKey = crypto.scryptSync(secret, 'salt', 32);
+  }
+  return legacyKey;
+};
+
+let keyRing = null;
+let keyRingSource = null;
+const getKeyRing = () => {
+  const source = `${process.env.DATA_ENCRYPTION_KEYS || ''}|${process.env.DATA_ENCRYPTION_KEY_VERSION || ''}`;
+  if (keyRingSource === source) return keyRing;
+
+  const keys = new Map();
+  (process.env.DATA_ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [version, value] = entry.split(':');
+    if (!/^\d+$/.test(version) || Number(version) === LEGACY_VERSION || !value) {
+      throw new Error(`Invalid DATA_ENCRYPTION_KEYS entry for version "${version}"`);
+    }
+    keys.set(Number(version), parseKey(value));
+  });
+
+  let current = LEGACY_VERSION;
+  if (keys.size > 0) {
+    current = process.env.DATA_ENCRYPTION_KEY_VERSION
+      ? Number(process.env.DATA_ENCRYPTION_KEY_VERSION)
+      : Math.max(...keys.keys());
+    if (!keys.has(current)) {
+      throw new Error(`DATA_ENCRYPTION_KEY_VERSION ${current} is not in DATA_ENCRYPTION_KEYS`);
+    }
+  } else if (process.env.NODE_ENV === 'production') {
+    throw new Error('DATA_ENCRYPTION_KEYS must be set in production');
+  } else {
+    console.log('⚠️ DATA_ENCRYPTION_KEYS not set, encrypting with the key derived from JWT_SECRET');
+  }
+
+  keyRing = { keys, current };
+  keyRingSource = source;
+  return keyRing;
+};
+
+const getKey = (version) => {
+  if (version === LEGACY_VERSION) return getLegacyKey();
+  const key = getKeyRing().keys.get(version);
+  if (!key) throw new Error(`Data encryption key version ${version} is not configured`);
+  return key;
+};
+
+// Version of the key new payloads are written with
+const currentKeyVersion = () => getKeyRing().current;
+
+// Version of the key a stored payload was written with
+const payloadKeyVersion = (payload) => {
+  const match = /^v(\d+):/.exec(payload || '');
+  return match ? Number(match[1]) : LEGACY_VERSION;
+};
+
+// Encrypt a JSON-serialisable value with the current key
+const encryptJson = (value) => {
+  const version = currentKeyVersion();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(version), iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return [`v${version}`, iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+};
+
+// Decrypt a stored payload, returns null if it can't be read or was tampered with
+const decryptJson = (payload) => {
+  if (!payload) return null;
+
+  try {
+    const parts = payload.split(':');
+
+    if (parts.length === 2) {
+      const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, getLegacyKey(), Buffer.from(parts[0], 'hex'));
+      let decrypted = decipher.update(parts[1], 'hex', 'utf8');
+      decrypted += decipher.final('utf8');
+      return JSON.parse(decrypted);
+    }
+
+    const [, iv, tag, encrypted] = parts;
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(payloadKeyVersion(payload)), Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    const decrypted = Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]);
+    return JSON.parse(decrypted.toString('utf8'));
+  } catch (error) {
+    console.error('Decryption error:', error.message);
+    return null;
+  }
+};
+
+// Encrypt binary data (file contents) with the current key. Kept as raw
+// buffers rather than a hex string so large files stay compact.
+const encryptBuffer = (buffer) => {
+  const keyVersion = currentKeyVersion();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(keyVersion), iv);
+  const data = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+  return { keyVersion, iv, tag: cipher.getAuthTag(), data };
+};
+
+// Decrypt the output of encryptBuffer, returns null if it can't be read or was tampered with
+const decryptBuffer = ({ keyVersion, iv, tag, data }) => {
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(keyVersion), Buffer.from(iv));
+    decipher.setAuthTag(Buffer.from(tag));
+    return Buffer.concat([decipher.update(Buffer.from(data)), decipher.final()]);
+  } catch (error) {
+    console.error('Decryption error:', error.message);
+    return null;
+  }
+};
+
+// Whether a payload should be rewritten with the current key (or from CBC to GCM)
+const needsReencryption = (payload) =>
+  !!payload && (payload.split(':').length === 2 || payloadKeyVersion(payload) !== currentKeyVersion());
+
+module.exports = {
+  encryptJson,
+  decryptJson,
+  currentKeyVersion,
+  payloadKeyVersion,
+  needsReencryption,
+  encryptBuffer,
+  decryptBuffer
+};
@@ -0,0 +1,115 @@
+const path = require('path');
+const { google } = require('googleapis');
+const { getSetting, setSetting } = require('../config/settings');
+const { clientUrl } = require('../config/email');
+
+// Contact fields that can be mapped to sheet columns
+const SHEET_FIELDS = {
+  submittedAt: (contact) => new Date(contact.createdAt).toISOString(),
+  name: (contact, data) => data.name,
+  email: (contact, data) => data.email,
+  phone: (contact, data) => data.phone || 'N/A',
+  service: (contact) => contact.service || 'N/A',
+  serviceDisplay: (contact) => contact.serviceDisplay || 'N/A',
+  budget: (contact) => contact.budget || 'N/A',
+  budgetDisplay: (contact) => contact.budgetDisplay || 'N/A',
+  message: (contact, data) => data.message,
+  ipAddress: (contact) => contact.ipAddress,
+  isSpam: (contact) => (contact.isSpam ? 'YES' : 'NO'),
+  status: (contact) => contact.status,
+  stage: (contact) => contact.stage,
+  contactId: (contact) => String(contact._id),
+  contactUrl: (contact) => `${clientUrl}/admin/contacts/${contact._id}`
+};
+
+const MAX_COLUMNS = 26;
+
+// Sheets client. GOOGLE_SHEETS_API_ROOT points it at a local stub of the
+// Sheets API for testing; requests to a stub are sent without credentials.
+let sheetsClient = null;
+const getSheetsClient = () => {
+  if (sheetsClient) return sheetsClient;
+
+  const rootUrl = process.env.GOOGLE_SHEETS_API_ROOT;
+  const auth = rootUrl ? undefined : new google.auth.GoogleAuth({
+    keyFile: process.env.GOOGLE_CREDENTIALS_PATH || path.join(__dirname, '../google-credentials.json'),
+    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+  });
+
+  sheetsClient = google.sheets({ version: 'v4', auth, ...(rootUrl && { rootUrl }) });
+  return sheetsClient;
+};
+
+const getSheetsConfig = () => getSetting('googleSheets');
+
+// Whether leads should be pushed at all
+const isSheetsConfigured = (config) => !!(config.enabled && config.spreadsheetId);
+
+// Check a proposed config, returns an error message or null
+const validateSheetsConfig = ({ enabled, spreadsheetId, sheetName, columns }) => {
+  if (typeof enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  if (typeof spreadsheetId !== 'string' || (spreadsheetId && !/^[A-Za-z0-9_-]{10,100}$/.test(spreadsheetId))) {
+    return 'spreadsheetId must be a Google Sheets ID';
+  }
+  if (typeof sheetName !== 'string' || !sheetName.trim() || sheetName.length > 100) {
+    return 'sheetName is required';
+  }
+  if (!Array.isArray(columns) || columns.length === 0 || columns.length > MAX_COLUMNS) {
+    return `columns must list 1 to ${MAX_COLUMNS} columns`;
+  }
+  for (const column of columns) {
+    if (!column || !SHEET_FIELDS[column.field]) {
+      return `Unknown column field: ${column?.field}. Use one of ${Object.keys(SHEET_FIELDS).join(', ')}`;
+    }
+    if (column.header !== undefined && (typeof column.header !== 'string' || column.header.length > 100)) {
+      return 'Column headers must be strings of up to 100 characters';
+    }
+  }
+  return null;
+};
+
+const saveSheetsConfig = ({ enabled, spreadsheetId, sheetName, columns }, userId) => setSetting('googleSheets', {
+  enabled,
+  spreadsheetId: spreadsheetId.trim(),
+  sheetName: sheetName.trim(),
+  columns: columns.map(({ field, header }) => ({ field, header: header || field }))
+}, userId);
+
+// A1 range covering the mapped columns of the configured tab
+const sheetRange = ({ sheetName, columns }) => {
+  const lastColumn = String.fromCharCode('A'.charCodeAt(0) + columns.length - 1);
+  return `'${sheetName.replace(/'/g, "''")}'!A:${lastColumn}`;
+};
+
+// Sheet row for a contact, `data` being its decrypted fields
+const contactRow = (config, contact, data) =>
+  config.columns.map(({ field }) => {
+    const value = SHEET_FIELDS[field](contact, data);
+    return value === undefined || value === null ? '' : value;
+  });
+
+// Append rows to the configured tab, resolves to the updated range
+const appendRows = async (config, rows) => {
+  const response = await getSheetsClient().spreadsheets.values.append({
+    spreadsheetId: config.spreadsheetId,
+    range: sheetRange(config),
+    valueInputOption: 'RAW',
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: {
+      values: rows,
+    },
+  });
+  return response.data?.updates?.updatedRange || null;
+};
+
+module.exports = {
+  SHEET_FIELDS,
+  getSheetsConfig,
+  isSheetsConfigured,
+  validateSheetsConfig,
+  saveSheetsConfig,
+  contactRow,
+  appendRows
+};
@@ -0,0 +1,73 @@
+// Minimal iCalendar (RFC 5545) writer for single-event invites
+
+// 20250112T103000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Parameter values can't contain quotes or line breaks
+const quoteParam = (value) => `"${String(value || '').replace(/["\r\n]/g, '')}"`;
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a UTF-8 character
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const person = (role, { name, email }, extra = '') =>
+  `${role};CN=${quoteParam(name || email)}${extra}:mailto:${email}`;
+
+// Calendar with one event. `method` is REQUEST for new or updated invites and
+// CANCEL to withdraw one; `sequence` must grow with each update of the same `uid`.
+const buildEvent = ({ uid, method = 'REQUEST', sequence = 0, startAt, endAt, summary, description, location, organizer, attendee }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Beyond Blueprint//Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(startAt)}`,
+    `DTEND:${formatDate(endAt)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    organizer && person('ORGANIZER', organizer),
+    attendee && person('ATTENDEE', attendee, ';ROLE=REQ-PARTICIPANT;RSVP=FALSE'),
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return lines.filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Nodemailer attachment for an event
+const icsAttachment = (event, filename = 'invite.ics') => ({
+  filename,
+  content: buildEvent(event),
+  contentType: `text/calendar; charset=utf-8; method=${event.method || 'REQUEST'}`
+});
+
+module.exports = {
+  buildEvent,
+  icsAttachment
+};
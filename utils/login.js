@@ -0,0 +1,52 @@
+const Notification = require('../models/Notification');
+const { issueTokens } = require('./tokens');
+const { recordAudit } = require('./audit');
+
+// Warn admins about a sign-in from an IP the account hasn't used recently
+const notifyNewLoginIp = (user, ipAddress, userAgent) => {
+  return Notification.notifyAdmins({
+    title: 'Sign-in from a new IP address',
+    message: `${user.username} (${user.email}) signed in from ${ipAddress} using ${userAgent || 'an unknown client'}`,
+    type: 'warning',
+    category: 'user',
+    priority: 'high',
+    relatedId: user._id,
+    relatedModel: 'User'
+  });
+};
+
+// Record the login and build the response payload with fresh tokens
+const completeLogin = async (user, req) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
+
+  const isNewIp = user.recordLogin(ipAddress, userAgent);
+  await user.save();
+
+  if (isNewIp) {
+    notifyNewLoginIp(user, ipAddress, userAgent).catch(error => {
+      console.error('New login notification failed:', error.message);
+    });
+  }
+
+  const tokens = await issueTokens(user, req);
+  recordAudit(req, 'auth.login', {
+    actor: user._id,
+    targetModel: 'User',
+    targetId: user._id,
+    metadata: { newIp: isNewIp }
+  });
+
+  return {
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    lastLogin: user.lastLogin,
+    ...tokens
+  };
+};
+
+module.exports = {
+  completeLogin
+};
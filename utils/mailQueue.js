@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const OutboxMessage = require('../models/OutboxMessage');
+const { fromAddress } = require('../config/email');
+
+// The email worker listens for `queued` to send new mail without waiting for its next poll
+const mailEvents = new EventEmitter();
+
+// Message-ID assigned up front, so callers can thread replies before the send happens
+const createMessageId = () => {
+  const domain = String(fromAddress || '').split('@')[1] || 'localhost';
+  return `<${crypto.randomUUID()}@${domain}>`;
+};
+
+// Queue an email for delivery. Options are stored with the message:
+// category, sensitive, notifications, relatedId, relatedModel, queuedBy, maxAttempts.
+const queueMail = async (mailOptions, options = {}) => {
+  const message = await OutboxMessage.enqueue({
+    messageId: createMessageId(),
+    ...mailOptions
+  }, options);
+  mailEvents.emit('queued', message);
+  return message;
+};
+
+module.exports = {
+  mailEvents,
+  createMessageId,
+  queueMail
+};
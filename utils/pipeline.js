@@ -0,0 +1,49 @@
+const { getSetting } = require('../config/settings');
+
+const STAGE_TYPES = ['open', 'won', 'lost'];
+const STAGE_KEY_PATTERN = /^[a-z0-9_-]{1,40}$/;
+
+// Configured pipeline stages, in order
+const getPipelineStages = () => getSetting('pipelineStages');
+
+// Check a proposed stage list, returns an error message or null
+const validatePipelineStages = (stages) => {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return 'Stages must be a non-empty array';
+  }
+
+  const keys = new Set();
+  for (const stage of stages) {
+    if (!stage || !STAGE_KEY_PATTERN.test(stage.key)) {
+      return 'Each stage needs a key of lowercase letters, digits, - or _';
+    }
+    if (keys.has(stage.key)) {
+      return `Duplicate stage key: ${stage.key}`;
+    }
+    if (!stage.label || typeof stage.label !== 'string') {
+      return `Stage ${stage.key} needs a label`;
+    }
+    if (!STAGE_TYPES.includes(stage.type)) {
+      return `Stage ${stage.key} must have type ${STAGE_TYPES.join(', ')}`;
+    }
+    keys.add(stage.key);
+  }
+
+  if (stages[0].type !== 'open') {
+    return 'The first stage must be an open stage';
+  }
+  if (stages.filter(stage => stage.type === 'won').length !== 1) {
+    return 'There must be exactly one won stage';
+  }
+  if (!stages.some(stage => stage.type === 'lost')) {
+    return 'There must be at least one lost stage';
+  }
+
+  return null;
+};
+
+module.exports = {
+  STAGE_TYPES,
+  getPipelineStages,
+  validatePipelineStages
+};
@@ -0,0 +1,126 @@
+const SpamModel = require('../models/SpamModel');
+
+// Probability at or above which a submission is flagged as spam
+const SPAM_THRESHOLD = parseFloat(process.env.SPAM_THRESHOLD) || 0.9;
+
+// The original hand-written rules, kept as features with prior probabilities
+// of appearing in spam and in genuine enquiries. Training on labelled
+// contacts moves them away from these priors (e.g. "loan" from home-loan clients).
+const SUSPICIOUS_WORDS = ['viagra', 'casino', 'loan', 'credit', 'free money', 'click here'];
+const RULE_PRIORS = {
+  'rule:caps': { spam: 0.2, ham: 0.05 },
+  'rule:disposable_email': { spam: 0.3, ham: 0.005 },
+  'rule:short_message': { spam: 0.2, ham: 0.05 }
+};
+SUSPICIOUS_WORDS.forEach(word => {
+  RULE_PRIORS[`rule:word:${word.replace(/\s+/g, '_')}`] = { spam: 0.2, ham: 0.05 };
+});
+
+// How many labelled documents a rule prior is worth
+const RULE_PRIOR_WEIGHT = 10;
+// Unseen ordinary features start out neutral
+const DEFAULT_PRIOR = { spam: 0.5, ham: 0.5 };
+const DEFAULT_PRIOR_WEIGHT = 1;
+
+const MAX_WORD_FEATURES = 200;
+
+// Turn a submission into the set of features the model counts
+const extractFeatures = ({ message = '', email = '', service = '', budget = '' }) => {
+  const features = new Set();
+  const text = String(message);
+  const lowerText = text.toLowerCase();
+
+  SUSPICIOUS_WORDS.forEach(word => {
+    if (lowerText.includes(word)) features.add(`rule:word:${word.replace(/\s+/g, '_')}`);
+  });
+  const capsRatio = (text.match(/[A-Z]/g) || []).length / (text.length || 1);
+  if (capsRatio > 0.7) features.add('rule:caps');
+  if (email.includes('@temp') || email.includes('@test')) features.add('rule:disposable_email');
+  if (text.length < 10) features.add('rule:short_message');
+
+  const domain = String(email).toLowerCase().split('@')[1];
+  if (domain) features.add(`domain:${domain.replace(/[^a-z0-9-]/g, '_')}`);
+  if (/https?:\/\/|www\./i.test(text)) features.add('meta:link');
+  if (service) features.add(`service:${service}`);
+  if (budget) features.add(`budget:${budget}`);
+
+  const words = lowerText.match(/[a-z0-9]{2,30}/g) || [];
+  words.slice(0, MAX_WORD_FEATURES).forEach(word => features.add(`word:${word}`));
+
+  return [...features];
+};
+
+// Smoothed probability of a feature appearing in a document of a class
+const featureProbability = (model, feature, label) => {
+  const counts = model.features[feature] || {};
+  const isRule = Object.prototype.hasOwnProperty.call(RULE_PRIORS, feature);
+  const prior = isRule ? RULE_PRIORS[feature] : DEFAULT_PRIOR;
+  const weight = isRule ? RULE_PRIOR_WEIGHT : DEFAULT_PRIOR_WEIGHT;
+
+  return ((counts[label] || 0) + weight * prior[label]) / (model[`${label}Docs`] + weight);
+};
+
+// Score a feature list against a loaded model
+const scoreFeatures = (model, features) => {
+  const classPrior = Math.log((model.spamDocs + 1) / (model.hamDocs + 1));
+
+  const contributions = features.map(feature => ({
+    feature,
+    weight: Math.log(featureProbability(model, feature, 'spam') / featureProbability(model, feature, 'ham'))
+  }));
+
+  const logOdds = classPrior + contributions.reduce((sum, { weight }) => sum + weight, 0);
+  const probability = 1 / (1 + Math.exp(-logOdds));
+
+  return {
+    probability,
+    isSpam: probability >= SPAM_THRESHOLD,
+    contributions: contributions
+      .filter(({ weight }) => Math.abs(weight) > 1e-6)
+      .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))
+  };
+};
+
+// Classify a submission with the current model
+const classifyContact = async (contactData) => {
+  const model = await SpamModel.load();
+  const { probability, isSpam } = scoreFeatures(model, extractFeatures(contactData));
+  return {
+    isSpam,
+    spamScore: Math.round(probability * 1000) / 1000
+  };
+};
+
+// Explain a score: probability plus the features that moved it most
+const explainContact = async (contactData, limit = 10) => {
+  const model = await SpamModel.load();
+  const { probability, isSpam, contributions } = scoreFeatures(model, extractFeatures(contactData));
+  return {
+    spamScore: Math.round(probability * 1000) / 1000,
+    isSpam,
+    threshold: SPAM_THRESHOLD,
+    topFeatures: contributions.slice(0, limit).map(({ feature, weight }) => ({
+      feature,
+      weight: Math.round(weight * 1000) / 1000,
+      direction: weight > 0 ? 'spam' : 'ham'
+    }))
+  };
+};
+
+// Record an admin verdict, undoing the previous one if the label changed
+const learnLabel = async (contactData, label, previousLabel = null) => {
+  if (label === previousLabel) return;
+
+  const features = extractFeatures(contactData);
+  if (previousLabel) await SpamModel.train(features, previousLabel, -1);
+  if (label) await SpamModel.train(features, label, 1);
+};
+
+module.exports = {
+  SPAM_THRESHOLD,
+  extractFeatures,
+  scoreFeatures,
+  classifyContact,
+  explainContact,
+  learnLabel
+};
@@ -0,0 +1,93 @@
+const { escapeHtml } = require('./html');
+
+// Small mustache-style renderer for email templates:
+//   {{name}}            value, HTML-escaped in the HTML part
+//   {{{content}}}       value inserted as-is; only the layout may do this, for the
+//                       already-rendered message body
+//   {{#isSpam}}..{{/isSpam}}   rendered when the value is truthy
+//   {{^phone}}..{{/phone}}     rendered when the value is falsy
+// Names may be dotted paths (`{{contact.name}}`). Missing values render empty.
+const TAG_PATTERN = /\{\{(\{)?\s*([#^/]?)\s*([\w.]+)\s*\}?\}\}/g;
+
+class TemplateSyntaxError extends Error {}
+
+// Parse a template into a tree of text, variable and section nodes
+const parse = (source) => {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  for (const match of String(source || '').matchAll(TAG_PATTERN)) {
+    const [tag, raw, kind, name] = match;
+    const current = stack[stack.length - 1];
+
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (kind === '#' || kind === '^') {
+      const section = { type: 'section', inverted: kind === '^', name, children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (current === root || current.name !== name) {
+        throw new TemplateSyntaxError(`Unexpected {{/${name}}}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'variable', raw: !!raw, name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateSyntaxError(`Unclosed {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (lastIndex < String(source || '').length) {
+    root.children.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+  return root;
+};
+
+const lookup = (data, name) =>
+  name.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+
+const renderNodes = (nodes, data, escape, allowRaw) => nodes.map(node => {
+  if (node.type === 'text') return node.value;
+
+  const value = lookup(data, node.name);
+  if (node.type === 'section') {
+    const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+    return truthy !== node.inverted ? renderNodes(node.children, data, escape, allowRaw) : '';
+  }
+
+  if (value === null || value === undefined) return '';
+  return node.raw && allowRaw ? String(value) : escape(String(value));
+}).join('');
+
+// Render a template string. `html` escapes values for HTML.
+const render = (source, data = {}, { html = false, allowRaw = false } = {}) =>
+  renderNodes(parse(source).children, data, html ? escapeHtml : String, allowRaw);
+
+const hasRawTag = (nodes) => nodes.some(node =>
+  (node.type === 'variable' && node.raw) || (node.type === 'section' && hasRawTag(node.children)));
+
+// Check a template string, returns an error message or null
+const checkSyntax = (source, { allowRaw = false } = {}) => {
+  try {
+    const tree = parse(source);
+    if (!allowRaw && hasRawTag(tree.children)) {
+      return 'Unescaped {{{...}}} values are only allowed in the layout';
+    }
+    return null;
+  } catch (error) {
+    if (error instanceof TemplateSyntaxError) return error.message;
+    throw error;
+  }
+};
+
+module.exports = {
+  TemplateSyntaxError,
+  render,
+  checkSyntax
+};
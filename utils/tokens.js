@@ -0,0 +1,87 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+  });
+};
+
+// Start a new session and return its access/refresh token pair
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user, {
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent')
+  });
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Short-lived token for an intermediate login step (e.g. 2FA).
+// It has no session id, so `protect` never accepts it as an access token.
+const generateChallengeToken = (id, purpose) => {
+  return jwt.sign({ id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: process.env.CHALLENGE_TOKEN_EXPIRE || '5m'
+  });
+};
+
+// Verify a challenge token, returns the user id or null
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Token handed to the public contact form when it is rendered.
+// It records when the form was issued so instant bot submissions stand out.
+const generateFormToken = () => {
+  return jwt.sign({ purpose: 'contact_form', issuedAt: Date.now() }, process.env.JWT_SECRET, {
+    expiresIn: process.env.CONTACT_FORM_TOKEN_EXPIRE || '2h'
+  });
+};
+
+// Verify a form token, returns when it was issued (ms) or null
+const verifyFormToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'contact_form' ? decoded.issuedAt : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Signed download link for a contact attachment. Only issued to admins, and
+// short-lived so a copied link stops working soon after.
+const generateAttachmentToken = (attachmentId) => {
+  return jwt.sign({ purpose: 'contact_attachment', attachmentId: String(attachmentId) }, process.env.JWT_SECRET, {
+    expiresIn: process.env.CONTACT_ATTACHMENT_LINK_EXPIRE || '5m'
+  });
+};
+
+// Verify an attachment token, returns { attachmentId, expiresAt } or null
+const verifyAttachmentToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'contact_attachment') return null;
+    return { attachmentId: decoded.attachmentId, expiresAt: new Date(decoded.exp * 1000) };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  generateToken,
+  issueTokens,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateFormToken,
+  verifyFormToken,
+  generateAttachmentToken,
+  verifyAttachmentToken
+};
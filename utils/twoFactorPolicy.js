@@ -0,0 +1,19 @@
+const { hasPermission } = require('../config/permissions');
+const { getSetting } = require('../config/settings');
+
+// Permissions that expose user management or bulk client data
+const PRIVILEGED_PERMISSIONS = ['manage_users', 'export_data'];
+
+const isPrivileged = (user) =>
+  PRIVILEGED_PERMISSIONS.some(permission => hasPermission(user, permission));
+
+// Whether the superadmin 2FA policy forces this user to use 2FA
+const isTwoFactorRequired = async (user) => {
+  if (!isPrivileged(user)) return false;
+  return !!(await getSetting('require2faForPrivileged'));
+};
+
+module.exports = {
+  PRIVILEGED_PERMISSIONS,
+  isTwoFactorRequired
+};
@@ -0,0 +1,44 @@
+// Lightweight User-Agent parsing, good enough to label a login in a session list.
+// Order matters: Edge and Opera also claim to be Chrome, Chrome claims to be Safari.
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ },
+  { name: 'Postman', pattern: /PostmanRuntime\/([\d.]+)/ },
+  { name: 'curl', pattern: /curl\/([\d.]+)/ }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+const parseUserAgent = (userAgent) => {
+  const ua = userAgent || '';
+
+  const browser = BROWSERS.find(({ pattern }) => pattern.test(ua));
+  const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(ua));
+
+  let type = 'desktop';
+  if (!ua) type = 'unknown';
+  else if (/bot|crawler|spider/i.test(ua)) type = 'bot';
+  else if (/iPad|Tablet/i.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) type = 'tablet';
+  else if (/Mobi|iPhone|iPod/i.test(ua)) type = 'mobile';
+
+  return {
+    browser: browser ? `${browser.name} ${ua.match(browser.pattern)[1].split('.')[0]}` : null,
+    os: os ? os.name : null,
+    type
+  };
+};
+
+module.exports = {
+  parseUserAgent
+};
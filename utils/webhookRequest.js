@@ -0,0 +1,111 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+// Addresses webhooks must not reach: loopback, private networks, link-local
+// (including cloud metadata at 169.254.169.254) and other non-public ranges
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv4'));
+[
+  // Unspecified and loopback, NAT64, unique local, link-local, multicast.
+  // IPv4-mapped addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges.
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockedRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// For development against a local receiver (and the tests)
+const allowPrivateTargets = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+const PRIVATE_TARGET_ERROR = 'Webhook URL must not point to a private or local address';
+
+// dns.lookup for outgoing requests that refuses private addresses. Checking
+// at connect time means a host can't pass the URL check and then re-resolve
+// to an internal address.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!allowPrivateTargets() && addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new Error(PRIVATE_TARGET_ERROR));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Check a webhook URL, returns an error message or null. The host is
+// resolved, so this is async.
+const checkWebhookUrl = async (url) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return 'Webhook URL must be an http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    return 'Webhook URL must be an http(s) URL';
+  }
+  if (process.env.NODE_ENV === 'production' && target.protocol !== 'https:') {
+    return 'Webhook URL must use https';
+  }
+  if (allowPrivateTargets()) return null;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(target.hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+  } catch (error) {
+    return `Webhook URL host ${target.hostname} could not be resolved`;
+  }
+  return addresses.some(({ address }) => isPrivateAddress(address)) ? PRIVATE_TARGET_ERROR : null;
+};
+
+// Longest response body kept in memory
+const MAX_RESPONSE_LENGTH = 64 * 1024;
+
+// POST a payload to a webhook URL without following redirects, resolves to
+// { status, text }. Rejects on network errors and after `timeoutMs`.
+const postWebhook = (url, { body, headers, timeoutMs }) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+
+  const req = transport.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: publicLookup
+  }, (res) => {
+    let text = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => {
+      if (text.length < MAX_RESPONSE_LENGTH) text += chunk;
+    });
+    res.on('end', () => {
+      clearTimeout(timer);
+      resolve({ status: res.statusCode, text });
+    });
+    res.on('close', () => {
+      if (!res.complete) reject(new Error('Receiver closed the connection mid-response'));
+    });
+  });
+
+  const timer = setTimeout(() => req.destroy(new Error(`No response within ${timeoutMs}ms`)), timeoutMs);
+  req.on('error', error => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  req.end(body);
+});
+
+module.exports = {
+  isPrivateAddress,
+  checkWebhookUrl,
+  postWebhook
+};
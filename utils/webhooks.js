@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+// The webhook worker listens for `queued` to deliver without waiting for its next poll
+const webhookEvents = new EventEmitter();
+
+// Queue one event for a set of webhooks, all sharing the event id
+const queueDeliveries = async (webhooks, event, data) => {
+  const eventId = `evt_${crypto.randomUUID()}`;
+  const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => {
+    const delivery = new WebhookDelivery({ webhook: webhook._id, event, eventId });
+    delivery.setPayload(payload);
+    return delivery;
+  }));
+  webhookEvents.emit('queued');
+  return deliveries;
+};
+
+// Fan an event out to every active webhook subscribed to it. Never throws:
+// a webhook problem must not fail the change that raised the event.
+const emitEvent = async (event, data) => {
+  try {
+    const webhooks = await Webhook.find({ events: event, isActive: true }).select('_id');
+    if (webhooks.length === 0) return [];
+    return await queueDeliveries(webhooks, event, data);
+  } catch (error) {
+    console.error(`Webhook event ${event} failed (non-blocking):`, error.message);
+    return [];
+  }
+};
+
+// Queue a copy of an earlier delivery (same event id and payload)
+const redeliver = async (delivery, userId) => {
+  const copy = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    encryptedPayload: delivery.encryptedPayload,
+    redeliveryOf: delivery._id,
+    redeliveredBy: userId
+  });
+  webhookEvents.emit('queued');
+  return copy;
+};
+
+module.exports = {
+  webhookEvents,
+  queueDeliveries,
+  emitEvent,
+  redeliver
+};